@@ -5,6 +5,23 @@
  * Enhanced with better error handling and recovery mechanisms
  */
 
+import ChunkedAnalyzer, { estimateTokens, estimateMessageTokens } from './chunked-analysis';
+import { formatWorkspaceContent } from '../shared/workspace';
+import { agentSupportsVision } from '../shared/screenshot';
+import { sendToPanel, isSidePanel } from './side-panels';
+import { splitReasoning, reasoningField, agentStartsWithThinking } from '../shared/reasoning';
+
+/**
+ * Quote text as a Markdown block quote
+ */
+function quoteBlock(text) {
+  return text
+    .trim()
+    .split('\n')
+    .map(line => `> ${line}`)
+    .join('\n');
+}
+
 class ApiClient {
   constructor(storageManager, agentManager) {
     this.storage = storageManager;
@@ -16,6 +33,7 @@ class ApiClient {
     this.maxRetries = 3;
     this.lastAPIError = null;
     this.lastAPIErrorTime = 0;
+    this.chunkedAnalyzer = new ChunkedAnalyzer(this);
   }
   
   /**
@@ -162,6 +180,11 @@ class ApiClient {
 
       return response;
     } catch (error) {
+      // A cancelled request is not an API failure and is not retried
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      
       // If it's a network error and we're not streaming, we can retry
       const isNetworkError = error.name === 'TypeError' || 
                              error.message.includes('Failed to fetch') || 
@@ -214,7 +237,7 @@ class ApiClient {
       await this.ensureInitialized();
       
       // Notify the tab to show loading state
-      chrome.tabs.sendMessage(tabId, { 
+      sendToPanel(tabId, { 
         action: 'SHOW_LOADING',
         agentId: agent.id
       }).catch(err => {
@@ -280,7 +303,7 @@ class ApiClient {
       
       // Notify the tab about the error with error handling
       try {
-        chrome.tabs.sendMessage(tabId, {
+        sendToPanel(tabId, {
           action: 'SHOW_ERROR',
           error: errorMessage,
           agentId: agent.id
@@ -297,6 +320,21 @@ class ApiClient {
   
 /**
  * Send a chat message or analyze a webpage
+ *
+ * @param {number|string} tabId - Tab of the panel that asked, or the ID of a side panel
+ * @param {Object} context - Optional extra context for the message
+ * @param {string} context.selection - Text the user selected on the page
+ * @param {string} context.pageType - Label of the site extractor that captured the page
+ * @param {Object} context.structure - Outline, links and metadata of the page
+ * @param {string} context.screenshot - Data URL of a visible-tab screenshot
+ * @param {Array<Object>} context.sources - Pages captured from other attached tabs
+ * @param {string} context.rerunOf - ID of a history entry to re-run; the reply is
+ *   stored as a new version of that entry and later turns are left out of the prompt
+ * @param {string} context.roundtableId - Set when the message was sent to several
+ *   agents at once; stored with the reply in the agent's conversation
+ * @param {string} context.responderId - Agent an @mention handed the turn to; it
+ *   answers in the conversation of `agentId`, whose panel shows the reply
+ * @returns {Promise<Object>} - `cancelled` is set when the user stopped the reply
  */
 async sendChatMessage(
   message, 
@@ -307,29 +345,37 @@ async sendChatMessage(
   agentId, 
   conversationId, 
   streamHandler,
-  conversationManager
+  conversationManager,
+  context = {}
 ) {
+  // Lets CANCEL_STREAM abort the request, including while the page is condensed
+  const controller = new AbortController();
+  streamHandler?.registerRequest(agentId, controller);
+  
   try {
     await this.ensureInitialized();
     
     // Get the agent configuration DIRECTLY from agent manager instead of messaging
-    const agent = this.agents.getAgent(agentId);
+    const agent = this.agents.getAgent(context.responderId || agentId);
     
     if (!agent) {
       throw new Error('Agent not found or configuration error');
     }
     
-    // Verify tab exists before sending messages
-    try {
-      await chrome.tabs.get(tabId);
-    } catch (error) {
-      throw new Error('Tab no longer exists or is not accessible');
+    // Verify the panel's tab exists before sending messages
+    if (!isSidePanel(tabId)) {
+      try {
+        await chrome.tabs.get(tabId);
+      } catch (error) {
+        throw new Error('Tab no longer exists or is not accessible');
+      }
     }
     
     // Notify the tab to show loading state - with enhanced error handling
     try {
-      await chrome.tabs.sendMessage(tabId, { 
+      await sendToPanel(tabId, { 
         action: 'SHOW_LOADING',
+        message: context.responderId ? `Asking ${agent.name}...` : undefined,
         agentId
       }).catch(err => {
         console.warn('Warning: Could not show loading state in tab', tabId, err.message);
@@ -349,45 +395,94 @@ async sendChatMessage(
       // Continue with empty history
     }
     
+    // Re-run a past turn with only the turns that came before it
+    if (context.rerunOf) {
+      const rerunIndex = conversationMessages.findIndex(msg => msg.entryId === context.rerunOf);
+      if (rerunIndex === -1) {
+        throw new Error('The message to re-run is no longer in this conversation');
+      }
+      conversationMessages = conversationMessages.slice(0, rerunIndex);
+    }
+    
+    // Condense pages that are too long for the agent's context window,
+    // which they share with the message, history and other sources
+    const contextTokens = estimateTokens(message) +
+      estimateTokens(context.selection) +
+      estimateMessageTokens(conversationMessages) +
+      estimateTokens(formatWorkspaceContent({
+        url,
+        title,
+        content: '',
+        pageType: context.pageType,
+        structure: context.structure,
+        sources: context.sources
+      }));
+    if (this.chunkedAnalyzer.shouldChunk(agent, pageContent, contextTokens)) {
+      pageContent = await this.chunkedAnalyzer.condense({
+        agent,
+        question: message || 'Analyze this webpage.',
+        url,
+        title,
+        pageContent,
+        contextTokens,
+        signal: controller.signal,
+        onProgress: (progressMessage) => {
+          sendToPanel(tabId, {
+            action: 'SHOW_LOADING',
+            message: progressMessage,
+            agentId
+          }).catch(err => console.warn('Could not update loading state:', err.message));
+        }
+      });
+    }
+    
     // If no explicit message is provided, create an analysis message
-    const userMessage = message || `Please analyze this webpage:\nURL: ${url}\nTitle: ${title}\nContent: ${pageContent}`;
+    let userMessage = message || `Please analyze this webpage:\nURL: ${url}\nTitle: ${title}\nContent: ${pageContent}`;
+    
+    // Quote the selected text so the question is clearly about that passage
+    if (context.selection && context.selection.trim()) {
+      userMessage = `Regarding this selection from the page:\n\n${quoteBlock(context.selection)}\n\n${userMessage}`;
+    }
+    
+    // Attach the screenshot as an image part for agents that accept images
+    let userContent = userMessage;
+    if (context.screenshot) {
+      if (agentSupportsVision(agent)) {
+        userContent = [
+          { type: 'text', text: userMessage },
+          { type: 'image_url', image_url: { url: context.screenshot } }
+        ];
+      } else {
+        console.warn('Ignoring screenshot for agent without vision support:', agent.name);
+      }
+    }
+    
+    // Earlier turns are sent without their reasoning, which is stored apart
+    const history = conversationMessages.map(({ reasoning, ...msg }) => msg);
     
     // Add current message
     const messages = [
-      ...conversationMessages,
+      ...history,
       {
         role: 'user',
-        content: userMessage,
+        content: userContent,
         timestamp: Date.now()
       }
     ];
     
-    const workspaceContent = "URL: " + url + "\nTitle: " + title + "\nContent: " + pageContent;
-    
-    const requestBody = {
-      messages,
-      metadata: {
-        user_id: this.userId,
-        persona_id: agent.name,
-        workspace_content: workspaceContent,
-        thought_content: null,
-        conversation_id: conversationId
-      },
-      model: agent.model,
-      temperature: agent.temperature,
-      stream: agent.stream,
-      system_message: agent.systemMessage,
-      max_tokens: 4096
-    };
+    const workspaceContent = formatWorkspaceContent({
+      url,
+      title,
+      content: pageContent,
+      pageType: context.pageType,
+      structure: context.structure,
+      sources: context.sources
+    });
     
-    // Add optional parameters from agent config
-    if (agent.maxTokens) requestBody.max_tokens = agent.maxTokens;
-    if (agent.topP !== undefined && agent.topP !== null) requestBody.top_p = agent.topP;
-    if (agent.topK !== undefined && agent.topK !== null) requestBody.top_k = agent.topK;
-    if (agent.presencePenalty !== undefined && agent.presencePenalty !== null) requestBody.presence_penalty = agent.presencePenalty;
-    if (agent.frequencyPenalty !== undefined && agent.frequencyPenalty !== null) requestBody.frequency_penalty = agent.frequencyPenalty;
-    if (agent.repetitionPenalty !== undefined && agent.repetitionPenalty !== null) requestBody.repetition_penalty = agent.repetitionPenalty;
-    if (agent.minP !== undefined && agent.minP !== null) requestBody.min_p = agent.minP;
+    const requestBody = this.buildRequestBody(agent, messages, {
+      workspaceContent,
+      conversationId
+    });
     
     console.log('Sending chat API request to endpoint:', this.apiEndpoint, 'for', agent.name);
     
@@ -398,16 +493,27 @@ async sendChatMessage(
     try {
       response = await this.fetch(endpoint, {
         method: 'POST',
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: controller.signal
       });
       
       console.log('Received API response:', response.status);
     } catch (error) {
+      if (controller.signal.aborted) {
+        // Stopped before any of the reply arrived; nothing to store
+        console.log('Chat request cancelled before the response arrived');
+        await sendToPanel(tabId, { 
+          action: 'HIDE_LOADING',
+          agentId
+        }).catch(() => console.warn('Could not hide loading in tab'));
+        return { success: true, cancelled: true };
+      }
+      
       console.error('Error fetching from API:', error);
       
       // Notify the tab about the error 
       try {
-        await chrome.tabs.sendMessage(tabId, {
+        await sendToPanel(tabId, {
           action: 'SHOW_ERROR',
           error: error.message,
           agentId
@@ -418,7 +524,7 @@ async sendChatMessage(
       
       // Hide loading indicator
       try {
-        await chrome.tabs.sendMessage(tabId, { 
+        await sendToPanel(tabId, { 
           action: 'HIDE_LOADING',
           agentId
         }).catch(() => console.warn('Could not hide loading in tab'));
@@ -431,6 +537,7 @@ async sendChatMessage(
     
     // Handle streaming or non-streaming response
     let fullResponse = '';
+    let reasoning = '';
     
     if (agent.stream && streamHandler) {
       // Process streaming response
@@ -438,8 +545,14 @@ async sendChatMessage(
       streamHandler.registerStream(agentId, streamReader, tabId);
       
       try {
-        fullResponse = await streamHandler.processStream(agentId);
+        ({ content: fullResponse, reasoning } = await streamHandler.processStream(agentId, {
+          startsWithThinking: agentStartsWithThinking(agent)
+        }));
       } catch (error) {
+        if (controller.signal.aborted) {
+          throw error;
+        }
+        
         // If there was a network error during streaming, we've already handled it
         // in the stream handler, so just log it here and continue
         console.error('Error during stream processing:', error);
@@ -450,7 +563,7 @@ async sendChatMessage(
           
           // Try to send the error to the tab
           try {
-            await chrome.tabs.sendMessage(tabId, {
+            await sendToPanel(tabId, {
               action: 'STREAM_CONTENT',
               content: fullResponse,
               isFirst: true,
@@ -465,15 +578,32 @@ async sendChatMessage(
       // Process regular response
       try {
         const data = await response.json();
-        fullResponse = data.choices[0].message.content;
+        const reply = data.choices[0].message;
+        const parts = splitReasoning(reply.content, { startsWithThinking: agentStartsWithThinking(agent) });
+        fullResponse = parts.content;
+        reasoning = [reasoningField(reply).trim(), parts.reasoning].filter(Boolean).join('\n\n');
       } catch (error) {
+        if (controller.signal.aborted) {
+          throw error;
+        }
         console.error('Error parsing API response:', error);
         fullResponse = `Error parsing API response: ${error.message}\n\nPlease try again later.`;
       }
       
       // Send with error handling
       try {
-        await chrome.tabs.sendMessage(tabId, {
+        if (reasoning) {
+          await sendToPanel(tabId, {
+            action: 'STREAM_REASONING',
+            content: reasoning,
+            isFirst: true,
+            agentId
+          }).catch(err => {
+            console.warn('Warning: Could not send reasoning to tab', tabId, err.message);
+          });
+        }
+        
+        await sendToPanel(tabId, {
           action: 'STREAM_CONTENT',
           content: fullResponse,
           isFirst: true,
@@ -482,7 +612,7 @@ async sendChatMessage(
           console.warn('Warning: Could not send content to tab', tabId, err.message);
         });
         
-        await chrome.tabs.sendMessage(tabId, { 
+        await sendToPanel(tabId, { 
           action: 'HIDE_LOADING',
           agentId
         }).catch(err => {
@@ -494,8 +624,28 @@ async sendChatMessage(
       }
     }
     
+    // A stopped stream ends early without an error; keep what arrived
+    const truncated = controller.signal.aborted;
+    if (truncated) {
+      console.log(`Chat response stopped after ${fullResponse.length} characters`);
+    }
+    
     // Store the message and response if we have a conversation manager
-    if (conversationManager && fullResponse) {
+    if (conversationManager && fullResponse && context.rerunOf) {
+      try {
+        // Keep the earlier reply as an alternate version
+        await conversationManager.addVersion(conversationId, context.rerunOf, {
+          message: userMessage,
+          response: fullResponse,
+          model: agent.model,
+          responderId: context.responderId || null,
+          reasoning,
+          truncated
+        });
+      } catch (error) {
+        console.error('Error storing message version:', error);
+      }
+    } else if (conversationManager && fullResponse) {
       try {
         await conversationManager.storeMessage(
           userMessage, 
@@ -504,7 +654,11 @@ async sendChatMessage(
           title, 
           conversationId, 
           agentId,
-          agent.model
+          agent.model,
+          truncated,
+          context.roundtableId || null,
+          reasoning,
+          context.responderId || null
         );
       } catch (error) {
         console.error('Error storing message:', error);
@@ -512,8 +666,18 @@ async sendChatMessage(
       }
     }
     
-    return { success: true };
+    return truncated ? { success: true, cancelled: true } : { success: true };
   } catch (error) {
+    if (controller.signal.aborted) {
+      // Stopped while the page was condensed or the response was read
+      console.log('Chat request cancelled:', error.message);
+      sendToPanel(tabId, { 
+        action: 'HIDE_LOADING',
+        agentId
+      }).catch(() => console.warn('Could not hide loading in tab'));
+      return { success: true, cancelled: true };
+    }
+    
     console.error('Error sending chat message:', error);
     
     // Format a more user-friendly error message
@@ -526,7 +690,7 @@ async sendChatMessage(
     
     // Notify the tab about the error
     try {
-      await chrome.tabs.sendMessage(tabId, {
+      await sendToPanel(tabId, {
         action: 'SHOW_ERROR',
         error: errorMessage,
         agentId
@@ -536,9 +700,83 @@ async sendChatMessage(
     }
     
     return { success: false, error: errorMessage };
+  } finally {
+    streamHandler?.releaseRequest(agentId, controller);
   }
 }
 
+  /**
+   * Build a chat completions request body from an agent's configuration
+   *
+   * @param {Object} agent - The agent configuration
+   * @param {Array} messages - Chat messages to send
+   * @param {Object} options - Request options
+   * @param {string} options.workspaceContent - Page context for the backend
+   * @param {string} options.conversationId - Conversation the request belongs to
+   * @param {string} options.systemMessage - Override for the agent's system message
+   * @param {boolean} options.stream - Override for the agent's stream setting
+   * @param {AbortSignal} options.signal - Aborts the request (not part of the body)
+   */
+  buildRequestBody(agent, messages, options = {}) {
+    const requestBody = {
+      messages,
+      metadata: {
+        user_id: this.userId,
+        persona_id: agent.name,
+        workspace_content: options.workspaceContent ?? null,
+        thought_content: null,
+        conversation_id: options.conversationId ?? null
+      },
+      model: agent.model,
+      temperature: agent.temperature,
+      stream: options.stream ?? agent.stream,
+      system_message: options.systemMessage ?? agent.systemMessage,
+      max_tokens: 4096
+    };
+    
+    // Add optional parameters from agent config
+    if (agent.maxTokens) requestBody.max_tokens = agent.maxTokens;
+    if (agent.topP !== undefined && agent.topP !== null) requestBody.top_p = agent.topP;
+    if (agent.topK !== undefined && agent.topK !== null) requestBody.top_k = agent.topK;
+    if (agent.presencePenalty !== undefined && agent.presencePenalty !== null) requestBody.presence_penalty = agent.presencePenalty;
+    if (agent.frequencyPenalty !== undefined && agent.frequencyPenalty !== null) requestBody.frequency_penalty = agent.frequencyPenalty;
+    if (agent.repetitionPenalty !== undefined && agent.repetitionPenalty !== null) requestBody.repetition_penalty = agent.repetitionPenalty;
+    if (agent.minP !== undefined && agent.minP !== null) requestBody.min_p = agent.minP;
+    
+    return requestBody;
+  }
+  
+  /**
+   * Run a single non-streaming completion and return the reply text
+   *
+   * @param {Object} agent - The agent whose model and settings are used
+   * @param {Array} messages - Chat messages to send
+   * @param {Object} options - Same options as buildRequestBody
+   * @returns {Promise<string>} - The assistant's reply
+   */
+  async completeChat(agent, messages, options = {}) {
+    await this.ensureInitialized();
+    
+    const requestBody = this.buildRequestBody(agent, messages, {
+      ...options,
+      stream: false
+    });
+    
+    const response = await this.fetch('/v1/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(requestBody),
+      signal: options.signal
+    });
+    
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('API response did not contain a message');
+    }
+    // Only the answer, without a reasoning model's thinking
+    return splitReasoning(content, { startsWithThinking: agentStartsWithThinking(agent) }).content;
+  }
+
   /**
    * Save a conversation to an external API
    */
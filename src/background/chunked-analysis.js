@@ -0,0 +1,193 @@
+/**
+ * Chunked Analysis
+ *
+ * Map-reduce analysis for pages that do not fit in an agent's context window.
+ * The page is split into token-sized chunks, each chunk is condensed with the
+ * agent's model, and the combined notes replace the page content for the
+ * final, streamed answer.
+ */
+
+import { CHARS_PER_TOKEN } from '../shared/capture-settings';
+
+// Tokens kept free for the system message and prompt scaffolding
+const PROMPT_OVERHEAD_TOKENS = 1000;
+const MIN_CHUNK_TOKENS = 500;
+const MAX_REDUCE_ROUNDS = 3;
+
+const MAP_SYSTEM_MESSAGE = 'You are reading one part of a long web page that was split into parts. ' +
+  'Extract the facts, figures, names, arguments and quotes from this part that are relevant to the ' +
+  'user\'s request. Be thorough but concise, keep the original terminology, and do not answer the ' +
+  'request yet. If nothing in this part is relevant, reply with "Nothing relevant."';
+
+/**
+ * Estimate the number of tokens in a text
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens in the text of chat messages
+ */
+export function estimateMessageTokens(messages) {
+  return (messages || []).reduce((total, message) => {
+    const parts = Array.isArray(message.content) ? message.content : [{ text: message.content }];
+    return total + parts.reduce((sum, part) => sum + estimateTokens(part.text), 0);
+  }, 0);
+}
+
+/**
+ * Split text into chunks of at most maxTokens, preferring paragraph,
+ * then line, then sentence boundaries
+ *
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @returns {Array<string>} - The chunks
+ */
+export function splitIntoChunks(text, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const chunks = [];
+  let current = '';
+
+  const pushPiece = (piece, separator) => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + separator.length + piece.length <= maxChars) {
+      current += separator + piece;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+  };
+
+  const splitPiece = (piece, separators) => {
+    if (piece.length <= maxChars) {
+      return [piece];
+    }
+    const [separator, ...rest] = separators;
+    if (!separator) {
+      // No natural boundary left, cut hard
+      const parts = [];
+      for (let i = 0; i < piece.length; i += maxChars) {
+        parts.push(piece.slice(i, i + maxChars));
+      }
+      return parts;
+    }
+    return piece.split(separator).flatMap(part => splitPiece(part, rest));
+  };
+
+  text.split('\n\n').forEach(paragraph => {
+    if (!paragraph.trim()) return;
+    splitPiece(paragraph, ['\n', '. ', ' ']).forEach(piece => pushPiece(piece, '\n\n'));
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+class ChunkedAnalyzer {
+  constructor(apiClient) {
+    this.api = apiClient;
+  }
+
+  /**
+   * Get the number of page tokens an agent can take in one prompt,
+   * or null if the agent has no context window configured
+   *
+   * @param {Object} agent - The agent
+   * @param {number} contextTokens - Tokens taken by the rest of the prompt,
+   *   such as the message and history
+   */
+  getPageTokenBudget(agent, contextTokens = 0) {
+    if (!agent.contextWindow) return null;
+
+    const responseTokens = agent.maxTokens || 4096;
+    return Math.max(MIN_CHUNK_TOKENS, agent.contextWindow - responseTokens - PROMPT_OVERHEAD_TOKENS - contextTokens);
+  }
+
+  /**
+   * Check whether page content, with the rest of the prompt, is too long
+   * for the agent's context window
+   */
+  shouldChunk(agent, pageContent, contextTokens = 0) {
+    const budget = this.getPageTokenBudget(agent, contextTokens);
+    return !!budget && estimateTokens(pageContent) > budget;
+  }
+
+  /**
+   * Condense page content into notes that fit the agent's context window
+   *
+   * @param {Object} options
+   * @param {Object} options.agent - The agent whose model is used
+   * @param {string} options.question - What the user asked (or the analysis request)
+   * @param {string} options.url - Page URL
+   * @param {string} options.title - Page title
+   * @param {string} options.pageContent - The full captured page content
+   * @param {number} options.contextTokens - Tokens taken by the rest of the prompt
+   * @param {Function} options.onProgress - Called with a progress message
+   * @param {AbortSignal} options.signal - Aborts the summary requests
+   * @returns {Promise<string>} - Combined notes to use as the page content
+   */
+  async condense({ agent, question, url, title, pageContent, contextTokens = 0, onProgress = () => {}, signal }) {
+    const budget = this.getPageTokenBudget(agent, contextTokens);
+    let content = pageContent;
+
+    for (let round = 1; round <= MAX_REDUCE_ROUNDS; round++) {
+      const chunks = splitIntoChunks(content, budget);
+      console.log(`Chunked analysis round ${round}: ${chunks.length} chunks of up to ${budget} tokens`);
+
+      const notes = [];
+      for (let i = 0; i < chunks.length; i++) {
+        onProgress(round === 1
+          ? `Reading part ${i + 1} of ${chunks.length}...`
+          : `Combining notes (${i + 1} of ${chunks.length})...`);
+
+        const partNotes = await this.summarizeChunk(agent, {
+          question,
+          url,
+          title,
+          chunk: chunks[i],
+          index: i,
+          total: chunks.length
+        }, signal);
+
+        if (partNotes && !/^nothing relevant\.?$/i.test(partNotes.trim())) {
+          notes.push(`[Part ${i + 1} of ${chunks.length}]\n${partNotes.trim()}`);
+        }
+      }
+
+      content = notes.length > 0
+        ? notes.join('\n\n')
+        : 'No part of the page was relevant to the request.';
+
+      if (estimateTokens(content) <= budget) {
+        break;
+      }
+    }
+
+    onProgress('Writing the final answer...');
+    return `Notes taken from the full page, which was too long to include directly:\n\n${content}`;
+  }
+
+  /**
+   * Condense a single chunk with the agent's model
+   */
+  async summarizeChunk(agent, { question, url, title, chunk, index, total }, signal) {
+    const messages = [{
+      role: 'user',
+      content: `Request: ${question}\n\n` +
+        `Page: ${title} (${url})\n` +
+        `Part ${index + 1} of ${total}:\n\n${chunk}`
+    }];
+
+    return this.api.completeChat(agent, messages, {
+      systemMessage: MAP_SYSTEM_MESSAGE,
+      workspaceContent: null,
+      signal
+    });
+  }
+}
+
+export default ChunkedAnalyzer;
@@ -9,10 +9,13 @@
 import StorageManager from '../shared/storage';
 import AgentManager from '../shared/agents';
 import ConversationManager from '../shared/conversations';
+import CaptureRuleManager from '../shared/capture-rules';
 import MessageRouter from './message-router';
 import StreamHandler from './stream-handler';
 import ApiClient from './api';
 import ErrorLogger from '../shared/error-logger';
+import { loadAppearanceSettings, normalizeAppearanceSettings } from '../shared/appearance';
+import { registerSidePanel, isSidePanel, isSidePanelOpen, sidePanelId, sendWhenOpen } from './side-panels';
 
 console.log('Background script loaded and running');
 
@@ -25,6 +28,7 @@ class BackgroundApp {
       this.agents = new AgentManager(this.storage);
       this.api = new ApiClient(this.storage, this.agents);  // Initialize API client first
       this.conversations = new ConversationManager(this.storage, this.api); // Pass API client
+      this.captureRules = new CaptureRuleManager(this.storage);
       this.streamHandler = new StreamHandler(this.agents);
       
       // Initialize message router
@@ -33,11 +37,15 @@ class BackgroundApp {
         this.conversations,
         this.api,
         this.streamHandler,
-        this.errorLogger
+        this.errorLogger,
+        this.captureRules
       );
       
       // State tracking
       this.activePanelTabs = new Set();
+      this.panelSurface = 'overlay'; // Where the chat panel opens, see PANEL_SURFACES
+      this.contextMenuAgents = null; // Agent IDs and names the context menus were built for
+      this.contextMenuBuild = Promise.resolve(); // The last context menu rebuild
       this.startTime = Date.now();
       this.initializationComplete = false;
 
@@ -56,7 +64,9 @@ class BackgroundApp {
       await this.storage.initialize();
       await this.agents.initialize();
       await this.conversations.initialize();
+      await this.captureRules.initialize();
       await this.api.initialize();
+      this.panelSurface = (await loadAppearanceSettings()).surface;
       
       // Set up message listeners
       this.setupMessageListeners();
@@ -64,6 +74,9 @@ class BackgroundApp {
       // Set up context menus
       this.setupContextMenus();
       
+      // Set up keyboard shortcuts
+      this.setupCommands();
+      
       // Set up tab event listeners
       this.setupTabListeners();
       
@@ -182,9 +195,78 @@ class BackgroundApp {
       // Pass to the message router
       return this.messageRouter.handleMessage(message, sender, sendResponse);
     });
+    
+    // Side panels connect when they open; the port is how they get panel messages
+    chrome.runtime.onConnect.addListener((port) => {
+      if (!isSidePanel(port.name)) return;
+      
+      registerSidePanel(port, (panelId) => {
+        this.messageRouter.activePanelTabs.delete(panelId);
+        this.streamHandler.removeTabFromAllStreams(panelId);
+      });
+    });
+    
+    // Keep track of where the chat panel should open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.appearanceSettings) {
+        this.panelSurface = normalizeAppearanceSettings(changes.appearanceSettings.newValue).surface;
+      }
+    });
   }
   
   setupContextMenus() {
+    this.buildContextMenus();
+    
+    // Rebuild the selection items whenever agents are added, renamed or removed
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.agents) {
+        this.buildContextMenus(changes.agents.newValue || []);
+      }
+    });
+    
+    // Handle context menu clicks
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      if (info.menuItemId === 'options') {
+        chrome.runtime.openOptionsPage();
+      } else if (info.menuItemId === 'history') {
+        chrome.tabs.create({ url: 'history.html' });
+      } else if (info.menuItemId === 'refresh_worker') {
+        // Handle manual restart request
+        this.handleManualRestart();
+      } else if (typeof info.menuItemId === 'string' && info.menuItemId.startsWith('ask_selection:')) {
+        const agentId = info.menuItemId.slice('ask_selection:'.length);
+        this.handleAskAboutSelection(agentId, info.selectionText, tab);
+      }
+    });
+  }
+  
+  /**
+   * Create the context menu items
+   * @param {Array<Object>} agents - The agents to offer for the selection
+   * @returns {Promise<void>} - Resolves once the menus are built
+   */
+  buildContextMenus(agents = this.agents.getAllAgents()) {
+    // Switching agents or starting a conversation also stores the agents,
+    // but leaves the menus as they are
+    const menuAgents = JSON.stringify(agents.map(agent => [agent.id, agent.name]));
+    if (menuAgents === this.contextMenuAgents) {
+      return this.contextMenuBuild;
+    }
+    this.contextMenuAgents = menuAgents;
+    
+    // One rebuild at a time, or the items of two are created twice
+    this.contextMenuBuild = this.contextMenuBuild.then(() => new Promise(resolve => {
+      this.createContextMenus(agents, resolve);
+    }));
+    return this.contextMenuBuild;
+  }
+  
+  /**
+   * Replace the context menu items
+   * @param {Array<Object>} agents - The agents to offer for the selection
+   * @param {Function} done - Called once the items are created
+   */
+  createContextMenus(agents, done) {
     // Remove existing items first
     chrome.contextMenus.removeAll(() => {
       // Create context menu items
@@ -205,19 +287,143 @@ class BackgroundApp {
         title: 'Restart Extension Worker',
         contexts: ['action']
       });
+      
+      // One "ask about selection" item per agent
+      agents.forEach(agent => {
+        chrome.contextMenus.create({
+          id: `ask_selection:${agent.id}`,
+          title: `Ask ${agent.name} about selection`,
+          contexts: ['selection']
+        });
+      });
+      done();
     });
+  }
+  
+  setupCommands() {
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+  }
+  
+  /**
+   * Run a keyboard shortcut defined under "commands" in the manifest
+   * @param {string} command - The command name
+   * @param {chrome.tabs.Tab} tab - The active tab when the shortcut was pressed
+   */
+  async handleCommand(command, tab) {
+    console.log('Keyboard shortcut:', command);
+    if (!tab?.id) return;
     
-    // Handle context menu clicks
-    chrome.contextMenus.onClicked.addListener((info, tab) => {
-      if (info.menuItemId === 'options') {
-        chrome.runtime.openOptionsPage();
-      } else if (info.menuItemId === 'history') {
-        chrome.tabs.create({ url: 'history.html' });
-      } else if (info.menuItemId === 'refresh_worker') {
-        // Handle manual restart request
-        this.handleManualRestart();
+    const agents = this.agents.getAllAgents();
+    const activeAgentId = this.agents.getActiveAgent()?.id;
+    
+    // Shortcuts that act on the panel, opening it first if needed
+    const panelActions = {
+      'focus-chat-input': { action: 'FOCUS_CHAT_INPUT' },
+      'next-agent': { action: 'CYCLE_AGENT', step: 1 },
+      'new-conversation': { action: 'NEW_CONVERSATION' }
+    };
+    
+    if (command === 'ask-about-selection') {
+      return this.handleAskAboutSelection(activeAgentId, null, tab);
+    }
+    
+    if (this.panelSurface === 'sidePanel') {
+      // Opened right away, while the shortcut still counts as a user gesture
+      const panelId = sidePanelId(tab.windowId);
+      if (command === 'toggle-panel' && isSidePanelOpen(panelId) && chrome.sidePanel.close) {
+        chrome.sidePanel.close({ windowId: tab.windowId })
+          .catch(error => console.error('Error closing side panel:', error));
+        return;
       }
-    });
+      
+      chrome.sidePanel.open({ windowId: tab.windowId })
+        .catch(error => console.error('Error opening side panel:', error));
+      if (panelActions[command]) {
+        sendWhenOpen(panelId, { ...panelActions[command], agents, activeAgentId });
+      }
+      return;
+    }
+    
+    const message = command === 'toggle-panel'
+      ? { action: 'OPEN_CHAT_PANEL' }
+      : panelActions[command];
+    if (!message) {
+      console.warn('Unknown command:', command);
+      return;
+    }
+    
+    try {
+      await chrome.tabs.sendMessage(tab.id, { ...message, agents, activeAgentId });
+    } catch (error) {
+      // Pages like chrome:// have no content script
+      console.warn(`Could not run ${command} in tab ${tab.id}:`, error.message);
+    }
+  }
+  
+  /**
+   * Read the text selected in a tab
+   * @param {number} tabId - The tab
+   * @returns {Promise<string>} - The selection, empty if it can't be read
+   */
+  async readSelection(tabId) {
+    try {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => window.getSelection()?.toString() || ''
+      });
+      return (result?.result || '').trim();
+    } catch (error) {
+      console.warn('Could not read the selection of tab', tabId, error.message);
+      return '';
+    }
+  }
+  
+  /**
+   * Open the panel for an agent with the selected text attached
+   */
+  async handleAskAboutSelection(agentId, selectionText, tab) {
+    if (!tab?.id) return;
+    
+    // The side panel has to be opened right away, while the click still
+    // counts as a user gesture
+    const useSidePanel = this.panelSurface === 'sidePanel';
+    if (useSidePanel) {
+      chrome.sidePanel.open({ windowId: tab.windowId })
+        .catch(error => console.error('Error opening side panel:', error));
+    }
+    
+    try {
+      const agent = await this.agents.setActiveAgent(agentId);
+      if (!agent) {
+        throw new Error('Agent not found');
+      }
+      
+      // The keyboard shortcut does not know the selection; the overlay reads
+      // it in the page, the side panel needs it read for it
+      const selection = selectionText ?? (useSidePanel ? await this.readSelection(tab.id) : '');
+      
+      const message = {
+        action: 'ASK_ABOUT_SELECTION',
+        agents: this.agents.getAllAgents(),
+        activeAgentId: agent.id,
+        selection
+      };
+      
+      if (useSidePanel) {
+        sendWhenOpen(sidePanelId(tab.windowId), message);
+      } else {
+        await chrome.tabs.sendMessage(tab.id, message);
+      }
+    } catch (error) {
+      console.error('Error asking about selection:', error);
+      this.errorLogger.logError(
+        error,
+        'Ask About Selection',
+        { agentId, tabId: tab.id }
+      );
+    }
   }
   
   /**
@@ -367,6 +573,12 @@ class BackgroundApp {
             const streamTabs = this.streamHandler.activeStreamTabs.get(agentId) || new Set();
             for (const tabId of streamTabs) {
               try {
+                if (isSidePanel(tabId)) {
+                  if (!isSidePanelOpen(tabId)) {
+                    throw new Error('Side panel is closed');
+                  }
+                  continue;
+                }
                 await chrome.tabs.get(tabId);
               } catch (e) {
                 // Tab doesn't exist anymore
@@ -4,13 +4,21 @@
  * Handles routing of messages from content scripts and other parts of the extension
  */
 
+import { captureVisibleTab } from '../shared/screenshot';
+import { captureCrossOriginFrames, captureTab, captureTabs } from './tab-capture';
+import { sendToPanel, isSidePanel } from './side-panels';
+import Redactor, { loadRedactionSettings, agentRedactsPages } from '../shared/redactor';
+import { resolveMention } from '../shared/mentions';
+import { fillTemplate } from '../shared/prompt-templates';
+
 class MessageRouter {
-  constructor(agentManager, conversationManager, apiClient, streamHandler, errorLogger) {
+  constructor(agentManager, conversationManager, apiClient, streamHandler, errorLogger, captureRuleManager) {
     this.agents = agentManager;
     this.conversations = conversationManager;
     this.api = apiClient;
     this.streamHandler = streamHandler;
     this.errorLogger = errorLogger || console;
+    this.captureRules = captureRuleManager;
     
     // Panel tracking
     this.activePanelTabs = new Set();
@@ -63,6 +71,24 @@ class MessageRouter {
       case 'CHAT_MESSAGE':
         return this.handleChatMessage(request, sender, sendResponse);
         
+      case 'ROUNDTABLE_MESSAGE':
+        return this.handleRoundtableMessage(request, sender, sendResponse);
+        
+      case 'CANCEL_STREAM':
+        return this.handleCancelStream(request, sender, sendResponse);
+        
+      case 'CAPTURE_SCREENSHOT':
+        return this.handleCaptureScreenshot(request, sender, sendResponse);
+        
+      case 'CAPTURE_FRAMES':
+        return this.handleCaptureFrames(request, sender, sendResponse);
+        
+      case 'CAPTURE_PAGE':
+        return this.handleCapturePage(request, sender, sendResponse);
+        
+      case 'GET_WINDOW_TABS':
+        return this.handleGetWindowTabs(request, sender, sendResponse);
+        
       case 'GET_AGENTS':
         return this.handleGetAgents(request, sender, sendResponse);
         
@@ -96,9 +122,33 @@ class MessageRouter {
       case 'DELETE_MESSAGE':
         return this.handleDeleteMessage(request, sender, sendResponse);
         
+      case 'SET_MESSAGE_VERSION':
+        return this.handleSetMessageVersion(request, sender, sendResponse);
+        
+      case 'GET_CONVERSATION_TREE':
+        return this.handleGetConversationTree(request, sender, sendResponse);
+        
+      case 'FORK_CONVERSATION':
+        return this.handleForkConversation(request, sender, sendResponse);
+        
+      case 'SWITCH_BRANCH':
+        return this.handleSwitchBranch(request, sender, sendResponse);
+        
       case 'SAVE_MESSAGE':
         return this.handleSaveMessage(request, sender, sendResponse);
         
+      case 'GET_CAPTURE_RULES':
+        return this.handleGetCaptureRules(request, sender, sendResponse);
+        
+      case 'SAVE_CAPTURE_RULES':
+        return this.handleSaveCaptureRules(request, sender, sendResponse);
+        
+      case 'EXPORT_CAPTURE_RULES':
+        return this.handleExportCaptureRules(request, sender, sendResponse);
+        
+      case 'IMPORT_CAPTURE_RULES':
+        return this.handleImportCaptureRules(request, sender, sendResponse);
+        
       default:
         console.warn('Unknown message action:', request.action);
         sendResponse({ success: false, error: 'Unknown action' });
@@ -110,7 +160,7 @@ class MessageRouter {
    * Handle panel join request
    */
   handleJoinPanel(request, sender, sendResponse) {
-    const tabId = sender.tab?.id;
+    const tabId = this.getPanelId(request, sender);
     if (tabId) {
       this.activePanelTabs.add(tabId);
       
@@ -121,7 +171,7 @@ class MessageRouter {
       // Send agent tabs to this panel - Using try/catch to handle potential errors
       try {
         // Send message but don't wait for it before sending response
-        chrome.tabs.sendMessage(tabId, {
+        sendToPanel(tabId, {
           action: 'UPDATE_AGENT_TABS',
           agents: this.agents.getAllAgents(),
           activeAgentId: agentId
@@ -136,11 +186,23 @@ class MessageRouter {
     return false; // Changed to false since we're handling synchronously
   }
 
+  /**
+   * Get the panel a request came from: the tab of a content script, or the
+   * side panel named in the request
+   * @returns {number|string|null} - Tab ID or side panel ID
+   */
+  getPanelId(request, sender) {
+    if (sender.tab?.id) {
+      return sender.tab.id;
+    }
+    return isSidePanel(request.panelId) ? request.panelId : null;
+  }
+  
   /**
    * Handle panel leave request
    */
   handleLeavePanel(request, sender, sendResponse) {
-    const tabId = sender.tab?.id;
+    const tabId = this.getPanelId(request, sender);
     if (tabId) {
       this.activePanelTabs.delete(tabId);
       this.streamHandler.removeTabFromAllStreams(tabId);
@@ -222,17 +284,28 @@ class MessageRouter {
     );
 
     Promise.race([
-      this.api.sendChatMessage(
-        null, // No explicit message for analysis
-        request.data.url,
-        request.data.text,
-        request.data.title,
-        tabId,
-        activeAgent.id,
-        request.data.conversationId,
-        this.streamHandler,
-        this.conversations
-      ),
+      this.redactPage(activeAgent.id, tabId, {
+        url: request.data.url,
+        title: request.data.title,
+        pageContent: request.data.text,
+        structure: request.data.structure
+      })
+        .then(page => this.api.sendChatMessage(
+          null, // No explicit message for analysis
+          page.url,
+          page.pageContent,
+          page.title,
+          tabId,
+          activeAgent.id,
+          request.data.conversationId,
+          this.streamHandler,
+          this.conversations,
+          {
+            pageType: request.data.pageType,
+            structure: page.structure,
+            screenshot: request.data.screenshot
+          }
+        )),
       timeoutPromise
     ])
       .then(response => {
@@ -252,12 +325,25 @@ class MessageRouter {
     return true;
   }
   
+  /**
+   * Stop an agent's reply: abort its request and cancel the stream reader.
+   * The part that already arrived is stored, marked as truncated, by
+   * ApiClient.sendChatMessage.
+   */
+  handleCancelStream(request, sender, sendResponse) {
+    const agentId = request.agentId || this.agents.getActiveAgent()?.id;
+    const cancelled = this.streamHandler.cancelStream(agentId);
+    console.log(`Cancel requested for agent ${agentId}:`, cancelled ? 'stopped' : 'nothing running');
+    sendResponse({ success: true, cancelled });
+    return true;
+  }
+  
   /**
    * Handle chat message request
    */
   handleChatMessage(request, sender, sendResponse) {
     console.log('Handling chat message');
-    const tabId = sender.tab?.id;
+    const tabId = this.getPanelId(request, sender);
     if (!tabId) {
       return this.handleError(
         new Error('No tab ID available for chat'),
@@ -271,6 +357,26 @@ class MessageRouter {
     this.activePanelTabs.add(tabId);
     
     const agentId = request.data.agentId;
+    
+    // An @mention of another agent hands it this turn; it answers in this
+    // conversation, with the thread so far as its context
+    const mention = resolveMention(request.data.message, this.agents.getAllAgents());
+    if (mention && !mention.message) {
+      return this.handleError(
+        new Error(`Type a message for ${mention.agent.name} after the mention`),
+        sendResponse,
+        'Chat Message',
+        tabId,
+        agentId
+      );
+    }
+    const responderId = mention && mention.agent.id !== agentId ? mention.agent.id : null;
+    if (responderId) {
+      console.log(`Handing the turn to agent ${responderId}`);
+    }
+    
+    // The agent gets, and the history keeps, the message without the mention
+    const message = responderId ? mention.message : request.data.message;
 
     // Create a Promise race between our operation and a timeout
     const timeoutPromise = new Promise((_, reject) => 
@@ -278,17 +384,36 @@ class MessageRouter {
     );
 
     Promise.race([
-      this.api.sendChatMessage(
-        request.data.message,
-        request.data.url,
-        request.data.pageContent,
-        request.data.title,
-        tabId,
-        agentId,
-        request.data.conversationId,
-        this.streamHandler,
-        this.conversations
-      ),
+      this.captureAttachedTabs(request.data.tabIds, tabId, agentId)
+        .then(sources => this.redactPage(responderId || agentId, tabId, {
+          url: request.data.url,
+          title: request.data.title,
+          pageContent: request.data.pageContent,
+          selection: request.data.selection,
+          structure: request.data.structure,
+          templateValues: request.data.template?.values,
+          sources
+        }))
+        .then(page => this.api.sendChatMessage(
+          this.fillTemplatePrompt(message, request.data.template, page),
+          page.url,
+          page.pageContent,
+          page.title,
+          tabId,
+          agentId,
+          request.data.conversationId,
+          this.streamHandler,
+          this.conversations,
+          {
+            selection: page.selection,
+            pageType: request.data.pageType,
+            structure: page.structure,
+            screenshot: request.data.screenshot,
+            sources: page.sources,
+            rerunOf: request.data.rerunOf,
+            responderId
+          }
+        )),
       timeoutPromise
     ])
       .then(response => {
@@ -308,6 +433,262 @@ class MessageRouter {
     return true;
   }
   
+  /**
+   * Handle a message sent to several agents at once
+   *
+   * Every agent gets the message in its current conversation and streams its
+   * reply to the panel in parallel; the replies share a roundtable ID.
+   */
+  handleRoundtableMessage(request, sender, sendResponse) {
+    const tabId = this.getPanelId(request, sender);
+    if (!tabId) {
+      return this.handleError(
+        new Error('No tab ID available for the roundtable'),
+        sendResponse,
+        'Roundtable Message',
+        null
+      );
+    }
+    
+    const agentIds = (request.data.agentIds || []).filter(agentId => this.agents.getAgent(agentId));
+    if (agentIds.length === 0) {
+      return this.handleError(
+        new Error('Choose the agents to ask first'),
+        sendResponse,
+        'Roundtable Message',
+        null
+      );
+    }
+    
+    this.activePanelTabs.add(tabId);
+    
+    const roundtableId = 'roundtable_' + Math.floor(Date.now() / 1000) + '_' + Math.random().toString(36).substr(2, 9);
+    console.log(`Sending roundtable ${roundtableId} to ${agentIds.length} agents`);
+    
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Operation timed out - the request took too long to complete. Please try again.')), 900000) // 15 minute timeout
+    );
+    
+    // Each agent redacts the page by its own settings and fails on its own
+    const askAgent = (agentId, sources) => this.redactPage(agentId, tabId, {
+      url: request.data.url,
+      title: request.data.title,
+      pageContent: request.data.pageContent,
+      selection: request.data.selection,
+      structure: request.data.structure,
+      templateValues: request.data.template?.values,
+      sources
+    })
+      .then(page => this.api.sendChatMessage(
+        this.fillTemplatePrompt(request.data.message, request.data.template, page),
+        page.url,
+        page.pageContent,
+        page.title,
+        tabId,
+        agentId,
+        this.agents.getAgent(agentId).currentConversationId,
+        this.streamHandler,
+        this.conversations,
+        {
+          selection: page.selection,
+          pageType: request.data.pageType,
+          structure: page.structure,
+          screenshot: request.data.screenshot,
+          sources: page.sources,
+          roundtableId
+        }
+      ))
+      .catch(error => {
+        this.handleError(error, null, 'Roundtable Message', tabId, agentId);
+        return { success: false, error: error.message };
+      });
+    
+    Promise.race([
+      this.captureAttachedTabs(request.data.tabIds, tabId, agentIds[0])
+        .then(sources => Promise.all(agentIds.map(agentId => askAgent(agentId, sources)))),
+      timeoutPromise
+    ])
+      .then(results => {
+        const responses = Object.fromEntries(agentIds.map((agentId, index) => [agentId, results[index]]));
+        console.log('Roundtable complete:', roundtableId, responses);
+        sendResponse({ success: true, roundtableId, responses });
+      })
+      .catch(error => {
+        this.handleError(
+          error,
+          sendResponse,
+          'Roundtable Message Handler',
+          tabId,
+          agentIds[0]
+        );
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Capture the other tabs attached to a chat message
+   */
+  async captureAttachedTabs(tabIds, tabId, agentId) {
+    const otherTabIds = (tabIds || []).filter(id => id !== tabId);
+    if (otherTabIds.length === 0) {
+      return [];
+    }
+    
+    sendToPanel(tabId, {
+      action: 'SHOW_LOADING',
+      message: `Reading ${otherTabIds.length} attached tab${otherTabIds.length === 1 ? '' : 's'}...`,
+      agentId
+    }).catch(err => console.warn('Could not update loading state:', err.message));
+    
+    return captureTabs(otherTabIds);
+  }
+  
+  /**
+   * Mask secrets and personal data in captured page data before it is sent,
+   * unless the agent has redaction turned off, and report the count to the panel
+   */
+  async redactPage(agentId, tabId, page) {
+    const agent = this.agents.getAgent(agentId);
+    if (!agentRedactsPages(agent)) {
+      return page;
+    }
+    
+    const redactor = new Redactor(await loadRedactionSettings());
+    const redacted = redactor.redactValue(page);
+    console.log(`Redacted ${redactor.total} items from the page`, redactor.counts);
+    
+    sendToPanel(tabId, {
+      action: 'UPDATE_REDACTION_BADGE',
+      total: redactor.total,
+      counts: redactor.counts
+    }).catch(err => console.warn('Could not update redaction badge:', err.message));
+    
+    return redacted;
+  }
+  
+  /**
+   * Fill in a prompt template's fields and page variables in one pass over
+   * its prompt, from the page as it was redacted for the agent, so the
+   * prompt carries no more than the page does
+   * @param {string} message - The message, sent as is when it isn't a template
+   * @param {Object} template - The template's `prompt`, or null
+   * @param {Object} page - The redacted page, with the redacted `templateValues`
+   * @returns {string} - The message to send
+   */
+  fillTemplatePrompt(message, template, page) {
+    if (!template) {
+      return message;
+    }
+    
+    return fillTemplate(template.prompt, {
+      url: page.url,
+      title: page.title,
+      page: page.pageContent,
+      date: new Date().toLocaleDateString(),
+      ...page.templateValues
+    });
+  }
+  
+  /**
+   * Handle screenshot request from the panel
+   */
+  handleCaptureScreenshot(request, sender, sendResponse) {
+    const windowId = sender.tab?.windowId ?? request.windowId ?? null;
+    
+    captureVisibleTab(windowId)
+      .then(dataUrl => {
+        sendResponse({ success: true, dataUrl });
+      })
+      .catch(error => {
+        console.error('Error capturing screenshot:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Handle cross-origin frame capture request from a content script
+   */
+  handleCaptureFrames(request, sender, sendResponse) {
+    const tabId = sender.tab?.id ?? request.tabId;
+    if (!tabId) {
+      sendResponse({ success: false, error: 'No tab ID available for frame capture' });
+      return false;
+    }
+    
+    captureCrossOriginFrames(tabId)
+      .then(frames => {
+        sendResponse({ success: true, frames });
+      })
+      .catch(error => {
+        console.error('Error capturing frames:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Handle page capture request from the side panel, for the tab it follows
+   */
+  handleCapturePage(request, sender, sendResponse) {
+    if (!request.tabId) {
+      sendResponse({ success: false, error: 'No tab ID available for page capture' });
+      return false;
+    }
+    
+    captureTab(request.tabId)
+      .then(page => {
+        sendResponse({
+          success: true,
+          data: {
+            url: page.url,
+            title: page.title,
+            text: page.content,
+            pageType: page.pageType,
+            structure: page.structure
+          }
+        });
+      })
+      .catch(error => {
+        console.warn('Could not capture tab', request.tabId, error.message);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Handle request for the tabs of the sender's window that can be attached
+   */
+  handleGetWindowTabs(request, sender, sendResponse) {
+    const windowId = sender.tab?.windowId ?? request.windowId;
+    const query = windowId ? { windowId } : { currentWindow: true };
+    // The side panel's own page is always part of the context
+    const ownTabId = sender.tab?.id ?? request.excludeTabId;
+    
+    chrome.tabs.query(query)
+      .then(tabs => {
+        const windowTabs = tabs
+          .filter(tab => tab.id !== ownTabId && /^https?:/i.test(tab.url || ''))
+          .map(tab => ({
+            id: tab.id,
+            title: tab.title,
+            url: tab.url,
+            favIconUrl: tab.favIconUrl || null
+          }));
+        sendResponse({ success: true, tabs: windowTabs });
+      })
+      .catch(error => {
+        console.error('Error listing window tabs:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
   /**
    * Handle get agents request
    */
@@ -568,6 +949,68 @@ class MessageRouter {
     return true;
   }
   
+  /**
+   * Handle a request to show another version of a message
+   */
+  handleSetMessageVersion(request, sender, sendResponse) {
+    const { conversationId, entryId, version } = request;
+    
+    this.conversations.setActiveVersion(conversationId, entryId, version)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Error switching message version:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Handle a request for the message tree of a conversation
+   */
+  handleGetConversationTree(request, sender, sendResponse) {
+    this.conversations.getConversationTree(request.conversationId)
+      .then(tree => sendResponse({ success: true, tree }))
+      .catch(error => {
+        console.error('Error getting conversation tree:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Handle a request to start a new branch after a message
+   */
+  handleForkConversation(request, sender, sendResponse) {
+    const { conversationId, entryId } = request;
+    
+    this.conversations.forkConversation(conversationId, entryId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Error forking conversation:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * Handle a request to switch to the branch through a message
+   */
+  handleSwitchBranch(request, sender, sendResponse) {
+    const { conversationId, entryId } = request;
+    
+    this.conversations.switchBranch(conversationId, entryId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Error switching branch:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+  
   /**
    * Handle message save request
    */
@@ -588,6 +1031,64 @@ class MessageRouter {
     return true; // Keep the sendResponse channel open
   }
 
+  /**
+   * Handle get capture rules request
+   */
+  handleGetCaptureRules(request, sender, sendResponse) {
+    this.captureRules.initialize().then(() => {
+      sendResponse({ success: true, rules: this.captureRules.getAllRules() });
+    }).catch(error => {
+      console.error('Error getting capture rules:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  /**
+   * Handle save capture rules request
+   */
+  handleSaveCaptureRules(request, sender, sendResponse) {
+    this.captureRules.setRules(request.rules)
+      .then(rules => {
+        sendResponse({ success: true, rules });
+      })
+      .catch(error => {
+        console.error('Error saving capture rules:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  /**
+   * Handle export capture rules request
+   */
+  handleExportCaptureRules(request, sender, sendResponse) {
+    try {
+      sendResponse({ success: true, data: this.captureRules.exportRules() });
+    } catch (error) {
+      console.error('Error exporting capture rules:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  }
+
+  /**
+   * Handle import capture rules request
+   */
+  handleImportCaptureRules(request, sender, sendResponse) {
+    const { data, replace } = request;
+
+    this.captureRules.importRules(data, replace)
+      .then(result => {
+        sendResponse({ success: true, ...result, rules: this.captureRules.getAllRules() });
+      })
+      .catch(error => {
+        console.error('Error importing capture rules:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   /**
    * Standardized error handler for message handlers
    * @param {Error} error - The error that occurred
@@ -629,14 +1130,14 @@ class MessageRouter {
     // Send error to tab if specified
     if (tabId && agentId) {
       try {
-        chrome.tabs.sendMessage(tabId, {
+        sendToPanel(tabId, {
           action: 'SHOW_ERROR',
           error: errorMessage,
           agentId
         }).catch(err => console.warn('Could not show error in tab:', err.message));
         
         // Hide loading indicator
-        chrome.tabs.sendMessage(tabId, { 
+        sendToPanel(tabId, { 
           action: 'HIDE_LOADING',
           agentId
         }).catch(err => console.warn('Could not hide loading in tab:', err.message));
@@ -662,9 +1163,10 @@ class MessageRouter {
           throw new Error('Agent not found');
         }
         
-        // If the sender is a tab, add it to the agent's stream tabs
-        if (sender.tab?.id) {
-          this.streamHandler.addTabToAgentStream(agent.id, sender.tab.id);
+        // If the sender is a panel, add it to the agent's stream tabs
+        const panelId = this.getPanelId(request, sender);
+        if (panelId) {
+          this.streamHandler.addTabToAgentStream(agent.id, panelId);
         }
         
         sendResponse({ success: true, agent });
@@ -674,7 +1176,7 @@ class MessageRouter {
           error,
           sendResponse,
           'Switch Agent',
-          sender.tab?.id,
+          this.getPanelId(request, sender),
           request.agentId
         );
       });
@@ -0,0 +1,101 @@
+/**
+ * Side Panels
+ *
+ * Keeps track of the extension's side panels, one per window, and delivers
+ * panel messages to them. Panels in pages are addressed by their tab ID and
+ * reached through the content script; a side panel is an extension page, so
+ * it is addressed by its side panel ID and reached through the port it
+ * opened when it loaded.
+ */
+
+const PREFIX = 'side-panel:';
+
+// Side panel ID -> port
+const ports = new Map();
+
+// Side panel ID -> messages for a side panel that is still opening
+const pending = new Map();
+
+/**
+ * Get the ID of the side panel of a window
+ * @param {number} windowId - The window ID
+ * @returns {string} - The side panel ID
+ */
+export function sidePanelId(windowId) {
+  return PREFIX + windowId;
+}
+
+/**
+ * Check whether a panel ID belongs to a side panel
+ * @param {number|string} panelId - Tab ID or side panel ID
+ * @returns {boolean}
+ */
+export function isSidePanel(panelId) {
+  return typeof panelId === 'string' && panelId.startsWith(PREFIX);
+}
+
+/**
+ * Check whether a side panel is open
+ * @param {string} panelId - The side panel ID
+ * @returns {boolean}
+ */
+export function isSidePanelOpen(panelId) {
+  return ports.has(panelId);
+}
+
+/**
+ * Register the port of a side panel that just opened and deliver the
+ * messages that were waiting for it
+ * @param {chrome.runtime.Port} port - Port named after the side panel ID
+ * @param {Function} onClose - Called with the side panel ID when it closes
+ */
+export function registerSidePanel(port, onClose = () => {}) {
+  const panelId = port.name;
+  ports.set(panelId, port);
+  console.log('Side panel opened:', panelId);
+
+  port.onDisconnect.addListener(() => {
+    if (ports.get(panelId) === port) {
+      ports.delete(panelId);
+    }
+    console.log('Side panel closed:', panelId);
+    onClose(panelId);
+  });
+
+  const messages = pending.get(panelId) || [];
+  pending.delete(panelId);
+  messages.forEach(message => port.postMessage(message));
+}
+
+/**
+ * Deliver a message to a side panel once it is open
+ * @param {string} panelId - The side panel ID
+ * @param {Object} message - The message
+ */
+export function sendWhenOpen(panelId, message) {
+  const port = ports.get(panelId);
+  if (port) {
+    port.postMessage(message);
+    return;
+  }
+
+  pending.set(panelId, [...(pending.get(panelId) || []), message]);
+}
+
+/**
+ * Send a message to the panel in a tab or to a side panel
+ * @param {number|string} panelId - Tab ID or side panel ID
+ * @param {Object} message - The message
+ * @returns {Promise<*>} - The response of a tab; rejects if the panel is gone
+ */
+export async function sendToPanel(panelId, message) {
+  if (!isSidePanel(panelId)) {
+    return chrome.tabs.sendMessage(panelId, message);
+  }
+
+  const port = ports.get(panelId);
+  if (!port) {
+    throw new Error('Could not establish connection: the side panel is closed');
+  }
+  port.postMessage(message);
+}
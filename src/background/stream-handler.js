@@ -5,13 +5,18 @@
  * Enhanced with better error handling and recovery mechanisms
  */
 
+import { sendToPanel, isSidePanel, isSidePanelOpen } from './side-panels';
+import { ReasoningParser, reasoningField } from '../shared/reasoning';
+
 class StreamHandler {
   constructor(agentManager) {
     this.agents = agentManager;
     this.activeStreams = new Map(); // Map of agentId -> stream reader
-    this.activeStreamTabs = new Map(); // Map of agentId -> Set of tab IDs
+    this.activeStreamTabs = new Map(); // Map of agentId -> Set of tab IDs and side panel IDs
     this.streamErrors = new Map(); // Map of agentId -> last stream error
-    this.collectedContent = '';
+    this.requestControllers = new Map(); // Map of agentId -> AbortController of the request
+    this.collectedContent = new Map(); // Map of agentId -> content streamed so far
+    this.collectedReasoning = new Map(); // Map of agentId -> reasoning streamed so far
     this.MAX_BUFFER_SIZE = 100000; // Limit collected content to ~100KB per stream
   }
   
@@ -27,12 +32,25 @@ class StreamHandler {
     tabs.add(tabId);
     console.log(`Added tab ${tabId} to agent ${agentId} stream`);
 
-    // If there's an active stream, send the accumulated content to the new tab
-    if (this.activeStreams.has(agentId) && this.collectedContent) {
+    // If there's an active stream, send the accumulated reasoning and content to the new tab
+    const reasoning = this.collectedReasoning.get(agentId);
+    if (this.activeStreams.has(agentId) && reasoning) {
+      sendToPanel(tabId, {
+        action: 'STREAM_REASONING',
+        content: reasoning,
+        isFirst: true,
+        agentId
+      }).catch(error => {
+        console.warn(`Failed to send accumulated reasoning to new tab ${tabId}:`, error.message);
+      });
+    }
+    
+    const collected = this.collectedContent.get(agentId);
+    if (this.activeStreams.has(agentId) && collected) {
       // Send the accumulated content as if it was the first chunk
-      chrome.tabs.sendMessage(tabId, {
+      sendToPanel(tabId, {
         action: 'STREAM_CONTENT',
-        content: this.collectedContent,
+        content: collected,
         isFirst: true,
         agentId
       }).catch(error => {
@@ -69,7 +87,8 @@ class StreamHandler {
     this.activeStreams.set(agentId, streamReader);
     
     // Reset collected content for new stream
-    this.collectedContent = '';
+    this.collectedContent.set(agentId, '');
+    this.collectedReasoning.set(agentId, '');
     
     // Add tab to stream recipients
     this.addTabToAgentStream(agentId, tabId);
@@ -80,6 +99,23 @@ class StreamHandler {
     console.log(`Registered new stream for agent ${agentId}`);
   }
   
+  /**
+   * Register the abort controller of an agent's request, so the request can
+   * be cancelled before and while its response streams
+   */
+  registerRequest(agentId, controller) {
+    this.requestControllers.set(agentId, controller);
+  }
+  
+  /**
+   * Forget an agent's request once it has finished
+   */
+  releaseRequest(agentId, controller) {
+    if (this.requestControllers.get(agentId) === controller) {
+      this.requestControllers.delete(agentId);
+    }
+  }
+  
   /**
    * Broadcast a message to all tabs for a specific agent
    */
@@ -89,20 +125,25 @@ class StreamHandler {
     
     tabs.forEach(async tabId => {
       try {
-        // Check if tab still exists
+        // Check if tab or side panel still exists
         let tabExists = true;
-        try {
-          await chrome.tabs.get(tabId);
-        } catch (e) {
-          tabExists = false;
+        if (isSidePanel(tabId)) {
+          tabExists = isSidePanelOpen(tabId);
+        } else {
+          try {
+            await chrome.tabs.get(tabId);
+          } catch (e) {
+            tabExists = false;
+          }
+        }
+        
+        if (!tabExists) {
           tabsToRemove.add(tabId);
           return;
         }
         
-        if (!tabExists) return;
-        
         // Send the message with catch for runtime errors
-        chrome.tabs.sendMessage(tabId, message).catch(error => {
+        sendToPanel(tabId, message).catch(error => {
           console.warn(`Failed to send message to tab ${tabId}:`, error.message);
           
           // Remove tab from active tabs if connection is broken
@@ -140,19 +181,24 @@ class StreamHandler {
   
   /**
    * Process a stream for a specific agent
+   * @param {string} agentId - The agent whose stream it is
+   * @param {Object} parserOptions - How to split reasoning, see ReasoningParser
    */
-  async processStream(agentId) {
+  async processStream(agentId, parserOptions = {}) {
     const streamReader = this.activeStreams.get(agentId);
     if (!streamReader) {
       throw new Error('No active stream for this agent');
     }
     
-    let isFirst = true;
+    // Which of the answer and the reasoning have not been sent yet
+    const first = { content: true, reasoning: true };
+    const parser = new ReasoningParser(parserOptions);
     const decoder = new TextDecoder();
     console.log(`Starting to process stream for agent ${agentId}`);
     
     // Reset current content for this agent
-    this.collectedContent = '';
+    this.collectedContent.set(agentId, '');
+    this.collectedReasoning.set(agentId, '');
     let buffer = ''; // Buffer for incomplete chunks
     let watchdogInterval = null;
     let streamActive = true;
@@ -174,18 +220,8 @@ class StreamHandler {
             // Process any remaining buffer content
             if (buffer.trim()) {
               try {
-                const data = JSON.parse(buffer);
-                const content = data.choices?.[0]?.delta?.content || data.choices?.[0]?.message?.content;
-                if (content) {
-                  this.appendToCollectedContent(content);
-                  this.broadcastToAgentTabs(agentId, {
-                    action: 'STREAM_CONTENT',
-                    content,
-                    isFirst,
-                    agentId
-                  });
-                  isFirst = false;
-                }
+                const data = JSON.parse(buffer.replace(/^data: /, '').trim());
+                this.broadcastDelta(agentId, data, parser, first);
               } catch (e) {
                 console.warn('Error processing final buffer:', e);
               }
@@ -209,19 +245,7 @@ class StreamHandler {
               if (!jsonStr) continue;
               
               const data = JSON.parse(jsonStr);
-              const content = data.choices?.[0]?.delta?.content || data.choices?.[0]?.message?.content;
-              if (!content) continue;
-              
-              this.appendToCollectedContent(content);
-              
-              this.broadcastToAgentTabs(agentId, {
-                action: 'STREAM_CONTENT',
-                content,
-                isFirst,
-                agentId
-              });
-              
-              isFirst = false;
+              this.broadcastDelta(agentId, data, parser, first);
             } catch (e) {
               console.warn('Error parsing streaming data:', e, 'Line:', line);
               // Don't break the stream on parse errors
@@ -247,7 +271,13 @@ class StreamHandler {
         }
       }
       
-      return this.collectedContent;
+      // Text held back in case it was the start of a tag
+      this.broadcastParts(agentId, parser.flush(), first);
+      
+      return {
+        content: this.collectedContent.get(agentId) || '',
+        reasoning: this.collectedReasoning.get(agentId) || ''
+      };
     } catch (error) {
       console.error('Error processing stream:', error);
       
@@ -274,32 +304,91 @@ class StreamHandler {
         agentId
       });
       this.activeStreams.delete(agentId);
+      this.collectedContent.delete(agentId);
+      this.collectedReasoning.delete(agentId);
     }
   }
   
   /**
-   * Append content to the collected content buffer with size limits
+   * Broadcast the answer and the reasoning in a chunk of a stream; the
+   * reasoning comes in its own field or between <think> tags in the answer
+   * @param {string} agentId - The agent whose stream it is
+   * @param {Object} data - The parsed chunk
+   * @param {ReasoningParser} parser - Splits <think> blocks from the answer
+   * @param {Object} first - Which of the two has not been sent yet
+   */
+  broadcastDelta(agentId, data, parser, first) {
+    const delta = data.choices?.[0]?.delta || data.choices?.[0]?.message || {};
+    const parts = parser.push(delta.content || '');
+    
+    this.broadcastParts(agentId, {
+      content: parts.content,
+      reasoning: reasoningField(delta) + parts.reasoning,
+      restart: parts.restart
+    }, first);
+  }
+  
+  /**
+   * Collect and broadcast the reasoning and answer split from a chunk; with
+   * `restart`, the answer sent so far is taken back, as it was reasoning
+   */
+  broadcastParts(agentId, { content, reasoning, restart = false }, first) {
+    if (restart) {
+      this.collectedContent.set(agentId, '');
+      first.content = true;
+    }
+    
+    if (reasoning) {
+      this.appendToCollectedContent(agentId, reasoning, this.collectedReasoning);
+      this.broadcastToAgentTabs(agentId, {
+        action: 'STREAM_REASONING',
+        content: reasoning,
+        isFirst: first.reasoning,
+        restart,
+        agentId
+      });
+      first.reasoning = false;
+    }
+    
+    if (content) {
+      this.appendToCollectedContent(agentId, content);
+      this.broadcastToAgentTabs(agentId, {
+        action: 'STREAM_CONTENT',
+        content,
+        isFirst: first.content,
+        agentId
+      });
+      first.content = false;
+    }
+  }
+  
+  /**
+   * Append content to an agent's collected content buffer with size limits
+   * @param {string} agentId - The agent whose stream the content belongs to
    * @param {string} content - Content to append
+   * @param {Map} buffers - The collected content, or the collected reasoning
    */
-  appendToCollectedContent(content) {
-    this.collectedContent += content;
+  appendToCollectedContent(agentId, content, buffers = this.collectedContent) {
+    let collected = (buffers.get(agentId) || '') + content;
     
     // If we exceed the maximum buffer size, trim the content
-    if (this.collectedContent.length > this.MAX_BUFFER_SIZE) {
+    if (collected.length > this.MAX_BUFFER_SIZE) {
       // Keep the most recent content by trimming from the beginning
       // This preserves context for any new tabs that might join
-      const excessLength = this.collectedContent.length - this.MAX_BUFFER_SIZE;
-      this.collectedContent = this.collectedContent.substring(excessLength);
+      const excessLength = collected.length - this.MAX_BUFFER_SIZE;
+      collected = collected.substring(excessLength);
       
       // Make sure we don't cut in the middle of a word or a UTF-8 character
       // Find the first space after the beginning of the string
-      const firstSpaceIndex = this.collectedContent.indexOf(' ');
+      const firstSpaceIndex = collected.indexOf(' ');
       if (firstSpaceIndex > 0) {
-        this.collectedContent = this.collectedContent.substring(firstSpaceIndex + 1);
+        collected = collected.substring(firstSpaceIndex + 1);
       }
       
-      console.log(`Trimmed collected content to prevent memory growth (current size: ${this.collectedContent.length} bytes)`);
+      console.log(`Trimmed collected content for agent ${agentId} to prevent memory growth (current size: ${collected.length} bytes)`);
     }
+    
+    buffers.set(agentId, collected);
   }
   
   /**
@@ -318,11 +407,23 @@ class StreamHandler {
   }
   
   /**
-   * Cancel a specific stream
+   * Cancel a specific stream, aborting its HTTP request
    * @param {string} agentId - The agent ID of the stream to cancel
+   * @returns {boolean} - Whether there was a request or stream to cancel
    */
   cancelStream(agentId) {
+    const controller = this.requestControllers.get(agentId);
     const streamReader = this.activeStreams.get(agentId);
+    if (!controller && !streamReader) {
+      return false;
+    }
+    
+    if (controller) {
+      controller.abort();
+      this.requestControllers.delete(agentId);
+      console.log(`Aborted request for agent ${agentId}`);
+    }
+    
     if (streamReader) {
       try {
         streamReader.cancel('Stream cancelled');
@@ -332,17 +433,15 @@ class StreamHandler {
       }
       
       this.activeStreams.delete(agentId);
-      
-      // Notify all tabs that the stream was cancelled
-      this.broadcastToAgentTabs(agentId, {
-        action: 'HIDE_LOADING',
-        agentId
-      });
-      
-      return true;
     }
     
-    return false;
+    // Notify all tabs that the stream was cancelled
+    this.broadcastToAgentTabs(agentId, {
+      action: 'HIDE_LOADING',
+      agentId
+    });
+    
+    return true;
   }
   
   /**
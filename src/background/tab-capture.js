@@ -0,0 +1,178 @@
+/**
+ * Tab Capture
+ *
+ * Collects content from the frames of a tab with chrome.scripting, for
+ * cross-origin frames the content script in the top frame cannot read, and
+ * captures other tabs attached to a question through their content script
+ */
+
+const FRAME_CAPTURE_FILE = 'frame-capture.js';
+const FRAME_CAPTURE_TIMEOUT = 3000;
+
+const CONTENT_SCRIPT_FILE = 'content.js';
+const TAB_CAPTURE_TIMEOUT = 15000;
+
+// What sendMessage rejects with when no content script listens in the tab
+const NO_RECEIVER = /Receiving end does not exist|Could not establish connection/i;
+
+// Frames with less text than this are usually ads, trackers or widgets
+const MIN_FRAME_TEXT_LENGTH = 50;
+
+// Known ad and tracking frame hosts
+const AD_FRAME_HOSTS = /doubleclick\.net|googlesyndication\.com|adservice\.google|amazon-adsystem\.com|adnxs\.com|criteo\.|taboola\.com|outbrain\.com/i;
+
+/**
+ * Run the frame capture in every frame of a tab
+ */
+async function runFrameCapture(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    files: [FRAME_CAPTURE_FILE]
+  });
+
+  return chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => self.__webpageCaptureFrame?.() || null
+  });
+}
+
+/**
+ * Capture the text of the cross-origin frames in a tab
+ *
+ * Frames the top frame's content script can walk into itself are left
+ * out, as are frames with little text and known ad frames.
+ *
+ * @param {number} tabId - The tab to capture
+ * @returns {Promise<Array<{url: string, title: string, blocks: Array<string>}>>}
+ */
+export async function captureCrossOriginFrames(tabId) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      console.warn('Frame capture timed out for tab', tabId);
+      resolve([]);
+    }, FRAME_CAPTURE_TIMEOUT);
+  });
+
+  let results;
+  try {
+    results = await Promise.race([runFrameCapture(tabId), timeout]);
+  } catch (error) {
+    console.warn('Could not capture frames for tab', tabId, error.message);
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const frames = (results || [])
+    .filter(injection => injection.frameId !== 0 && injection.result)
+    .map(injection => injection.result)
+    .filter(frame => !frame.reachable &&
+      !AD_FRAME_HOSTS.test(frame.url) &&
+      frame.blocks.join('\n\n').length >= MIN_FRAME_TEXT_LENGTH)
+    .map(({ url, title, blocks }) => ({ url, title, blocks }));
+
+  console.log(`Captured ${frames.length} cross-origin frames for tab`, tabId);
+  return frames;
+}
+
+/**
+ * Ask the content script of a tab for its page capture
+ */
+async function requestPageCapture(tabId) {
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'CAPTURE_PAGE' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from the tab');
+  }
+  return response.data;
+}
+
+/**
+ * Capture the page in another tab
+ *
+ * Tabs opened before the extension was installed or reloaded have no
+ * content script yet, so it is injected and the capture retried.
+ *
+ * @param {number} tabId - The tab to capture
+ * @returns {Promise<{tabId: number, url: string, title: string, content: string, pageType: string, structure: Object}>}
+ */
+export async function captureTab(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!/^https?:/i.test(tab.url || '')) {
+    throw new Error('Only web pages can be attached');
+  }
+  if (tab.discarded) {
+    throw new Error('The tab is unloaded, open it once and try again');
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('The tab took too long to respond')), TAB_CAPTURE_TIMEOUT);
+  });
+
+  const capture = async () => {
+    try {
+      return await requestPageCapture(tabId);
+    } catch (error) {
+      // A content script that answered with an error is already running
+      if (!NO_RECEIVER.test(error.message)) {
+        throw error;
+      }
+      console.log('No content script answered in tab', tabId, '- injecting it');
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: [CONTENT_SCRIPT_FILE]
+      });
+      return requestPageCapture(tabId);
+    }
+  };
+
+  try {
+    const page = await Promise.race([capture(), timeout]);
+    return {
+      tabId,
+      url: page.url,
+      title: page.title,
+      content: page.text,
+      pageType: page.pageType || null,
+      structure: page.structure || null
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Capture several attached tabs, one after the other
+ *
+ * A tab that cannot be read is kept in the result with an `error`, so the
+ * agent knows it was meant to be part of the question.
+ *
+ * @param {Array<number>} tabIds - The tabs to capture
+ * @returns {Promise<Array<Object>>} - One source per tab, in the given order
+ */
+export async function captureTabs(tabIds) {
+  const sources = [];
+  for (const tabId of tabIds) {
+    try {
+      sources.push(await captureTab(tabId));
+    } catch (error) {
+      console.warn('Could not capture tab', tabId, error.message);
+      let tab = null;
+      try {
+        tab = await chrome.tabs.get(tabId);
+      } catch (e) {
+        // The tab was closed
+      }
+      sources.push({
+        tabId,
+        url: tab?.url || '',
+        title: tab?.title || `Tab ${tabId}`,
+        error: error.message
+      });
+    }
+  }
+
+  console.log(`Captured ${sources.filter(source => !source.error).length} of ${tabIds.length} attached tabs`);
+  return sources;
+}
@@ -0,0 +1,302 @@
+/**
+ * Element Picker
+ *
+ * Lets the user point at regions of the page, devtools style, to use as the
+ * chat context instead of the whole page. The hovered element gets a
+ * highlight box, a click picks or unpicks it, and picked elements stay
+ * outlined while the picker is active. Esc leaves the picker.
+ */
+
+const HOVER_STYLE = `
+  position: fixed;
+  pointer-events: none;
+  z-index: 9999;
+  background: rgba(76, 175, 80, 0.15);
+  border: 1px solid #4CAF50;
+  display: none;
+`;
+
+const OUTLINE_STYLE = `
+  position: fixed;
+  pointer-events: none;
+  z-index: 9998;
+  border: 2px solid #4CAF50;
+  box-shadow: 0 0 0 1px white;
+`;
+
+/**
+ * Describe an element for the chip row, e.g. `section#pricing "Plans and pricing"`
+ *
+ * @param {Element} element - A picked element
+ * @returns {string} - A short label
+ */
+export function describeElement(element) {
+  let label = element.tagName.toLowerCase();
+  if (element.id) {
+    label += `#${element.id}`;
+  } else if (element.classList.length > 0) {
+    label += `.${element.classList[0]}`;
+  }
+
+  const heading = element.matches('h1, h2, h3, h4, h5, h6')
+    ? element
+    : element.querySelector('h1, h2, h3, h4, h5, h6');
+  const text = (heading || element).textContent.replace(/\s+/g, ' ').trim();
+  if (text) {
+    label += ` "${text.length > 30 ? text.slice(0, 30) + '…' : text}"`;
+  }
+  return label;
+}
+
+/**
+ * Place a box over the viewport rectangle of an element
+ */
+function positionBox(box, element) {
+  const rect = element.getBoundingClientRect();
+  box.style.top = `${rect.top}px`;
+  box.style.left = `${rect.left}px`;
+  box.style.width = `${rect.width}px`;
+  box.style.height = `${rect.height}px`;
+}
+
+class ElementPicker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.ignore - Returns true for elements that cannot be picked (e.g. the panel)
+   * @param {Function} options.onChange - Called with the picked elements after every change
+   * @param {Function} options.onStop - Called when the picker is turned off
+   */
+  constructor({ ignore = () => false, onChange = () => {}, onStop = () => {} } = {}) {
+    this.ignore = ignore;
+    this.onChange = onChange;
+    this.onStop = onStop;
+
+    this.active = false;
+    this.elements = [];
+    this.hoverBox = null;
+    this.hoverTarget = null;
+    this.outlineBoxes = [];
+    this.refreshFrame = null;
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.scheduleRefresh = this.scheduleRefresh.bind(this);
+  }
+
+  /**
+   * Turn the picker on
+   */
+  start() {
+    if (this.active) return;
+    this.active = true;
+
+    this.hoverBox = document.createElement('div');
+    this.hoverBox.className = 'ai-assistant-picker-hover';
+    this.hoverBox.style.cssText = HOVER_STYLE;
+    document.documentElement.appendChild(this.hoverBox);
+
+    // Capture phase, so the page does not act on the clicks
+    document.addEventListener('mousemove', this.handleMouseMove, true);
+    document.addEventListener('mousedown', this.handleMouseDown, true);
+    document.addEventListener('mouseup', this.handleMouseDown, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    window.addEventListener('scroll', this.scheduleRefresh, true);
+    window.addEventListener('resize', this.scheduleRefresh);
+
+    this.renderOutlines();
+    console.log('Element picker started');
+  }
+
+  /**
+   * Turn the picker off, keeping the picked elements
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+
+    document.removeEventListener('mousemove', this.handleMouseMove, true);
+    document.removeEventListener('mousedown', this.handleMouseDown, true);
+    document.removeEventListener('mouseup', this.handleMouseDown, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    window.removeEventListener('scroll', this.scheduleRefresh, true);
+    window.removeEventListener('resize', this.scheduleRefresh);
+
+    if (this.refreshFrame) {
+      cancelAnimationFrame(this.refreshFrame);
+      this.refreshFrame = null;
+    }
+    this.hoverBox?.remove();
+    this.hoverBox = null;
+    this.hoverTarget = null;
+    this.removeOutlines();
+
+    console.log('Element picker stopped');
+    this.onStop();
+  }
+
+  /**
+   * Get the pickable element under a mouse event
+   */
+  resolveTarget(event) {
+    // The first entry of the composed path reaches into open shadow roots
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (!(target instanceof Element)) return null;
+    if (target === document.documentElement || target === document.body) return null;
+    if (target === this.hoverBox || this.ignore(target)) return null;
+    return target;
+  }
+
+  /**
+   * Highlight the element under the mouse
+   */
+  handleMouseMove(event) {
+    const target = this.resolveTarget(event);
+    if (!target) {
+      this.hoverBox.style.display = 'none';
+      return;
+    }
+
+    positionBox(this.hoverBox, target);
+    this.hoverBox.style.display = 'block';
+    this.hoverTarget = target;
+  }
+
+  /**
+   * Keep the page from reacting to presses on pickable elements
+   */
+  handleMouseDown(event) {
+    if (!this.resolveTarget(event)) return;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Pick or unpick the clicked element
+   */
+  handleClick(event) {
+    const target = this.resolveTarget(event);
+    if (!target) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.toggle(target);
+  }
+
+  /**
+   * Leave the picker on Esc
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.stop();
+    }
+  }
+
+  /**
+   * Pick an element, or unpick it if it is already picked
+   *
+   * A picked element replaces picked elements that contain it or that it
+   * contains, so no region is sent twice.
+   */
+  toggle(element) {
+    if (this.elements.includes(element)) {
+      this.elements = this.elements.filter(picked => picked !== element);
+    } else {
+      this.elements = this.elements
+        .filter(picked => !picked.contains(element) && !element.contains(picked))
+        .concat(element);
+    }
+    this.changed();
+  }
+
+  /**
+   * Unpick one element
+   */
+  remove(element) {
+    this.elements = this.elements.filter(picked => picked !== element);
+    this.changed();
+  }
+
+  /**
+   * Unpick every element
+   */
+  clear() {
+    this.elements = [];
+    this.changed();
+  }
+
+  /**
+   * Get the picked elements that are still in the page
+   *
+   * @returns {Array<Element>}
+   */
+  getElements() {
+    const connected = this.elements.filter(element => element.isConnected);
+    if (connected.length !== this.elements.length) {
+      // The page re-rendered some of them
+      this.elements = connected;
+      this.changed();
+    }
+    return connected;
+  }
+
+  /**
+   * Redraw outlines and notify the listener
+   */
+  changed() {
+    if (this.active) {
+      this.renderOutlines();
+    }
+    this.onChange(this.elements);
+  }
+
+  /**
+   * Move the boxes after scrolling or resizing, once per frame
+   */
+  scheduleRefresh() {
+    if (this.refreshFrame) return;
+    this.refreshFrame = requestAnimationFrame(() => {
+      this.refreshFrame = null;
+      if (!this.active) return;
+
+      if (this.hoverBox && this.hoverTarget?.isConnected) {
+        positionBox(this.hoverBox, this.hoverTarget);
+      }
+      this.elements.forEach((element, index) => {
+        if (this.outlineBoxes[index]) {
+          positionBox(this.outlineBoxes[index], element);
+        }
+      });
+    });
+  }
+
+  /**
+   * Outline every picked element
+   */
+  renderOutlines() {
+    this.removeOutlines();
+    this.outlineBoxes = this.elements.map(element => {
+      const box = document.createElement('div');
+      box.className = 'ai-assistant-picker-outline';
+      box.style.cssText = OUTLINE_STYLE;
+      positionBox(box, element);
+      document.documentElement.appendChild(box);
+      return box;
+    });
+  }
+
+  /**
+   * Remove the outline boxes
+   */
+  removeOutlines() {
+    this.outlineBoxes.forEach(box => box.remove());
+    this.outlineBoxes = [];
+  }
+}
+
+export default ElementPicker;
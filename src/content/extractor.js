@@ -0,0 +1,693 @@
+/**
+ * Page Content Extractor
+ *
+ * Finds the main content of a page with Readability-style scoring,
+ * drops boilerplate and serializes the result as lightly structured text
+ * (Markdown-like headings, lists and paragraphs) within a character budget.
+ * Serialization follows open shadow roots and same-origin iframes, and can
+ * splice in text captured from cross-origin frames by the background.
+ */
+
+// Class/id hints, adapted from Mozilla Readability
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|consent|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|consent|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements that never carry main content
+const SKIP_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'OBJECT', 'EMBED',
+  'NAV', 'ASIDE', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'DIALOG'
+]);
+
+// ARIA landmarks that are boilerplate by definition
+const SKIP_ROLES = new Set([
+  'navigation', 'banner', 'contentinfo', 'complementary', 'dialog',
+  'alertdialog', 'search', 'menu', 'menubar', 'toolbar'
+]);
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+  'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TR', 'UL'
+]);
+
+const PARAGRAPH_TAGS = new Set(['P', 'PRE', 'TD', 'BLOCKQUOTE', 'DD']);
+
+const TRUNCATION_NOTICE = '[Content truncated to fit the capture budget]';
+
+/**
+ * Get the markers placed around the content of an embedded frame
+ */
+export function frameMarkers(label) {
+  return {
+    start: `[Frame: ${label}]`,
+    end: `[End of frame: ${label}]`
+  };
+}
+
+/**
+ * Check whether an element is hidden from the reader
+ */
+function isHidden(element) {
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+    return true;
+  }
+  const style = element.ownerDocument.defaultView?.getComputedStyle(element);
+  return !!style && (style.display === 'none' || style.visibility === 'hidden');
+}
+
+/**
+ * Check whether an element is boilerplate that should be dropped
+ */
+export function isBoilerplate(element) {
+  // Inline SVG keeps its lowercase tag name in HTML documents
+  if (SKIP_TAGS.has(element.tagName.toUpperCase())) return true;
+  if (element.localName === 'ai-assistant-host') return true;
+
+  const role = element.getAttribute('role');
+  if (role && SKIP_ROLES.has(role)) return true;
+
+  // Site headers and footers, but not the ones inside an article
+  if ((element.tagName === 'HEADER' || element.tagName === 'FOOTER') &&
+      !element.parentElement?.closest('article, main, [role="main"]')) {
+    return true;
+  }
+
+  const matchString = `${element.className || ''} ${element.id || ''}`;
+  if (UNLIKELY_CANDIDATES.test(matchString) &&
+      !MAYBE_CANDIDATE.test(matchString) &&
+      !element.closest('article, main, [role="main"]') &&
+      element.tagName !== 'BODY') {
+    return true;
+  }
+
+  return isHidden(element);
+}
+
+/**
+ * Get the class/id weight of an element
+ */
+function getClassWeight(element) {
+  let weight = 0;
+  const className = typeof element.className === 'string' ? element.className : '';
+  if (className) {
+    if (NEGATIVE.test(className)) weight -= 25;
+    if (POSITIVE.test(className)) weight += 25;
+  }
+  if (element.id) {
+    if (NEGATIVE.test(element.id)) weight -= 25;
+    if (POSITIVE.test(element.id)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Get the initial score of a candidate element based on its tag
+ */
+function getTagScore(element) {
+  switch (element.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      return 10;
+    case 'DIV':
+    case 'SECTION':
+      return 5;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      return 3;
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'DT':
+    case 'LI':
+    case 'FORM':
+      return -3;
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+    case 'TH':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the ratio of link text to all text in an element
+ */
+function getLinkDensity(element) {
+  const textLength = normalizeText(element.textContent).length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += normalizeText(link.textContent).length;
+  });
+  return linkLength / textLength;
+}
+
+/**
+ * Collapse whitespace runs into single spaces
+ */
+export function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the parent of an element, stepping out of shadow roots to their host
+ */
+export function getParentElement(element) {
+  return element.parentElement || element.parentNode?.host || null;
+}
+
+/**
+ * Find all elements matching a selector, including inside open shadow roots
+ */
+export function querySelectorAllDeep(root, selector) {
+  const results = Array.from(root.querySelectorAll(selector));
+  root.querySelectorAll('*').forEach(element => {
+    if (element.shadowRoot) {
+      results.push(...querySelectorAllDeep(element.shadowRoot, selector));
+    }
+  });
+  return results;
+}
+
+/**
+ * Check whether an element or one of its ancestors is boilerplate
+ * @param {Map} cache - Results already computed during this pass
+ */
+function hasBoilerplateAncestor(element, root, cache) {
+  if (!element || element === root) return false;
+  if (cache.has(element)) return cache.get(element);
+
+  const result = isBoilerplate(element) || hasBoilerplateAncestor(getParentElement(element), root, cache);
+  cache.set(element, result);
+  return result;
+}
+
+/**
+ * Find the element most likely to hold the main content of the document
+ *
+ * @param {Document} doc - The document to search
+ * @returns {Element} - The best candidate, or the body if nothing scores
+ */
+export function findMainContent(doc = document) {
+  const body = doc.body;
+  if (!body) return doc.documentElement;
+
+  const scores = new Map();
+  const boilerplateCache = new Map();
+  const initCandidate = (element) => {
+    if (!scores.has(element)) {
+      scores.set(element, getTagScore(element) + getClassWeight(element));
+    }
+  };
+
+  const paragraphs = querySelectorAllDeep(body, 'p, pre, td, blockquote, dd, div, section');
+  paragraphs.forEach(element => {
+    // Only score divs and sections that act as paragraphs (no block children)
+    if (!PARAGRAPH_TAGS.has(element.tagName) &&
+        element.querySelector('p, div, section, article, table, ul, ol, pre, blockquote')) {
+      return;
+    }
+
+    const text = normalizeText(element.textContent);
+    if (text.length < 25) return;
+    if (hasBoilerplateAncestor(element, body, boilerplateCache)) return;
+
+    // Base point, commas and length
+    let contentScore = 1;
+    contentScore += text.split(/[,，、]/).length;
+    contentScore += Math.min(Math.floor(text.length / 100), 3);
+
+    // Propagate to ancestors with decaying weight
+    let ancestor = getParentElement(element);
+    let level = 0;
+    while (ancestor && level < 5) {
+      initCandidate(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+      if (ancestor === body) break;
+      ancestor = getParentElement(ancestor);
+      level++;
+    }
+  });
+
+  let topCandidate = null;
+  let topScore = 0;
+  for (const [element, score] of scores.entries()) {
+    const adjustedScore = score * (1 - getLinkDensity(element));
+    if (adjustedScore > topScore) {
+      topScore = adjustedScore;
+      topCandidate = element;
+    }
+  }
+
+  if (!topCandidate) {
+    return doc.querySelector('article, main, [role="main"]') || body;
+  }
+
+  // A lone paragraph wrapper usually means the article is its parent
+  const topParent = topCandidate !== body ? getParentElement(topCandidate) : null;
+  if (topParent &&
+      topParent !== body &&
+      normalizeText(topCandidate.textContent).length < 500) {
+    const parent = topParent;
+    if ((scores.get(parent) || 0) >= topScore / 3) {
+      topCandidate = parent;
+    }
+  }
+
+  return topCandidate;
+}
+
+/**
+ * Get the child nodes of a node in rendered order
+ *
+ * Elements with an open shadow root render the shadow tree instead of
+ * their children, and slots render the nodes assigned to them (or their
+ * fallback content when nothing is assigned).
+ */
+function getRenderedChildren(node) {
+  if (node.shadowRoot) {
+    return node.shadowRoot.childNodes;
+  }
+  if (node.tagName === 'SLOT' && typeof node.assignedNodes === 'function') {
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length > 0) {
+      return assigned;
+    }
+  }
+  return node.childNodes;
+}
+
+/**
+ * Serializes a DOM subtree into Markdown-like text blocks
+ */
+class TextSerializer {
+  /**
+   * @param {Object} options
+   * @param {string} options.exclude - Selector for elements to drop
+   * @param {Set<Element>} options.keep - Elements kept even if they look like boilerplate
+   * @param {Map<string, Object>} options.frames - Cross-origin frame captures by URL,
+   *   removed from the map once placed
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.blocks = [];
+    this.inline = '';
+  }
+
+  /**
+   * Check whether an element should be left out
+   */
+  isSkipped(element) {
+    if (this.options.keep?.has(element)) return false;
+    if (this.options.exclude && element.matches(this.options.exclude)) return true;
+    return isBoilerplate(element);
+  }
+
+  /**
+   * Push any pending inline text as a block
+   */
+  flush() {
+    const text = this.inline.replace(/[ \t\r\n]+/g, ' ').trim();
+    if (text) {
+      this.blocks.push(text);
+    }
+    this.inline = '';
+  }
+
+  /**
+   * Push a complete block
+   */
+  addBlock(text) {
+    this.flush();
+    if (text && text.trim()) {
+      this.blocks.push(text);
+    }
+  }
+
+  /**
+   * Get the inline text of an element without serializing blocks
+   */
+  getInlineText(element, skip = null) {
+    const serializer = new TextSerializer(this.options);
+    serializer.walkChildren(element, skip);
+    serializer.flush();
+    return serializer.blocks.join(' ');
+  }
+
+  /**
+   * Walk the children of a node
+   */
+  walkChildren(node, skip = null) {
+    for (const child of getRenderedChildren(node)) {
+      if (skip && skip(child)) continue;
+      this.walk(child);
+    }
+  }
+
+  /**
+   * Serialize the content of an iframe between frame markers
+   *
+   * Same-origin frames are walked directly. Cross-origin frames use the
+   * text captured by the background, matched by URL.
+   */
+  serializeFrame(frame) {
+    const label = normalizeText(frame.getAttribute('title')) || frame.src || 'embedded frame';
+    const { start, end } = frameMarkers(label);
+
+    let frameDoc = null;
+    try {
+      frameDoc = frame.contentDocument;
+    } catch (e) {
+      // Cross-origin
+    }
+
+    this.flush();
+    const startIndex = this.blocks.length;
+    this.blocks.push(start);
+
+    if (frameDoc?.body) {
+      this.walkChildren(frameDoc.body);
+      this.flush();
+    } else if (this.options.frames?.has(frame.src)) {
+      const capture = this.options.frames.get(frame.src);
+      this.options.frames.delete(frame.src);
+      this.blocks.push(...capture.blocks);
+    }
+
+    // Leave out frames without any text
+    if (this.blocks.length === startIndex + 1) {
+      this.blocks.pop();
+      return;
+    }
+    this.blocks.push(end);
+  }
+
+  /**
+   * Walk a node and append its content
+   */
+  walk(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      this.inline += node.textContent;
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const element = node;
+    if (this.isSkipped(element)) return;
+
+    const tag = element.tagName;
+
+    if (/^H[1-6]$/.test(tag)) {
+      const text = normalizeText(this.getInlineText(element));
+      if (text) {
+        this.addBlock(`${'#'.repeat(parseInt(tag[1], 10))} ${text}`);
+      }
+      return;
+    }
+
+    switch (tag) {
+      case 'BR':
+        this.inline += '\n';
+        return;
+      case 'HR':
+        this.addBlock('---');
+        return;
+      case 'IMG':
+        if (element.alt && element.alt.trim()) {
+          this.inline += ` [Image: ${normalizeText(element.alt)}] `;
+        }
+        return;
+      case 'PRE':
+        this.addBlock('```\n' + element.textContent.replace(/\n+$/, '') + '\n```');
+        return;
+      case 'UL':
+      case 'OL':
+        this.flush();
+        this.serializeList(element, 0);
+        return;
+      case 'BLOCKQUOTE': {
+        const inner = new TextSerializer(this.options);
+        inner.walkChildren(element);
+        inner.flush();
+        const quoted = inner.blocks.join('\n\n').split('\n').map(line => `> ${line}`).join('\n');
+        this.addBlock(quoted);
+        return;
+      }
+      case 'TABLE':
+        this.serializeTable(element);
+        return;
+      case 'IFRAME':
+      case 'FRAME':
+        this.serializeFrame(element);
+        return;
+      default:
+        break;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) this.flush();
+    this.walkChildren(element);
+    if (isBlock) this.flush();
+  }
+
+  /**
+   * Serialize a list, keeping nesting as indentation
+   */
+  serializeList(list, depth) {
+    const ordered = list.tagName === 'OL';
+    let index = parseInt(list.getAttribute('start'), 10) || 1;
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    for (const item of list.children) {
+      if (item.tagName !== 'LI' || this.isSkipped(item)) continue;
+
+      const isNestedList = child => child.nodeType === Node.ELEMENT_NODE &&
+        (child.tagName === 'UL' || child.tagName === 'OL');
+      const text = normalizeText(this.getInlineText(item, isNestedList));
+      const marker = ordered ? `${index++}.` : '-';
+      if (text) {
+        lines.push(`${indent}${marker} ${text}`);
+      }
+
+      for (const child of item.children) {
+        if (isNestedList(child)) {
+          const nested = new TextSerializer(this.options);
+          nested.serializeList(child, depth + 1);
+          lines.push(...nested.blocks);
+        }
+      }
+    }
+
+    if (lines.length > 0) {
+      this.blocks.push(lines.join('\n'));
+    }
+  }
+
+  /**
+   * Serialize a table as a Markdown table
+   */
+  serializeTable(table) {
+    const block = tableToMarkdown(table, cell => normalizeText(this.getInlineText(cell)));
+    this.addBlock(block);
+  }
+}
+
+/**
+ * Convert a table element to a Markdown table
+ *
+ * The first row is used as the header row. Cells spanning several columns
+ * are followed by empty cells so that columns stay aligned.
+ *
+ * @param {HTMLTableElement} table - The table to convert
+ * @param {Function} getCellText - Returns the text of a cell
+ * @returns {string} - The Markdown table, or an empty string
+ */
+export function tableToMarkdown(table, getCellText = cell => normalizeText(cell.textContent)) {
+  const rows = [];
+  table.querySelectorAll('tr').forEach(row => {
+    // Skip rows of nested tables
+    if (row.closest('table') !== table) return;
+
+    const cells = [];
+    Array.from(row.children)
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .forEach(cell => {
+        cells.push(getCellText(cell).replace(/\|/g, '\\|'));
+        const span = Math.min(parseInt(cell.getAttribute('colspan'), 10) || 1, 20);
+        for (let i = 1; i < span; i++) cells.push('');
+      });
+    if (cells.some(Boolean)) {
+      rows.push(cells);
+    }
+  });
+
+  if (rows.length === 0) return '';
+
+  // Single-cell layout tables are just text
+  const columnCount = Math.max(...rows.map(row => row.length));
+  if (columnCount === 1) {
+    return rows.map(row => row[0]).join('\n');
+  }
+
+  const formatRow = row => {
+    const padded = [...row, ...new Array(columnCount - row.length).fill('')];
+    return `| ${padded.join(' | ')} |`;
+  };
+
+  const [header, ...body] = rows;
+  return [
+    formatRow(header),
+    `|${new Array(columnCount).fill(' --- ').join('|')}|`,
+    ...body.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Serialize elements into text blocks
+ *
+ * @param {Array<Element>} elements - Elements to serialize
+ * @param {Object} options - Serializer options (exclude, keep)
+ * @returns {Array<string>} - Text blocks
+ */
+export function serializeElements(elements, options = {}) {
+  const serializer = new TextSerializer(options);
+  elements.forEach(element => serializer.walk(element));
+  serializer.flush();
+  return serializer.blocks;
+}
+
+/**
+ * Join text blocks, cutting at a block boundary when over budget
+ *
+ * @param {Array<string>} blocks - Text blocks
+ * @param {number} maxChars - Maximum number of characters
+ * @returns {{text: string, truncated: boolean}}
+ */
+export function applyBudget(blocks, maxChars) {
+  let text = '';
+  for (const block of blocks) {
+    const next = text ? `${text}\n\n${block}` : block;
+    if (next.length > maxChars) {
+      // Always keep something, even if the first block is too long
+      if (!text) {
+        text = block.slice(0, maxChars);
+      }
+      return { text: `${text}\n\n${TRUNCATION_NOTICE}`, truncated: true };
+    }
+    text = next;
+  }
+  return { text, truncated: false };
+}
+
+/**
+ * Combine valid selectors into one selector list, dropping invalid ones
+ *
+ * @param {Document} doc - Document used to validate the selectors
+ * @param {Array<string>} selectors - CSS selectors
+ * @returns {string|null} - The combined selector, or null if none are valid
+ */
+export function combineSelectors(doc, selectors = []) {
+  const valid = selectors.filter(selector => {
+    try {
+      doc.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      console.warn('Ignoring invalid selector:', selector);
+      return false;
+    }
+  });
+  return valid.length > 0 ? valid.join(', ') : null;
+}
+
+/**
+ * Find the outermost elements matching a selector, in document order
+ */
+function findIncludedElements(doc, selector) {
+  const matches = Array.from(doc.querySelectorAll(selector));
+  return matches.filter(element =>
+    !matches.some(other => other !== element && other.contains(element)));
+}
+
+/**
+ * Extract the main content of a page
+ *
+ * Elements picked in the panel take precedence over everything else. When
+ * include selectors are given and match, only those elements are
+ * captured; otherwise the main content is found by scoring. Elements
+ * matching the exclude selectors are dropped either way. Cross-origin
+ * frame captures are placed where their iframe is; frames whose iframe
+ * cannot be found in this document are appended at the end.
+ *
+ * @param {Document} doc - The document to extract from
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxChars - Character budget for the result
+ * @param {Array<Element>} options.elements - Elements picked by the user
+ * @param {Array<string>} options.include - Selectors for the elements to capture
+ * @param {Array<string>} options.exclude - Selectors for elements to drop
+ * @param {Array<Object>} options.frames - Cross-origin frame captures ({url, title, blocks})
+ * @returns {{text: string, truncated: boolean, length: number, root: Element}}
+ */
+export function extractPageContent(doc = document, { maxChars, elements = [], include = [], exclude = [], frames = [] } = {}) {
+  const excludeSelector = combineSelectors(doc, exclude);
+  const includeSelector = combineSelectors(doc, include);
+
+  // Each pass gets its own copy, since placed frames are removed from it
+  let remainingFrames;
+  const serialize = (elements, options = {}) => {
+    remainingFrames = new Map(frames.map(frame => [frame.url, frame]));
+    return serializeElements(elements, { ...options, exclude: excludeSelector, frames: remainingFrames });
+  };
+
+  const included = includeSelector ? findIncludedElements(doc, includeSelector) : [];
+  let contentRoot;
+  let blocks;
+
+  if (elements.length > 0) {
+    contentRoot = elements.length === 1 ? elements[0] : doc.body;
+    blocks = serialize(elements, { keep: new Set(elements) });
+  } else if (included.length > 0) {
+    contentRoot = included.length === 1 ? included[0] : doc.body;
+    blocks = serialize(included, { keep: new Set(included) });
+  } else {
+    if (includeSelector) {
+      console.log('Include selectors matched nothing, using default extraction');
+    }
+
+    const root = findMainContent(doc);
+    contentRoot = root;
+    blocks = serialize([root]);
+
+    // If scoring picked something tiny, fall back to the whole body
+    if (root !== doc.body && blocks.join('\n\n').length < 200 && doc.body) {
+      contentRoot = doc.body;
+      blocks = serialize([doc.body]);
+    }
+  }
+
+  // Frames nested in other cross-origin frames have no iframe here to
+  // anchor them; frames whose iframe lies outside the content are dropped
+  const frameUrls = new Set(querySelectorAllDeep(doc, 'iframe, frame').map(frame => frame.src));
+  remainingFrames.forEach(frame => {
+    if (frameUrls.has(frame.url)) return;
+    const { start, end } = frameMarkers(frame.title || frame.url);
+    blocks.push(start, ...frame.blocks, end);
+  });
+
+  const fullLength = blocks.join('\n\n').length;
+  const { text, truncated } = maxChars ? applyBudget(blocks, maxChars) : { text: blocks.join('\n\n'), truncated: false };
+
+  return { text, truncated, length: fullLength, root: contentRoot };
+}
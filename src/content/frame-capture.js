@@ -0,0 +1,48 @@
+/**
+ * Frame Capture
+ *
+ * Injected by the background into every frame of a tab (see
+ * background/tab-capture.js). It registers a function that serializes the
+ * frame's content, so the background can collect text from cross-origin
+ * frames the content script in the top frame cannot read.
+ */
+
+import { serializeElements } from './extractor';
+
+/**
+ * Check whether the top frame's content script can walk into this frame,
+ * which is the case when every frame above it is same-origin with it
+ */
+function isReachableFromTop() {
+  let current = window;
+  while (current !== window.top) {
+    try {
+      // Throws for cross-origin parents
+      void current.parent.document;
+    } catch (e) {
+      return false;
+    }
+    current = current.parent;
+  }
+  return true;
+}
+
+/**
+ * Serialize this frame's document
+ *
+ * @returns {{url: string, title: string, blocks: Array<string>, reachable: boolean}}
+ */
+function captureFrame() {
+  const reachable = isReachableFromTop();
+  const blocks = !reachable && document.body ? serializeElements([document.body]) : [];
+
+  return {
+    url: window.location.href,
+    title: document.title,
+    blocks,
+    reachable
+  };
+}
+
+// Run again on later captures without re-injecting
+self.__webpageCaptureFrame = captureFrame;
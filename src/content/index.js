@@ -9,15 +9,26 @@ import PanelManager from './panel-manager';
 import MessageHandler from './message-handler';
 import { safeSendMessage } from './utils';
 
+// The script is injected again into tabs attached to a question that had
+// no content script; one left behind by a reloaded extension has lost its
+// runtime and is replaced
+const alreadyRunning = Boolean(window.aiAssistantContentScript?.runtime?.id);
+
 // Initialize global instances
-const panelManager = new PanelManager();
-const messageHandler = new MessageHandler(panelManager);
+const panelManager = alreadyRunning ? null : new PanelManager();
+const messageHandler = alreadyRunning ? null : new MessageHandler(panelManager);
 
-// Wait for the DOM to be fully loaded
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initialize);
+if (alreadyRunning) {
+  console.log('AI Assistant content script is already running');
 } else {
-  initialize();
+  window.aiAssistantContentScript = { runtime: chrome.runtime };
+  
+  // Wait for the DOM to be fully loaded
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
 }
 
 /**
@@ -31,11 +42,6 @@ function initialize() {
     return messageHandler.handleMessage(message, sender, sendResponse);
   });
   
-  // Listen for chat messages from the panel
-  document.addEventListener('ai_assistant_chat', (event) => {
-    messageHandler.handleChatEvent(event);
-  });
-  
 
   // Listen for panel toggle events from popup
   document.addEventListener('ai_assistant_toggle_panel', (event) => {
@@ -61,34 +67,5 @@ function initialize() {
   });
 }
 
-/**
- * Gather page information for chat context
- */
-export function gatherPageInfo() {
-  console.log('Gathering page information');
-  const info = {
-    url: window.location.href,
-    text: document.body.innerText.slice(0, 3000), // Limit to 3000 chars
-    title: document.title
-  };
-  console.log('Page info gathered:', {
-    url: info.url,
-    title: info.title,
-    textLength: info.text.length
-  });
-  return info;
-}
-
-// Helper function to safely escape HTML and preserve formatting
-export function formatContent(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;')
-    .replace(/\n/g, '<br>');
-}
-
 // Export for testing
 export { panelManager, messageHandler };
\ No newline at end of file
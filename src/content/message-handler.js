@@ -4,12 +4,16 @@
  * Handles messages between content script and background script
  */
 
-import { gatherPageInfo } from './index';
+import { gatherPageInfo } from './page-info';
 import { safeSendMessage } from './utils';
 
 class MessageHandler {
   constructor(panelManager) {
     this.panel = panelManager;
+    
+    // The panel hands its messages over directly, not through page events
+    // that the page itself could send or read
+    this.panel.onChat = (detail) => this.handleChat(detail);
   }
   
   /**
@@ -25,6 +29,18 @@ class MessageHandler {
       case 'OPEN_CHAT_PANEL':
         return this.handleOpenChatPanel(request, sendResponse);
         
+      case 'ASK_ABOUT_SELECTION':
+        return this.handleAskAboutSelection(request, sendResponse);
+        
+      case 'FOCUS_CHAT_INPUT':
+        return this.handleFocusChatInput(request, sendResponse);
+        
+      case 'CYCLE_AGENT':
+        return this.handleCycleAgent(request, sendResponse);
+        
+      case 'NEW_CONVERSATION':
+        return this.handleNewConversation(request, sendResponse);
+        
       case 'UPDATE_AGENT_TABS':
         return this.handleUpdateAgentTabs(request, sendResponse);
         
@@ -40,6 +56,12 @@ class MessageHandler {
       case 'STREAM_CONTENT':
         return this.handleStreamContent(request, sendResponse);
         
+      case 'STREAM_REASONING':
+        return this.handleStreamReasoning(request, sendResponse);
+        
+      case 'UPDATE_REDACTION_BADGE':
+        return this.handleUpdateRedactionBadge(request, sendResponse);
+        
       case 'SHOW_ERROR':
         return this.handleShowError(request, sendResponse);
         
@@ -66,14 +88,98 @@ class MessageHandler {
     return true;
   }
   
+  /**
+   * Handle ask about selection request from the context menu
+   */
+  handleAskAboutSelection(request, sendResponse) {
+    const { agents, activeAgentId } = request;
+    
+    // Prefer the live selection, which keeps line breaks
+    const liveSelection = window.getSelection()?.toString().trim();
+    const selection = liveSelection || request.selection || '';
+    
+    this.showPanelForAgent(agents, activeAgentId);
+    this.panel.attachSelection(selection);
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  /**
+   * Open the panel on an agent's conversation, or switch the open panel to it
+   */
+  showPanelForAgent(agents, activeAgentId) {
+    const activeAgent = agents.find(a => a.id === activeAgentId);
+    const conversationId = activeAgent ? activeAgent.currentConversationId : null;
+    
+    if (this.panel.hasPanel()) {
+      this.panel.agents = agents;
+      this.panel.updateConversationId(conversationId, activeAgentId);
+    } else {
+      this.panel.getOrCreatePanel(agents, activeAgentId, conversationId);
+    }
+  }
+  
+  /**
+   * Open the panel for the keyboard shortcuts that act on it
+   */
+  ensurePanel(request) {
+    if (!this.panel.hasPanel()) {
+      this.showPanelForAgent(request.agents, request.activeAgentId);
+    }
+  }
+  
+  /**
+   * Handle focus chat input shortcut
+   */
+  handleFocusChatInput(request, sendResponse) {
+    this.ensurePanel(request);
+    this.panel.focusInput();
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  /**
+   * Handle cycle agent shortcut
+   */
+  handleCycleAgent(request, sendResponse) {
+    this.ensurePanel(request);
+    this.panel.cycleAgent(request.step || 1);
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  /**
+   * Handle new conversation shortcut
+   */
+  handleNewConversation(request, sendResponse) {
+    this.ensurePanel(request);
+    this.panel.startNewConversation();
+    sendResponse({ success: true });
+    return true;
+  }
+  
   /**
    * Handle capture page request
    */
   handleCapturePage(sendResponse) {
     console.log('Capturing page content');
-    const pageData = gatherPageInfo();
-    console.log('Sending response back to popup');
-    sendResponse({ success: true, data: pageData });
+    gatherPageInfo()
+      .then(pageData => {
+        console.log('Sending response back to popup');
+        sendResponse({ success: true, data: pageData });
+      })
+      .catch(error => {
+        console.error('Error capturing page content:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
+  /**
+   * Handle update redaction badge request
+   */
+  handleUpdateRedactionBadge(request, sendResponse) {
+    this.panel.updateRedactionBadge(request.total, request.counts);
     return true;
   }
   
@@ -99,7 +205,17 @@ class MessageHandler {
    * Handle show loading request
    */
   handleShowLoading(request, sendResponse) {
-    this.panel.showLoading();
+    if (this.panel.isRoundtableAgent(request.agentId)) {
+      this.panel.setRoundtableStatus(request.agentId, request.message || 'Working...');
+      return true;
+    }
+    
+    // Only show progress for the active agent
+    if (request.agentId && this.panel.activeAgentId !== request.agentId) {
+      return true;
+    }
+    
+    this.panel.showLoading(request.message);
     return true;
   }
   
@@ -107,7 +223,17 @@ class MessageHandler {
    * Handle hide loading request
    */
   handleHideLoading(request, sendResponse) {
+    if (this.panel.isRoundtableAgent(request.agentId)) {
+      this.panel.finishRoundtableColumn(request.agentId);
+      return true;
+    }
+    
     this.panel.hideLoading();
+    
+    // The reply of the active agent is complete
+    if (!request.agentId || this.panel.activeAgentId === request.agentId) {
+      this.panel.finishStreaming();
+    }
     return true;
   }
   
@@ -117,6 +243,11 @@ class MessageHandler {
   handleStreamContent(request, sendResponse) {
     const { content, isFirst, agentId } = request;
     
+    if (this.panel.isRoundtableAgent(agentId)) {
+      this.panel.updateRoundtableContent(agentId, content, isFirst);
+      return true;
+    }
+    
     // Only update if this is for the active agent
     if (agentId && this.panel.activeAgentId !== agentId) {
       // Skip update for different agent
@@ -127,12 +258,37 @@ class MessageHandler {
     return true;
   }
   
+  /**
+   * Handle stream reasoning request
+   */
+  handleStreamReasoning(request, sendResponse) {
+    const { content, isFirst, restart, agentId } = request;
+    
+    if (this.panel.isRoundtableAgent(agentId)) {
+      this.panel.updateRoundtableReasoning(agentId, content, isFirst, restart);
+      return true;
+    }
+    
+    // Only update if this is for the active agent
+    if (agentId && this.panel.activeAgentId !== agentId) {
+      return true;
+    }
+    
+    this.panel.updateReasoning(content, isFirst, restart);
+    return true;
+  }
+  
   /**
    * Handle show error request
    */
   handleShowError(request, sendResponse) {
     const { error, agentId } = request;
     
+    if (this.panel.isRoundtableAgent(agentId)) {
+      this.panel.showRoundtableError(agentId, error);
+      return true;
+    }
+    
     // Only show error if this is for the active agent
     if (agentId && this.panel.activeAgentId !== agentId) {
       // Skip error for different agent
@@ -144,18 +300,25 @@ class MessageHandler {
   }
   
   /**
-   * Handle chat message event from panel
+   * Handle a chat message sent from the panel
+   * @param {Object} detail - The message and what goes with it
    */
-  handleChatEvent(event) {
-    console.log('Content script received chat event:', event.detail);
+  async handleChat(detail) {
+    console.log('Content script received chat message:', detail);
     
     // Gather current page info for context
-    const pageInfo = gatherPageInfo();
+    let pageInfo;
+    try {
+      pageInfo = await this.capturePageInfo();
+    } catch (error) {
+      console.error('Error gathering page info:', error);
+      this.panel.showError('Could not capture the page content: ' + error.message);
+      return;
+    }
     
     // Get conversation ID and agent ID from the panel
-    const panel = document.querySelector('.ai-assistant-panel');
-    const conversationId = panel?.dataset?.conversationId;
-    const agentId = panel?.dataset?.activeAgentId;
+    const conversationId = this.panel.panel?.dataset.conversationId;
+    const agentId = this.panel.panel?.dataset.activeAgentId;
     
     if (!conversationId || !agentId) {
       console.error('No conversation ID or agent ID found');
@@ -163,20 +326,144 @@ class MessageHandler {
       return;
     }
     
-    safeSendMessage({
+    // Capture the screenshot before anything else changes on screen
+    let screenshot = null;
+    if (detail.screenshot) {
+      try {
+        screenshot = await this.captureScreenshot();
+      } catch (error) {
+        console.error('Error capturing screenshot:', error);
+        this.panel.showError('Could not capture a screenshot: ' + error.message);
+        return;
+      }
+    }
+    
+    // Prompt templates are filled in by the background, fields and page
+    // variables together, from the page as it is redacted for the agent
+    const message = detail.message;
+    const template = detail.template || null;
+    
+    // A roundtable goes to every ticked agent, in its own conversation
+    const agentIds = detail.agentIds;
+    if (agentIds) {
+      this.sendRoundtable(agentIds, message, pageInfo, detail, screenshot);
+      return;
+    }
+    
+    this.sendToBackground({
       action: 'CHAT_MESSAGE',
       data: {
-        message: event.detail.message,
+        message,
         url: pageInfo.url,
         pageContent: pageInfo.text,
         title: pageInfo.title,
+        pageType: pageInfo.pageType,
+        structure: pageInfo.structure,
+        selection: detail.selection || null,
+        screenshot,
+        tabIds: detail.tabIds || [],
+        template,
         conversationId: conversationId,
-        agentId: agentId
+        agentId: agentId,
+        rerunOf: detail.rerunOf || null
       }
     }, (error) => {
       this.panel.showError(error.message);
+    }).then(response => {
+      // Reload the thread so the new turn can be edited, regenerated or flipped
+      // (the stored reply replaces the streamed bubble, even if HIDE_LOADING
+      // has not arrived yet)
+      if (response?.success) {
+        this.panel.finishStreaming();
+        this.panel.loadTranscript();
+      }
+    }).catch(error => {
+      console.warn('Chat message failed:', error.message);
     });
   }
+  
+  /**
+   * Send a message to several agents at once
+   * @param {Array<string>} agentIds - The ticked agents
+   * @param {string} message - The message
+   * @param {Object} pageInfo - The captured page
+   * @param {Object} detail - The chat message's details
+   * @param {string} screenshot - Data URL of the screenshot, if any
+   */
+  sendRoundtable(agentIds, message, pageInfo, detail, screenshot) {
+    this.sendToBackground({
+      action: 'ROUNDTABLE_MESSAGE',
+      data: {
+        message,
+        url: pageInfo.url,
+        pageContent: pageInfo.text,
+        title: pageInfo.title,
+        pageType: pageInfo.pageType,
+        structure: pageInfo.structure,
+        selection: detail.selection || null,
+        screenshot,
+        tabIds: detail.tabIds || [],
+        template: detail.template || null,
+        agentIds
+      }
+    }, (error) => {
+      this.panel.showError(error.message);
+    }).then(response => {
+      if (!response?.success) {
+        this.panel.showError(response?.error || 'No response from the extension');
+      }
+    }).catch(error => {
+      console.warn('Roundtable message failed:', error.message);
+    }).finally(() => {
+      // Replies that ended without HIDE_LOADING reaching the panel
+      agentIds.forEach(agentId => this.panel.finishRoundtableColumn(agentId));
+    });
+  }
+  
+  /**
+   * Capture the page the panel is on, or just the picked regions of it
+   * @returns {Promise<Object>} - The page info
+   */
+  capturePageInfo() {
+    return gatherPageInfo({ elements: this.panel.getPickedElements() });
+  }
+  
+  /**
+   * Send a message to the background, retrying while the worker restarts
+   * @param {Object} message - The message
+   * @param {Function} onError - Called if the message can't be delivered
+   * @returns {Promise<*>} - The response
+   */
+  sendToBackground(message, onError) {
+    return safeSendMessage(message, onError);
+  }
+  
+  /**
+   * Capture the visible tab with the panel hidden so it does not cover the page
+   * @returns {Promise<string>} - The screenshot as a data URL
+   */
+  async captureScreenshot() {
+    const host = this.panel.host;
+    const previousVisibility = host ? host.style.visibility : '';
+    
+    try {
+      if (host) {
+        host.style.visibility = 'hidden';
+        // Wait for the page to repaint without the panel
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      }
+      
+      const response = await chrome.runtime.sendMessage({ action: 'CAPTURE_SCREENSHOT' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+      return response.dataUrl;
+    } finally {
+      if (host) {
+        host.style.visibility = previousVisibility;
+      }
+    }
+  }
 }
 
 export default MessageHandler;
\ No newline at end of file
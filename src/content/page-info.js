@@ -0,0 +1,102 @@
+/**
+ * Page Info
+ *
+ * Captures the page the content script runs in as context for the chat
+ */
+
+import { extractPageContent, findMainContent, applyBudget } from './extractor';
+import { runSiteExtractor } from './site-extractors';
+import { collectPageStructure } from './page-structure';
+import { loadCaptureSettings, resolveCharBudget } from '../shared/capture-settings';
+import { loadCaptureRules, findMatchingRule } from '../shared/capture-rules';
+
+/**
+ * Gather page information for chat context
+ *
+ * Extracts the main content of the page (not the raw body text) and
+ * trims it to the capture budget configured in the options page. The
+ * heading outline, links and metadata are collected alongside it.
+ * The first capture rule matching the URL can narrow the content with
+ * include/exclude selectors and override the budget. Pages with a site
+ * extractor (GitHub, Stack Overflow, ...) are captured by it unless the
+ * rule has include selectors. Elements picked in the panel replace both.
+ *
+ * @param {Object} options
+ * @param {Array<Element>} options.elements - Picked elements to capture instead of the main content
+ */
+export async function gatherPageInfo({ elements = [] } = {}) {
+  console.log('Gathering page information');
+  const [settings, rules] = await Promise.all([loadCaptureSettings(), loadCaptureRules()]);
+  const rule = findMatchingRule(rules, window.location.href);
+  if (rule) {
+    console.log('Applying capture rule:', rule.pattern);
+  }
+  
+  const maxChars = rule?.budget || resolveCharBudget(settings);
+  const picked = elements.length > 0;
+  const siteContent = picked || rule?.include?.length ? null : runSiteExtractor(document, window.location.href);
+  
+  // Text of cross-origin frames can only be read from the background
+  const needsFrames = !siteContent &&
+    (!picked || elements.some(element => element.matches('iframe, frame') || element.querySelector('iframe, frame')));
+  const frames = needsFrames ? await captureFrames() : [];
+  
+  let extracted;
+  if (siteContent) {
+    extracted = {
+      ...applyBudget(siteContent.blocks, maxChars),
+      length: siteContent.blocks.join('\n\n').length,
+      root: findMainContent(document)
+    };
+  } else {
+    extracted = extractPageContent(document, {
+      maxChars,
+      elements,
+      include: rule?.include,
+      exclude: rule?.exclude,
+      frames
+    });
+  }
+  const { text, truncated, length, root } = extracted;
+  
+  const info = {
+    url: window.location.href,
+    text,
+    title: document.title,
+    truncated,
+    pageType: siteContent?.label || null,
+    structure: collectPageStructure(document, root)
+  };
+  console.log('Page info gathered:', {
+    url: info.url,
+    title: info.title,
+    textLength: info.text.length,
+    extractedLength: length,
+    truncated,
+    rule: rule?.pattern || null,
+    siteExtractor: siteContent?.id || null,
+    pickedElements: elements.length,
+    crossOriginFrames: frames.length,
+    headings: info.structure.outline.length,
+    links: info.structure.links.length
+  });
+  return info;
+}
+
+/**
+ * Ask the background for the text of cross-origin frames on this page
+ * @returns {Promise<Array<Object>>} - Frame captures, empty if there are none
+ */
+async function captureFrames() {
+  if (window !== window.top || !document.querySelector('iframe, frame')) {
+    return [];
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'CAPTURE_FRAMES' });
+    return response?.success ? response.frames : [];
+  } catch (error) {
+    console.warn('Could not capture cross-origin frames:', error);
+    return [];
+  }
+}
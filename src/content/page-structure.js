@@ -0,0 +1,147 @@
+/**
+ * Page Structure
+ *
+ * Collects the structural parts of a page that plain text loses:
+ * the heading outline, link targets and <meta>/OpenGraph/JSON-LD metadata.
+ */
+
+import { isBoilerplate, normalizeText } from './extractor';
+
+const MAX_OUTLINE_ENTRIES = 100;
+const MAX_LINKS = 100;
+const MAX_JSON_LD_LENGTH = 4000;
+
+// <meta name="..."> entries worth passing on
+const META_NAMES = new Set([
+  'description', 'author', 'keywords', 'generator', 'application-name',
+  'date', 'last-modified', 'robots', 'theme-color'
+]);
+
+// <meta property="..."> prefixes worth passing on
+const META_PROPERTY_PREFIXES = ['og:', 'article:', 'twitter:', 'book:', 'profile:', 'product:'];
+
+/**
+ * Check whether an element is inside boilerplate or our own panel
+ */
+function isExcluded(element) {
+  let current = element;
+  while (current && current !== element.ownerDocument.body) {
+    if (isBoilerplate(current) && !/^H[1-6]$/.test(current.tagName)) return true;
+    current = current.parentElement;
+  }
+  return false;
+}
+
+/**
+ * Collect the heading outline of the document
+ *
+ * @returns {Array<{level: number, text: string}>}
+ */
+export function collectOutline(doc = document) {
+  const outline = [];
+  doc.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    if (outline.length >= MAX_OUTLINE_ENTRIES) return;
+
+    const text = normalizeText(heading.textContent);
+    if (!text || isExcluded(heading)) return;
+
+    outline.push({ level: parseInt(heading.tagName[1], 10), text });
+  });
+  return outline;
+}
+
+/**
+ * Collect the deduplicated links inside an element
+ *
+ * Links are keyed by their absolute URL without the fragment. In-page
+ * anchors and javascript: links are skipped.
+ *
+ * @returns {Array<{text: string, href: string}>}
+ */
+export function collectLinks(root, doc = document) {
+  const links = new Map();
+  const pageUrl = doc.location.href.split('#')[0];
+
+  root.querySelectorAll('a[href]').forEach(anchor => {
+    if (links.size >= MAX_LINKS) return;
+
+    let url;
+    try {
+      url = new URL(anchor.getAttribute('href'), doc.baseURI);
+    } catch (e) {
+      return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+    url.hash = '';
+    const href = url.href;
+    if (href === pageUrl) return;
+
+    const text = normalizeText(anchor.textContent) || normalizeText(anchor.getAttribute('title')) || '';
+    const existing = links.get(href);
+    if (!existing) {
+      links.set(href, { text, href });
+    } else if (!existing.text && text) {
+      existing.text = text;
+    }
+  });
+
+  return Array.from(links.values());
+}
+
+/**
+ * Collect <meta>, OpenGraph and JSON-LD metadata
+ *
+ * @returns {{meta: Object, openGraph: Object, jsonLd: Array<Object>, canonical: string|null, language: string|null}}
+ */
+export function collectMetadata(doc = document) {
+  const meta = {};
+  const openGraph = {};
+
+  doc.querySelectorAll('meta[name], meta[property]').forEach(tag => {
+    const key = (tag.getAttribute('property') || tag.getAttribute('name') || '').toLowerCase();
+    const content = normalizeText(tag.getAttribute('content'));
+    if (!key || !content) return;
+
+    if (META_PROPERTY_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      openGraph[key] = content;
+    } else if (META_NAMES.has(key)) {
+      meta[key] = content;
+    }
+  });
+
+  const jsonLd = [];
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+      items.forEach(item => {
+        if (item && typeof item === 'object' && JSON.stringify(item).length <= MAX_JSON_LD_LENGTH) {
+          jsonLd.push(item);
+        }
+      });
+    } catch (e) {
+      console.warn('Skipping invalid JSON-LD block:', e.message);
+    }
+  });
+
+  const canonical = doc.querySelector('link[rel="canonical"]')?.href || null;
+  const language = doc.documentElement.getAttribute('lang') || null;
+
+  return { meta, openGraph, jsonLd, canonical, language };
+}
+
+/**
+ * Collect the structured parts of a page
+ *
+ * @param {Document} doc - The document
+ * @param {Element} contentRoot - The main content element links are taken from
+ * @returns {{outline: Array, links: Array, metadata: Object}}
+ */
+export function collectPageStructure(doc = document, contentRoot = doc.body) {
+  return {
+    outline: collectOutline(doc),
+    links: collectLinks(contentRoot || doc.body, doc),
+    metadata: collectMetadata(doc)
+  };
+}
@@ -0,0 +1,393 @@
+/**
+ * Panel Layout
+ *
+ * Moves, resizes, docks and collapses the chat panel. The panel floats over
+ * the page and can be dragged by its header and resized from its edges, or
+ * docked to the left or right as a full-height sidebar that pushes the page
+ * aside. Collapsed, it is replaced by a floating bubble. The geometry is
+ * saved per origin and restored the next time the panel opens.
+ */
+
+const STORAGE_KEY = 'panelGeometry';
+const MIN_WIDTH = 280;
+const MIN_HEIGHT = 240;
+const MARGIN = 20;
+const SNAP_DISTANCE = 16; // Dropping the header this close to a side docks the panel
+
+const EDGES = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'];
+
+const EDGE_STYLES = {
+  n: 'top: 0; left: 8px; right: 8px; height: 6px; cursor: ns-resize;',
+  s: 'bottom: 0; left: 8px; right: 8px; height: 6px; cursor: ns-resize;',
+  e: 'right: 0; top: 8px; bottom: 8px; width: 6px; cursor: ew-resize;',
+  w: 'left: 0; top: 8px; bottom: 8px; width: 6px; cursor: ew-resize;',
+  ne: 'top: 0; right: 0; width: 10px; height: 10px; cursor: nesw-resize;',
+  nw: 'top: 0; left: 0; width: 10px; height: 10px; cursor: nwse-resize;',
+  se: 'bottom: 0; right: 0; width: 10px; height: 10px; cursor: nwse-resize;',
+  sw: 'bottom: 0; left: 0; width: 10px; height: 10px; cursor: nesw-resize;'
+};
+
+/**
+ * The geometry of a panel that was never moved: 350px wide in the
+ * bottom-right corner
+ */
+function defaultGeometry() {
+  const width = 350;
+  const height = Math.min(500, window.innerHeight - 2 * MARGIN);
+  return {
+    mode: 'floating',
+    left: window.innerWidth - width - MARGIN,
+    top: window.innerHeight - height - MARGIN,
+    width,
+    height,
+    dockWidth: 380,
+    collapsed: false
+  };
+}
+
+/**
+ * Limit a value to a range
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+class PanelLayout {
+  /**
+   * @param {HTMLElement} panel - The panel element
+   * @param {Object} options
+   * @param {HTMLElement} options.handle - The element the panel is dragged by
+   * @param {Node} options.root - Where to put the bubble, next to the panel
+   * @param {string} options.origin - Origin the geometry is saved for
+   * @param {Function} options.onChange - Called after the panel was docked, undocked, collapsed or expanded
+   */
+  constructor(panel, { handle, root = document.body, origin = window.location.origin, onChange = () => {} } = {}) {
+    this.panel = panel;
+    this.handle = handle;
+    this.root = root;
+    this.origin = origin;
+    this.onChange = onChange;
+    this.geometry = defaultGeometry();
+    this.bubble = null;
+    this.edges = [];
+    this.pageMargin = null; // Margins of the page before it was pushed aside
+
+    this.handleDragStart = this.handleDragStart.bind(this);
+    this.handleWindowResize = this.handleWindowResize.bind(this);
+
+    this.handle.style.cursor = 'move';
+    this.handle.addEventListener('pointerdown', this.handleDragStart);
+    window.addEventListener('resize', this.handleWindowResize);
+    this.createEdges();
+    this.apply();
+  }
+
+  /**
+   * Restore the geometry saved for this origin; the panel always opens expanded
+   */
+  async restore() {
+    try {
+      const data = await chrome.storage.local.get(STORAGE_KEY);
+      const saved = (data[STORAGE_KEY] || {})[this.origin];
+      if (saved && this.panel) {
+        this.geometry = { ...this.geometry, ...saved, collapsed: false };
+        this.apply();
+        this.onChange(this.geometry);
+      }
+    } catch (error) {
+      console.warn('Could not restore the panel geometry:', error);
+    }
+  }
+
+  /**
+   * Save the geometry for this origin
+   */
+  async save() {
+    try {
+      const data = await chrome.storage.local.get(STORAGE_KEY);
+      const geometries = { ...(data[STORAGE_KEY] || {}), [this.origin]: this.geometry };
+      await chrome.storage.local.set({ [STORAGE_KEY]: geometries });
+    } catch (error) {
+      console.warn('Could not save the panel geometry:', error);
+    }
+  }
+
+  /**
+   * Whether the panel is docked as a sidebar
+   */
+  isDocked() {
+    return this.geometry.mode === 'left' || this.geometry.mode === 'right';
+  }
+
+  /**
+   * Dock the panel to a side of the window
+   * @param {string} side - 'left' or 'right'
+   */
+  dock(side) {
+    this.geometry.mode = side;
+    this.geometry.collapsed = false;
+    this.update();
+  }
+
+  /**
+   * Let the panel float over the page again
+   */
+  undock() {
+    this.geometry.mode = 'floating';
+    this.update();
+  }
+
+  /**
+   * Collapse the panel to a bubble, or bring it back
+   */
+  toggleCollapsed() {
+    this.geometry.collapsed = !this.geometry.collapsed;
+    this.update();
+  }
+
+  /**
+   * Apply, save and report a change made by the user
+   */
+  update() {
+    this.apply();
+    this.save();
+    this.onChange(this.geometry);
+  }
+
+  /**
+   * Position the panel, its resize edges and the bubble from the geometry
+   */
+  apply() {
+    if (!this.panel) return;
+
+    const { mode, collapsed } = this.geometry;
+    const docked = this.isDocked();
+
+    this.panel.style.display = collapsed ? 'none' : 'flex';
+    this.panel.style.maxHeight = 'none';
+    this.updateBubble();
+
+    if (docked) {
+      const width = clamp(this.geometry.dockWidth, MIN_WIDTH, Math.max(MIN_WIDTH, window.innerWidth - 200));
+      Object.assign(this.panel.style, {
+        top: '0',
+        bottom: '0',
+        left: mode === 'left' ? '0' : 'auto',
+        right: mode === 'right' ? '0' : 'auto',
+        width: `${width}px`,
+        height: '100vh',
+        borderRadius: '0'
+      });
+      this.pushPage(collapsed ? null : mode, width);
+    } else {
+      this.clampFloating();
+      const { left, top, width, height } = this.geometry;
+      Object.assign(this.panel.style, {
+        top: `${top}px`,
+        left: `${left}px`,
+        bottom: 'auto',
+        right: 'auto',
+        width: `${width}px`,
+        height: `${height}px`,
+        borderRadius: '8px'
+      });
+      this.pushPage(null);
+    }
+
+    // A docked panel is only resized from its inner edge
+    const innerEdge = mode === 'left' ? 'e' : 'w';
+    this.edges.forEach(edge => {
+      edge.style.display = !docked || edge.dataset.edge === innerEdge ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Keep a floating panel inside the window
+   */
+  clampFloating() {
+    const geometry = this.geometry;
+    geometry.width = clamp(geometry.width, MIN_WIDTH, Math.max(MIN_WIDTH, window.innerWidth));
+    geometry.height = clamp(geometry.height, MIN_HEIGHT, Math.max(MIN_HEIGHT, window.innerHeight));
+    geometry.left = clamp(geometry.left, 0, Math.max(0, window.innerWidth - geometry.width));
+    geometry.top = clamp(geometry.top, 0, Math.max(0, window.innerHeight - geometry.height));
+  }
+
+  /**
+   * Make room for a docked panel by adding a margin to the page
+   * @param {string|null} side - 'left', 'right', or null to restore the page
+   * @param {number} width - Width of the panel
+   */
+  pushPage(side, width = 0) {
+    const root = document.documentElement;
+    if (!side) {
+      if (this.pageMargin) {
+        root.style.marginLeft = this.pageMargin.left;
+        root.style.marginRight = this.pageMargin.right;
+        this.pageMargin = null;
+      }
+      return;
+    }
+
+    if (!this.pageMargin) {
+      this.pageMargin = { left: root.style.marginLeft, right: root.style.marginRight };
+    }
+    root.style.marginLeft = side === 'left' ? `${width}px` : this.pageMargin.left;
+    root.style.marginRight = side === 'right' ? `${width}px` : this.pageMargin.right;
+  }
+
+  /**
+   * Show the bubble while the panel is collapsed
+   */
+  updateBubble() {
+    if (!this.geometry.collapsed) {
+      this.bubble?.remove();
+      this.bubble = null;
+      return;
+    }
+    if (this.bubble) return;
+
+    // Styled by the panel's stylesheet, on the side the panel is docked to
+    this.bubble = document.createElement('button');
+    this.bubble.className = 'ai-assistant-bubble';
+    this.bubble.classList.toggle('left', this.geometry.mode === 'left');
+    this.bubble.textContent = '💬';
+    this.bubble.title = 'Open the assistant panel';
+    this.bubble.onclick = () => this.toggleCollapsed();
+    this.root.appendChild(this.bubble);
+  }
+
+  /**
+   * Add the invisible handles the panel is resized by
+   */
+  createEdges() {
+    this.edges = EDGES.map(name => {
+      const edge = document.createElement('div');
+      edge.className = 'panel-resize-edge';
+      edge.dataset.edge = name;
+      edge.style.cssText = `position: absolute; z-index: 1; ${EDGE_STYLES[name]}`;
+      edge.addEventListener('pointerdown', (e) => this.handleResizeStart(e, name));
+      this.panel.appendChild(edge);
+      return edge;
+    });
+  }
+
+  /**
+   * Follow the pointer until it is released
+   * @param {PointerEvent} event - The pointerdown event
+   * @param {Function} onMove - Called with the distance moved since the start
+   * @param {Function} onEnd - Called with the last pointer event
+   */
+  track(event, onMove, onEnd) {
+    event.preventDefault();
+    const target = event.currentTarget;
+    const startX = event.clientX;
+    const startY = event.clientY;
+    target.setPointerCapture?.(event.pointerId);
+
+    const handleMove = (e) => onMove(e.clientX - startX, e.clientY - startY, e);
+    const handleUp = (e) => {
+      target.removeEventListener('pointermove', handleMove);
+      target.removeEventListener('pointerup', handleUp);
+      target.removeEventListener('pointercancel', handleUp);
+      onEnd(e);
+    };
+
+    target.addEventListener('pointermove', handleMove);
+    target.addEventListener('pointerup', handleUp);
+    target.addEventListener('pointercancel', handleUp);
+  }
+
+  /**
+   * Drag the panel by its header; a docked panel comes loose, and dropping
+   * it at a side of the window docks it there
+   */
+  handleDragStart(event) {
+    if (event.button !== 0 || event.target.closest('button, input, select, textarea, a')) return;
+
+    const rect = this.panel.getBoundingClientRect();
+    const wasDocked = this.isDocked();
+    const start = { left: rect.left, top: rect.top };
+    let moved = false;
+
+    this.track(event, (dx, dy) => {
+      if (!moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+
+      if (!moved && wasDocked) {
+        // Come loose under the pointer, at the floating size
+        this.geometry.mode = 'floating';
+        start.left = event.clientX - Math.min(event.clientX - rect.left, this.geometry.width - 40);
+        this.onChange(this.geometry);
+      }
+      moved = true;
+
+      this.geometry.left = start.left + dx;
+      this.geometry.top = start.top + dy;
+      this.apply();
+    }, (e) => {
+      if (!moved) return;
+
+      if (e.clientX <= SNAP_DISTANCE) {
+        this.dock('left');
+      } else if (e.clientX >= window.innerWidth - SNAP_DISTANCE) {
+        this.dock('right');
+      } else {
+        this.update();
+      }
+    });
+  }
+
+  /**
+   * Resize the panel from one of its edges
+   */
+  handleResizeStart(event, edge) {
+    if (event.button !== 0) return;
+
+    const start = { ...this.geometry };
+
+    this.track(event, (dx, dy) => {
+      if (this.isDocked()) {
+        const delta = this.geometry.mode === 'left' ? dx : -dx;
+        this.geometry.dockWidth = Math.max(MIN_WIDTH, start.dockWidth + delta);
+      } else {
+        if (edge.includes('e')) {
+          this.geometry.width = Math.max(MIN_WIDTH, start.width + dx);
+        }
+        if (edge.includes('w')) {
+          const width = Math.max(MIN_WIDTH, start.width - dx);
+          this.geometry.left = start.left + start.width - width;
+          this.geometry.width = width;
+        }
+        if (edge.includes('s')) {
+          this.geometry.height = Math.max(MIN_HEIGHT, start.height + dy);
+        }
+        if (edge.includes('n')) {
+          const height = Math.max(MIN_HEIGHT, start.height - dy);
+          this.geometry.top = start.top + start.height - height;
+          this.geometry.height = height;
+        }
+      }
+      this.apply();
+    }, () => this.save());
+  }
+
+  /**
+   * Keep the panel in view when the window shrinks
+   */
+  handleWindowResize() {
+    this.apply();
+  }
+
+  /**
+   * Give the page back its margins and remove the bubble and listeners
+   */
+  destroy() {
+    this.pushPage(null);
+    this.bubble?.remove();
+    this.bubble = null;
+    this.handle.removeEventListener('pointerdown', this.handleDragStart);
+    window.removeEventListener('resize', this.handleWindowResize);
+    this.panel = null;
+  }
+}
+
+export default PanelLayout;
@@ -4,20 +4,117 @@
  * Handles creation, updating, and removal of the AI assistant panel in the page
  */
 
-import { formatContent } from './index';
+import { formatContent } from './utils';
+import ElementPicker, { describeElement } from './element-picker';
+import PanelLayout from './panel-layout';
+import { PANEL_STYLES } from './panel-styles';
+import MarkdownStreamRenderer, { renderMarkdown, MARKDOWN_STYLES } from '../shared/markdown';
+import { loadAppearanceSettings, normalizeAppearanceSettings, agentAccent } from '../shared/appearance';
+import {
+  BUILT_IN_COMMANDS,
+  loadCustomCommands,
+  normalizeCustomCommands,
+  parseSlashCommand,
+  matchSlashCommands,
+  expandCustomCommand,
+  conversationToMarkdown
+} from '../shared/slash-commands';
+import {
+  loadPromptTemplates,
+  normalizePromptTemplates,
+  templatesForAgent,
+  templateFields,
+  usesVariable,
+  fillTemplate
+} from '../shared/prompt-templates';
+import { resolveMention, matchMentions } from '../shared/mentions';
+
+// Tag of the element the panel's shadow root is attached to
+const HOST_TAG = 'ai-assistant-host';
+
+// Typing events stopped before they reach the page's listeners
+const ISOLATED_EVENTS = ['keydown', 'keyup', 'keypress', 'input'];
 
 class PanelManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.embedded - Fill the page it is shown in, as in
+   *   the side panel, instead of floating over a web page
+   * @param {Function} options.sendMessage - Sends a message to the background
+   */
+  constructor({ embedded = false, sendMessage = (message) => chrome.runtime.sendMessage(message) } = {}) {
+    this.embedded = embedded;
+    this.sendMessage = sendMessage;
+    
+    // The panel lives in a closed shadow root of the host element
+    this.host = null;
+    this.root = null;
     this.panel = null;
+    this.onChat = null; // Sends a chat message, set by the message handler
     this.agents = [];
     this.activeAgentId = null;
+    
+    // Selection attachment state
+    this.selectionMode = false;
+    this.pendingSelection = '';
+    this.lastSelection = '';
+    this.handleSelectionChange = this.handleSelectionChange.bind(this);
+    
+    // Typing in the panel, kept from the page's own shortcuts
+    this.handleIsolatedEvent = this.handleIsolatedEvent.bind(this);
+    
+    // Screenshot attachment state
+    this.screenshotMode = false;
+    
+    // Other tabs attached to the conversation, by tab ID
+    this.attachedTabs = new Map();
+    
+    // The last message sent, recalled with the Up arrow
+    this.lastPrompt = '';
+    
+    // Commands defined in the options page, and the autocomplete state
+    this.customCommands = [];
+    this.slashMatches = [];
+    this.slashIndex = 0;
+    
+    // Prompt templates defined in the options page
+    this.promptTemplates = [];
+    
+    // Roundtable: the ticked agents get each message at once, and their
+    // replies stream into a column per agent
+    this.roundtable = false;
+    this.roundtableAgentIds = new Set();
+    this.roundtableColumns = new Map(); // agentId -> column elements and stream state
+    
+    // Transcript state: the assistant bubble being streamed into, and a
+    // counter so only the latest transcript load is rendered
+    this.streamingBubble = null;
+    this.streamRenderer = null;
+    this.reasoningRenderer = null;
+    this.transcriptRequest = 0;
+    
+    // The agent an @mention handed the reply being streamed to
+    this.pendingResponderId = null;
+    
+    // Follow theme changes made in the options page
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+    
+    // Position, size, docking and collapsing of the panel
+    this.layout = null;
+    
+    // Page regions picked as the context for the next messages
+    this.elementPicker = new ElementPicker({
+      ignore: (element) => !!this.host && this.host.contains(element),
+      onChange: () => this.updatePickedElements(),
+      onStop: () => this.updatePickedElements()
+    });
   }
   
   /**
    * Check if panel exists
    */
   hasPanel() {
-    return !!this.panel || !!document.querySelector('.ai-assistant-panel');
+    return !!this.panel;
   }
   
   /**
@@ -25,49 +122,81 @@ class PanelManager {
    */
   getOrCreatePanel(agents, activeAgentId, conversationId) {
     if (this.hasPanel()) {
-      this.panel = document.querySelector('.ai-assistant-panel');
       return this.panel;
     }
     
     this.agents = agents || [];
     this.activeAgentId = activeAgentId;
     
-    // Create the panel
+    // Drop a panel left behind by an earlier instance of the content script
+    document.querySelectorAll(HOST_TAG).forEach(host => host.remove());
+    
+    // Isolate the panel from the page's styles, and the page from the panel's
+    this.host = document.createElement(HOST_TAG);
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    
+    const style = document.createElement('style');
+    style.textContent = PANEL_STYLES + MARKDOWN_STYLES;
+    this.root.appendChild(style);
+    
+    // Create the panel; the position and size are set by the layout
     this.panel = document.createElement('div');
     this.panel.className = 'ai-assistant-panel';
+    this.panel.classList.toggle('embedded', this.embedded);
     this.panel.dataset.conversationId = conversationId;
     this.panel.dataset.activeAgentId = activeAgentId;
+    this.root.appendChild(this.panel);
     
-    // Set panel styling
-    this.panel.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      width: 350px;
-      max-height: 500px;
-      background-color: white;
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-      z-index: 10000;
-      font-family: Arial, sans-serif;
-      border: 1px solid #e1e4e8;
-      display: flex;
-      flex-direction: column;
-      overflow: hidden;
-    `;
+    this.host.dataset.theme = 'auto';
+    this.updateAccent();
+    this.applyAppearance();
+    loadCustomCommands().then(commands => {
+      this.customCommands = commands;
+    });
+    loadPromptTemplates().then(templates => {
+      this.promptTemplates = templates;
+    });
     
     // Create panel components
     this.createHeader();
     this.createContent();
+    this.createRoundtableView();
     this.createLoadingIndicator();
+    this.createTabPicker();
+    this.createTemplatePicker();
+    this.createSelectionPreview();
+    this.createPickedElementsRow();
     this.createChatInput();
+    this.panel.addEventListener('keydown', (e) => this.handlePanelKeyDown(e));
+    
+    // Keep typing in the panel from reaching the page's own shortcuts
+    ISOLATED_EVENTS.forEach(type => {
+      window.addEventListener(type, this.handleIsolatedEvent, true);
+    });
     
     // Add panel to DOM
-    document.body.appendChild(this.panel);
+    document.body.appendChild(this.host);
     console.log('Panel created and added to page');
     
+    if (!this.embedded) {
+      // Make it movable, and put it where it was last time on this site
+      this.layout = new PanelLayout(this.panel, {
+        handle: this.panel.querySelector('.panel-header'),
+        root: this.root,
+        onChange: () => this.updateLayoutButtons()
+      });
+      this.layout.restore();
+      
+      // Track page selections so they survive focusing the chat input
+      document.addEventListener('selectionchange', this.handleSelectionChange);
+    }
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+    
+    // Show the conversation so far
+    this.loadTranscript();
+    
     // Notify background script that the panel is ready
-    chrome.runtime.sendMessage({ 
+    this.sendMessage({ 
       action: 'JOIN_PANEL',
       agentId: activeAgentId
     });
@@ -75,100 +204,121 @@ class PanelManager {
     return this.panel;
   }
   
+  /**
+   * Apply the stored theme to the panel
+   */
+  async applyAppearance() {
+    const settings = await loadAppearanceSettings();
+    if (this.host) {
+      this.host.dataset.theme = settings.theme;
+    }
+  }
+  
+  /**
+   * Follow theme and accent changes saved while the panel is open
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !this.host) return;
+    
+    if (changes.appearanceSettings) {
+      this.host.dataset.theme = normalizeAppearanceSettings(changes.appearanceSettings.newValue).theme;
+    }
+    
+    if (changes.slashCommands) {
+      this.customCommands = normalizeCustomCommands(changes.slashCommands.newValue);
+    }
+    
+    if (changes.promptTemplates) {
+      this.promptTemplates = normalizePromptTemplates(changes.promptTemplates.newValue);
+    }
+    
+    if (changes.agents) {
+      const saved = changes.agents.newValue || [];
+      this.agents = this.agents.map(agent => saved.find(a => a.id === agent.id) || agent);
+      this.updateAccent();
+    }
+  }
+  
+  /**
+   * Colour the panel with the accent of the active agent
+   */
+  updateAccent() {
+    if (!this.host) return;
+    
+    const activeAgent = this.agents.find(a => a.id === this.activeAgentId);
+    this.host.style.setProperty('--ai-accent', agentAccent(activeAgent));
+  }
+  
   /**
    * Create panel header
    */
   createHeader() {
     const header = document.createElement('div');
-    header.style.cssText = `
-      padding: 12px 16px;
-      background: linear-gradient(to right, #4CAF50, #45a049);
-      border-bottom: 1px solid #e1e4e8;
-      display: flex;
-      flex-direction: column;
-      gap: 4px;
-      color: white;
-    `;
+    header.className = 'panel-header';
 
     const headerTop = document.createElement('div');
-    headerTop.style.cssText = `
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-    `;
+    headerTop.className = 'panel-header-top';
 
     const title = document.createElement('span');
     title.className = 'agent-title';
     const activeAgent = this.agents.find(a => a.id === this.activeAgentId) || { name: 'AI Assistant' };
     title.textContent = activeAgent.name;
-    title.style.fontWeight = 'bold';
 
     const buttonContainer = document.createElement('div');
-    buttonContainer.style.cssText = `
-      display: flex;
-      gap: 8px;
-    `;
+    buttonContainer.className = 'panel-header-buttons';
+
+    const redactionBadge = document.createElement('span');
+    redactionBadge.className = 'redaction-badge';
+    redactionBadge.hidden = true;
 
     const newConvBtn = document.createElement('button');
+    newConvBtn.className = 'panel-header-button new-conversation-button';
     newConvBtn.innerHTML = '⟳';
     newConvBtn.title = 'Start New Conversation';
-    newConvBtn.style.cssText = `
-      border: none;
-      background: none;
-      color: white;
-      font-size: 20px;
-      cursor: pointer;
-      padding: 0 4px;
-      line-height: 24px;
-      opacity: 0.8;
-      transition: opacity 0.2s;
-    `;
-    newConvBtn.onmouseover = () => newConvBtn.style.opacity = '1';
-    newConvBtn.onmouseout = () => newConvBtn.style.opacity = '0.8';
-    newConvBtn.onclick = () => {
-      console.log('Starting new conversation');
-      chrome.runtime.sendMessage({ 
-        action: 'START_NEW_CONVERSATION',
-        agentId: this.panel.dataset.activeAgentId
-      });
-    };
+    newConvBtn.onclick = () => this.startNewConversation();
 
     const closeBtn = document.createElement('button');
+    closeBtn.className = 'panel-header-button close-button';
     closeBtn.innerHTML = '×';
-    closeBtn.style.cssText = `
-      border: none;
-      background: none;
-      color: white;
-      font-size: 24px;
-      cursor: pointer;
-      padding: 0 4px;
-      line-height: 24px;
-      opacity: 0.8;
-      transition: opacity 0.2s;
-    `;
-    closeBtn.onmouseover = () => closeBtn.style.opacity = '1';
-    closeBtn.onmouseout = () => closeBtn.style.opacity = '0.8';
+    closeBtn.title = 'Close (Esc)';
     closeBtn.onclick = () => {
       console.log('Panel close button clicked');
-      this.removePanel();
-      chrome.runtime.sendMessage({ action: 'LEAVE_PANEL' });
+      this.closePanel();
+    };
+
+    // Docking and collapsing
+    const createLayoutButton = (className, label, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = `panel-header-button ${className}`;
+      button.textContent = label;
+      button.title = title;
+      button.onclick = onClick;
+      return button;
     };
+    
+    const dockLeftBtn = createLayoutButton('dock-left-button', '⇤', 'Dock to the left',
+      () => this.toggleDock('left'));
+    const dockRightBtn = createLayoutButton('dock-right-button', '⇥', 'Dock to the right',
+      () => this.toggleDock('right'));
+    const collapseBtn = createLayoutButton('collapse-button', '▁', 'Collapse to a bubble',
+      () => this.layout?.toggleCollapsed());
 
+    buttonContainer.appendChild(redactionBadge);
+    // The side panel is placed and closed by the browser
+    if (!this.embedded) {
+      buttonContainer.appendChild(dockLeftBtn);
+      buttonContainer.appendChild(dockRightBtn);
+      buttonContainer.appendChild(collapseBtn);
+    }
     buttonContainer.appendChild(newConvBtn);
-    buttonContainer.appendChild(closeBtn);
+    if (!this.embedded) {
+      buttonContainer.appendChild(closeBtn);
+    }
     headerTop.appendChild(title);
     headerTop.appendChild(buttonContainer);
 
     const conversationIdDisplay = document.createElement('div');
     conversationIdDisplay.className = 'conversation-id-display';
-    conversationIdDisplay.style.cssText = `
-      font-size: 10px;
-      opacity: 0.8;
-      font-family: monospace;
-      white-space: nowrap;
-      overflow: hidden;
-      text-overflow: ellipsis;
-    `;
     conversationIdDisplay.title = this.panel.dataset.conversationId;
     conversationIdDisplay.textContent = this.panel.dataset.conversationId;
 
@@ -181,6 +331,123 @@ class PanelManager {
     this.panel.appendChild(header);
   }
   
+  /**
+   * Make another agent the active one and show its thread
+   * @param {string} agentId - The agent to switch to
+   */
+  switchAgent(agentId) {
+    const agent = this.agents.find(a => a.id === agentId);
+    if (!this.panel || !agent || agent.id === this.activeAgentId) return;
+    
+    // Update active agent
+    this.activeAgentId = agent.id;
+    this.panel.dataset.activeAgentId = agent.id;
+    this.updateAgentTabSelection();
+    this.updateAccent();
+    this.updateScreenshotButton();
+    
+    // Update panel title
+    const title = this.panel.querySelector('.agent-title');
+    if (title) {
+      title.textContent = agent.name;
+    }
+    
+    // Notify background script of agent switch
+    this.sendMessage({ 
+      action: 'SWITCH_AGENT', 
+      agentId: agent.id 
+    }).then(response => {
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+      if (!this.panel) return;
+      
+      // Update conversation ID
+      this.panel.dataset.conversationId = response.agent.currentConversationId;
+      
+      // Update conversation ID display
+      const conversationIdDisplay = this.panel.querySelector('.conversation-id-display');
+      if (conversationIdDisplay) {
+        conversationIdDisplay.title = response.agent.currentConversationId;
+        conversationIdDisplay.textContent = response.agent.currentConversationId;
+      }
+      
+      // Show the thread of the selected agent
+      this.streamingBubble = null;
+      this.streamRenderer = null;
+      this.loadTranscript();
+    }).catch(error => {
+      this.showError(`Could not switch to ${agent.name}: ${error.message}`);
+    });
+  }
+  
+  /**
+   * Switch to the next (or previous) agent, wrapping around
+   * @param {number} step - 1 for the next agent, -1 for the previous one
+   */
+  cycleAgent(step = 1) {
+    if (this.agents.length <= 1) return;
+    
+    const index = this.agents.findIndex(a => a.id === this.activeAgentId);
+    const next = this.agents[(index + step + this.agents.length) % this.agents.length];
+    this.switchAgent(next.id);
+  }
+  
+  /**
+   * Start a new conversation with the active agent
+   */
+  startNewConversation() {
+    if (!this.panel) return;
+    
+    console.log('Starting new conversation');
+    this.sendMessage({ 
+      action: 'START_NEW_CONVERSATION',
+      agentId: this.panel.dataset.activeAgentId
+    });
+  }
+  
+  /**
+   * Put the cursor in the chat input
+   */
+  focusInput() {
+    if (this.layout?.geometry.collapsed) {
+      this.layout.toggleCollapsed();
+    }
+    this.panel?.querySelector('.chat-input')?.focus();
+  }
+  
+  /**
+   * Esc closes the tab picker if it is open, otherwise the panel
+   */
+  handlePanelKeyDown(e) {
+    if (e.key !== 'Escape' || e.defaultPrevented) return;
+    
+    e.preventDefault();
+    const tabPicker = this.panel.querySelector('.tab-picker');
+    const templatePicker = this.panel.querySelector('.template-picker');
+    if (tabPicker && !tabPicker.hidden) {
+      this.closeTabPicker();
+    } else if (templatePicker && !templatePicker.hidden) {
+      this.closeTemplatePicker();
+    } else {
+      this.closePanel();
+    }
+  }
+  
+  /**
+   * Close the panel at the user's request
+   */
+  closePanel() {
+    if (this.embedded) {
+      // Closes the side panel
+      window.close();
+      return;
+    }
+    
+    this.removePanel();
+    this.sendMessage({ action: 'LEAVE_PANEL' });
+  }
+  
   /**
    * Create agent tabs
    */
@@ -189,133 +456,50 @@ class PanelManager {
     
     const tabsContainer = document.createElement('div');
     tabsContainer.className = 'agent-tabs';
-    tabsContainer.style.cssText = `
-      display: flex;
-      overflow-x: auto;
-      background: rgba(255, 255, 255, 0.1);
-      border-radius: 4px;
-      margin-top: 8px;
-      -ms-overflow-style: none;
-      scrollbar-width: none;
-    `;
-    
-    // Hide scrollbar
-    const style = document.createElement('style');
-    style.textContent = `
-      .agent-tabs::-webkit-scrollbar {
-        display: none;
-      }
-    `;
-    document.head.appendChild(style);
     
     // Create a tab for each agent
     this.agents.forEach(agent => {
       const tab = document.createElement('div');
       tab.className = 'agent-tab';
+      tab.classList.toggle('active', agent.id === this.activeAgentId);
       tab.dataset.agentId = agent.id;
-      tab.textContent = agent.name;
-      tab.style.cssText = `
-        padding: 6px 12px;
-        cursor: pointer;
-        white-space: nowrap;
-        border-radius: 4px;
-        transition: all 0.2s;
-        font-size: 13px;
-        ${agent.id === this.activeAgentId ? 
-          'background: rgba(255, 255, 255, 0.2); font-weight: bold;' : 
-          'opacity: 0.85;'}
-      `;
-      
-      // Hover effects
-      tab.onmouseover = () => {
-        if (agent.id !== this.activeAgentId) {
-          tab.style.opacity = '1';
-          tab.style.background = 'rgba(255, 255, 255, 0.1)';
-        }
-      };
-      tab.onmouseout = () => {
-        if (agent.id !== this.activeAgentId) {
-          tab.style.opacity = '0.85';
-          tab.style.background = '';
-        }
-      };
       
-      // On tab click, select the agent
+      // Ticks the agent for the roundtable, shown in roundtable mode only
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'roundtable-checkbox';
+      checkbox.checked = this.roundtableAgentIds.has(agent.id);
+      checkbox.tabIndex = -1;
+      
+      tab.appendChild(checkbox);
+      tab.appendChild(document.createTextNode(agent.name));
+      
+      // On tab click, select the agent, or tick it in roundtable mode
       tab.onclick = () => {
-        if (agent.id === this.activeAgentId) return;
-        
-        // Update tab styles
-        document.querySelectorAll('.agent-tab').forEach(t => {
-          t.style.background = '';
-          t.style.fontWeight = 'normal';
-          t.style.opacity = '0.85';
-        });
-        tab.style.background = 'rgba(255, 255, 255, 0.2)';
-        tab.style.fontWeight = 'bold';
-        tab.style.opacity = '1';
-        
-        // Update active agent
-        this.activeAgentId = agent.id;
-        this.panel.dataset.activeAgentId = agent.id;
-        
-        // Update panel title
-        const title = this.panel.querySelector('.agent-title');
-        if (title) {
-          title.textContent = agent.name;
+        if (this.roundtable) {
+          this.toggleRoundtableAgent(agent.id);
+        } else {
+          this.switchAgent(agent.id);
         }
-        
-        // Notify background script of agent switch
-        chrome.runtime.sendMessage({ 
-          action: 'SWITCH_AGENT', 
-          agentId: agent.id 
-        }).then(response => {
-          if (response.success) {
-            // Update conversation ID
-            this.panel.dataset.conversationId = response.agent.currentConversationId;
-            
-            // Update conversation ID display
-            const conversationIdDisplay = this.panel.querySelector('.conversation-id-display');
-            if (conversationIdDisplay) {
-              conversationIdDisplay.title = response.agent.currentConversationId;
-              conversationIdDisplay.textContent = response.agent.currentConversationId;
-            }
-            
-            // Clear content
-            const content = this.panel.querySelector('.panel-content');
-            if (content) {
-              content.innerHTML = '<p>Type a message below to chat about this page.</p>';
-            }
-          }
-        });
       };
       
       tabsContainer.appendChild(tab);
     });
     
+    // Ask several agents at once
+    const roundtableBtn = document.createElement('div');
+    roundtableBtn.className = 'agent-tab roundtable-toggle';
+    roundtableBtn.classList.toggle('active', this.roundtable);
+    roundtableBtn.textContent = '⚇';
+    roundtableBtn.title = 'Roundtable: send your messages to several agents at once';
+    roundtableBtn.onclick = () => this.setRoundtable(!this.roundtable);
+    tabsContainer.appendChild(roundtableBtn);
+    
     // Add "Manage Agents" button
     const manageBtn = document.createElement('div');
     manageBtn.className = 'agent-tab manage-agents';
     manageBtn.innerHTML = '⚙️';
     manageBtn.title = 'Manage Agents';
-    manageBtn.style.cssText = `
-      padding: 6px 12px;
-      cursor: pointer;
-      white-space: nowrap;
-      border-radius: 4px;
-      transition: all 0.2s;
-      font-size: 13px;
-      opacity: 0.85;
-    `;
-    
-    // Hover effects for manage button
-    manageBtn.onmouseover = () => {
-      manageBtn.style.opacity = '1';
-      manageBtn.style.background = 'rgba(255, 255, 255, 0.1)';
-    };
-    manageBtn.onmouseout = () => {
-      manageBtn.style.opacity = '0.85';
-      manageBtn.style.background = '';
-    };
     
     // Open options page when clicked
     manageBtn.onclick = () => {
@@ -327,241 +511,1452 @@ class PanelManager {
   }
   
   /**
-   * Create content area
+   * Highlight the tab of the active agent
    */
-  createContent() {
-    const content = document.createElement('div');
-    content.className = 'panel-content';
-    content.style.cssText = `
-      padding: 16px;
-      flex-grow: 1;
-      overflow-y: auto;
-      background-color: white;
-      color: #333;
-      font-size: 14px;
-      line-height: 1.5;
-    `;
-    content.innerHTML = '<p>Type a message below to chat about this page.</p>';
-    
-    this.panel.appendChild(content);
+  updateAgentTabSelection() {
+    this.panel?.querySelectorAll('.agent-tab[data-agent-id]').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.agentId === this.activeAgentId);
+    });
   }
   
   /**
-   * Create loading indicator
+   * Create the side-by-side columns shown in roundtable mode
    */
-  createLoadingIndicator() {
-    const loadingIndicator = document.createElement('div');
-    loadingIndicator.className = 'loading-indicator';
-    loadingIndicator.style.cssText = `
-      padding: 8px 16px;
-      background-color: #f8f9fa;
-      border-top: 1px solid #e1e4e8;
-      color: #666;
-      font-size: 12px;
-      display: none;
-    `;
-    loadingIndicator.textContent = 'Processing...';
+  createRoundtableView() {
+    const view = document.createElement('div');
+    view.className = 'roundtable-view';
+    view.hidden = true;
     
-    this.panel.appendChild(loadingIndicator);
+    this.panel.appendChild(view);
   }
   
   /**
-   * Create chat input area
+   * Turn roundtable mode on or off; the active agent is ticked to begin with
+   * @param {boolean} enabled - Whether messages go to the ticked agents
    */
-  createChatInput() {
-    const chatArea = document.createElement('div');
-    chatArea.className = 'chat-input-area';
-    chatArea.style.cssText = `
-      padding: 12px;
-      background-color: #f8f9fa;
-      border-top: 1px solid #e1e4e8;
-      display: flex;
-      gap: 8px;
-    `;
-
-    const chatInput = document.createElement('textarea');
-    chatInput.className = 'chat-input';
-    chatInput.placeholder = 'Type your message...';
-    chatInput.style.cssText = `
-      flex-grow: 1;
-      padding: 8px;
-      border: 1px solid #e1e4e8;
-      border-radius: 4px;
-      resize: none;
-      min-height: 20px;
-      max-height: 120px;
-      font-family: inherit;
-      font-size: 14px;
-      line-height: 1.4;
-      background-color: white;
-      color: #333;
-    `;
-
-    const sendButton = document.createElement('button');
-    sendButton.className = 'chat-send-button';
-    sendButton.textContent = 'Send';
-    sendButton.style.cssText = `
-      padding: 8px 16px;
-      background: #4CAF50;
-      color: white;
-      border: none;
-      border-radius: 4px;
-      cursor: pointer;
-      font-size: 14px;
-      transition: background-color 0.2s;
-    `;
-    sendButton.onmouseover = () => sendButton.style.backgroundColor = '#45a049';
-    sendButton.onmouseout = () => sendButton.style.backgroundColor = '#4CAF50';
-
-    // Handle chat input submission
-    const handleSubmit = () => {
-      const message = chatInput.value.trim();
-      if (message) {
-        console.log('Dispatching chat message event');
-        document.dispatchEvent(new CustomEvent('ai_assistant_chat', {
-          detail: {
-            message,
-            url: window.location.href,
-            conversationId: this.panel.dataset.conversationId,
-            agentId: this.panel.dataset.activeAgentId
-          }
-        }));
-        chatInput.value = '';
-        chatInput.style.height = 'auto';
-      }
-    };
-
-    // Handle Enter key (with and without Shift)
-    chatInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault();
-        handleSubmit();
-      }
-    });
-
-    // Auto-resize textarea
-    chatInput.addEventListener('input', () => {
-      chatInput.style.height = 'auto';
-      chatInput.style.height = Math.min(chatInput.scrollHeight, 120) + 'px';
-    });
-
-    sendButton.onclick = handleSubmit;
-
-    chatArea.appendChild(chatInput);
-    chatArea.appendChild(sendButton);
+  setRoundtable(enabled) {
+    if (!this.panel) return;
     
-    this.panel.appendChild(chatArea);
+    this.roundtable = enabled;
+    if (enabled && this.roundtableAgentIds.size === 0 && this.activeAgentId) {
+      this.roundtableAgentIds.add(this.activeAgentId);
+    }
+    
+    this.panel.classList.toggle('roundtable', enabled);
+    this.panel.querySelector('.roundtable-toggle')?.classList.toggle('active', enabled);
+    this.panel.querySelector('.panel-content').hidden = enabled;
+    this.panel.querySelector('.roundtable-view').hidden = !enabled;
+    
+    const chatInput = this.panel.querySelector('.chat-input');
+    if (chatInput) {
+      chatInput.placeholder = enabled ? 'Ask the ticked agents...' : 'Type your message...';
+    }
+    
+    this.updateRoundtableColumns();
+    if (!enabled) {
+      // The thread of the active agent now includes its roundtable replies
+      this.loadTranscript();
+    }
   }
   
   /**
-   * Remove panel from page and clean up resources
+   * Tick or untick an agent for the roundtable; one agent stays ticked
    */
-  removePanel() {
-    if (this.panel) {
-      // Clean up event listeners to prevent memory leaks
-      this.removeEventListeners();
-      
-      // Remove the panel from DOM
-      this.panel.remove();
-      this.panel = null;
+  toggleRoundtableAgent(agentId) {
+    if (this.roundtableAgentIds.has(agentId)) {
+      if (this.roundtableAgentIds.size === 1) return;
+      this.roundtableAgentIds.delete(agentId);
     } else {
-      const panel = document.querySelector('.ai-assistant-panel');
-      if (panel) {
-        panel.remove();
-      }
+      this.roundtableAgentIds.add(agentId);
     }
-    
-    // Reset state
-    this.activeAgentId = null;
+    this.updateRoundtableColumns();
   }
   
   /**
-   * Clean up event listeners to prevent memory leaks
+   * Get the ticked agents, in the order of their tabs
    */
-  removeEventListeners() {
-    if (!this.panel) return;
-    
-    // Find and remove event listeners from chat input elements
-    const chatInput = this.panel.querySelector('.chat-input');
-    const sendButton = this.panel.querySelector('.chat-send-button');
+  getRoundtableAgentIds() {
+    return this.agents.filter(agent => this.roundtableAgentIds.has(agent.id)).map(agent => agent.id);
+  }
+  
+  /**
+   * Check whether an agent's messages go to a roundtable column
+   */
+  isRoundtableAgent(agentId) {
+    return this.roundtable && this.roundtableColumns.has(agentId);
+  }
+  
+  /**
+   * Show a column for each ticked agent and tick their tabs
+   */
+  updateRoundtableColumns() {
+    const view = this.panel?.querySelector('.roundtable-view');
+    if (!view) return;
     
-    if (chatInput) {
-      // Clone and replace to remove all listeners
-      const newChatInput = chatInput.cloneNode(true);
-      if (chatInput.parentNode) {
-        chatInput.parentNode.replaceChild(newChatInput, chatInput);
-      }
-    }
+    this.panel.querySelectorAll('.agent-tab[data-agent-id]').forEach(tab => {
+      tab.querySelector('.roundtable-checkbox').checked = this.roundtableAgentIds.has(tab.dataset.agentId);
+    });
     
-    if (sendButton) {
-      // Clone and replace to remove all listeners
-      const newSendButton = sendButton.cloneNode(true);
-      if (sendButton.parentNode) {
-        sendButton.parentNode.replaceChild(newSendButton, sendButton);
+    for (const [agentId, column] of this.roundtableColumns) {
+      if (!this.roundtableAgentIds.has(agentId)) {
+        column.element.remove();
+        this.roundtableColumns.delete(agentId);
       }
     }
     
-    // Get all buttons within the panel with event listeners
-    const buttons = this.panel.querySelectorAll('button');
-    buttons.forEach(button => {
-      // Clone and replace to remove all listeners
-      const newButton = button.cloneNode(true);
-      if (button.parentNode) {
-        button.parentNode.replaceChild(newButton, button);
-      }
+    this.getRoundtableAgentIds().forEach(agentId => {
+      const column = this.roundtableColumns.get(agentId) || this.createRoundtableColumn(agentId);
+      view.appendChild(column.element);
     });
+  }
+  
+  /**
+   * Create the column an agent's roundtable replies stream into
+   */
+  createRoundtableColumn(agentId) {
+    const agent = this.agents.find(a => a.id === agentId);
     
-    // Clean up any agent tabs
-    const agentTabs = this.panel.querySelectorAll('.agent-tab');
-    agentTabs.forEach(tab => {
-      // Clone and replace to remove all listeners
-      const newTab = tab.cloneNode(true);
-      if (tab.parentNode) {
-        tab.parentNode.replaceChild(newTab, tab);
-      }
+    const element = document.createElement('div');
+    element.className = 'roundtable-column';
+    element.dataset.agentId = agentId;
+    element.style.setProperty('--ai-accent', agentAccent(agent));
+    
+    const header = document.createElement('div');
+    header.className = 'roundtable-column-header';
+    
+    const name = document.createElement('span');
+    name.className = 'roundtable-column-name';
+    name.textContent = agent?.name || 'Agent';
+    
+    const status = document.createElement('span');
+    status.className = 'roundtable-column-status';
+    status.hidden = true;
+    
+    const content = document.createElement('div');
+    content.className = 'roundtable-column-content';
+    
+    header.appendChild(name);
+    header.appendChild(status);
+    element.appendChild(header);
+    element.appendChild(content);
+    
+    const column = { element, content, status, bubble: null, renderer: null, reasoningRenderer: null, pending: false };
+    this.roundtableColumns.set(agentId, column);
+    return column;
+  }
+  
+  /**
+   * Show a roundtable message in the column of each agent it is sent to
+   */
+  addRoundtableMessage(agentIds, message, selection = null) {
+    const text = this.formatUserMessage(message, selection);
+    
+    agentIds.forEach(agentId => {
+      const column = this.roundtableColumns.get(agentId);
+      if (!column) return;
+      
+      this.finishRoundtableColumn(agentId);
+      column.content.appendChild(this.createMessageBubble('user', text));
+      column.content.scrollTop = column.content.scrollHeight;
+      column.pending = true;
+      this.setRoundtableStatus(agentId, 'Waiting...');
     });
     
-    // Log cleanup
-    console.log('Cleaned up panel event listeners');
+    this.showLoading(`Asking ${agentIds.length} agent${agentIds.length === 1 ? '' : 's'}...`);
   }
   
   /**
-   * Toggle panel visibility
+   * Show the progress of an agent's roundtable reply in its column header
    */
-  togglePanel(agents, activeAgentId, conversationId) {
-    if (this.hasPanel()) {
-      this.removePanel();
-      return { created: false, visible: false };
-    } else {
-      this.getOrCreatePanel(agents, activeAgentId, conversationId);
-      return { created: true, visible: true };
-    }
+  setRoundtableStatus(agentId, text) {
+    const column = this.roundtableColumns.get(agentId);
+    if (!column) return;
+    
+    column.status.textContent = text || '';
+    column.status.hidden = !text;
   }
   
   /**
-   * Update agent tabs
+   * Stream a roundtable reply into its agent's column
+   *
+   * @param {string} agentId - The agent replying
+   * @param {string} content - The next chunk, or the whole reply with isFirst
+   * @param {boolean} isFirst - Whether this starts the reply
    */
-  updateAgentTabs(agents, activeAgentId) {
-    this.agents = agents;
+  updateRoundtableContent(agentId, content, isFirst = false) {
+    const column = this.roundtableColumns.get(agentId);
+    // An empty first chunk resets a conversation, which the columns don't follow
+    if (!column || (isFirst && !content)) return;
     
-    if (!this.panel) {
-      console.warn('No panel to update agent tabs');
-      return;
-    }
+    const wasAtBottom = column.content.scrollHeight - column.content.scrollTop - column.content.clientHeight < 8;
     
-    // Find header and remove old tabs
-    const header = this.panel.querySelector('.agent-tabs');
-    if (header) {
-      header.remove();
+    if (isFirst && column.renderer) {
+      // Accumulated content replayed for a reply already on screen
+      column.renderer.reset();
     }
     
-    // Create new tabs
-    const headerContainer = this.panel.querySelector('div:first-child');
-    if (headerContainer) {
-      this.createAgentTabs(headerContainer);
-    }
+    this.ensureRoundtableBubble(column);
+    this.collapseReasoning(column.bubble);
+    column.renderer.append(content);
+    this.setRoundtableStatus(agentId, 'Writing...');
     
-    // Update active agent ID
+    if (wasAtBottom) {
+      column.content.scrollTop = column.content.scrollHeight;
+    }
+  }
+  
+  /**
+   * Stream the reasoning of a roundtable reply into its "Thinking" section
+   */
+  updateRoundtableReasoning(agentId, content, isFirst = false, restart = false) {
+    const column = this.roundtableColumns.get(agentId);
+    if (!column || !content) return;
+    
+    const wasAtBottom = column.content.scrollHeight - column.content.scrollTop - column.content.clientHeight < 8;
+    
+    this.ensureRoundtableBubble(column);
+    if (restart) {
+      this.takeBackAnswer(column.bubble, column.renderer);
+    }
+    column.reasoningRenderer = this.streamReasoning(column.bubble, column.reasoningRenderer, content, isFirst);
+    this.setRoundtableStatus(agentId, 'Thinking...');
+    
+    if (wasAtBottom) {
+      column.content.scrollTop = column.content.scrollHeight;
+    }
+  }
+  
+  /**
+   * Add the bubble of a column's reply when it starts
+   */
+  ensureRoundtableBubble(column) {
+    if (!column.bubble) {
+      column.bubble = this.createMessageBubble('assistant', '');
+      column.content.appendChild(column.bubble);
+      column.renderer = new MarkdownStreamRenderer(column.bubble.querySelector('.chat-message-body'));
+      column.reasoningRenderer = null;
+    }
+    return column.bubble;
+  }
+  
+  /**
+   * Show an agent's error in its roundtable column
+   */
+  showRoundtableError(agentId, errorMessage) {
+    const column = this.roundtableColumns.get(agentId);
+    if (!column) return;
+    
+    column.content.appendChild(this.createMessageBubble('error', `Error: ${errorMessage}`));
+    column.content.scrollTop = column.content.scrollHeight;
+    this.finishRoundtableColumn(agentId);
+  }
+  
+  /**
+   * Mark an agent's roundtable reply as complete; the loading indicator goes
+   * once every agent has replied
+   */
+  finishRoundtableColumn(agentId) {
+    const column = this.roundtableColumns.get(agentId);
+    if (!column) return;
+    
+    column.renderer?.finish();
+    column.reasoningRenderer?.finish();
+    column.renderer = null;
+    column.reasoningRenderer = null;
+    column.bubble = null;
+    column.pending = false;
+    this.setRoundtableStatus(agentId, '');
+    
+    if (![...this.roundtableColumns.values()].some(other => other.pending)) {
+      this.hideLoading();
+    }
+  }
+  
+  /**
+   * Stop the replies still streaming into the roundtable columns
+   */
+  stopRoundtable() {
+    const stopButton = this.panel?.querySelector('.stop-button');
+    if (stopButton) {
+      stopButton.disabled = true;
+    }
+    
+    for (const [agentId, column] of this.roundtableColumns) {
+      if (!column.pending) continue;
+      
+      const bubble = column.bubble;
+      this.sendMessage({
+        action: 'CANCEL_STREAM',
+        agentId
+      }).then(response => {
+        if (response?.cancelled && bubble) {
+          this.markTruncated(bubble);
+        }
+        this.finishRoundtableColumn(agentId);
+      }).catch(error => {
+        console.error('Error stopping the roundtable reply:', error);
+      });
+    }
+  }
+  
+  /**
+   * Create content area
+   */
+  createContent() {
+    const content = document.createElement('div');
+    content.className = 'panel-content';
+    
+    this.panel.appendChild(content);
+    this.showEmptyTranscript();
+  }
+  
+  /**
+   * Create loading indicator
+   */
+  createLoadingIndicator() {
+    const loadingIndicator = document.createElement('div');
+    loadingIndicator.className = 'loading-indicator';
+    loadingIndicator.hidden = true;
+    
+    const loadingText = document.createElement('span');
+    loadingText.className = 'loading-text';
+    loadingText.textContent = 'Processing...';
+    loadingIndicator.appendChild(loadingText);
+    
+    // Stops the reply; what arrived so far is kept
+    const stopButton = document.createElement('button');
+    stopButton.className = 'stop-button';
+    stopButton.textContent = '■ Stop';
+    stopButton.title = 'Stop generating';
+    stopButton.addEventListener('click', () => this.stopResponse());
+    loadingIndicator.appendChild(stopButton);
+    
+    this.panel.appendChild(loadingIndicator);
+  }
+  
+  /**
+   * Create the list of window tabs that can be attached to the question
+   */
+  createTabPicker() {
+    const picker = document.createElement('div');
+    picker.className = 'tab-picker';
+    picker.hidden = true;
+    
+    const heading = document.createElement('div');
+    heading.className = 'tab-picker-heading';
+    heading.textContent = 'Attach other tabs from this window:';
+    
+    const list = document.createElement('div');
+    list.className = 'tab-picker-list';
+    
+    picker.appendChild(heading);
+    picker.appendChild(list);
+    this.panel.appendChild(picker);
+  }
+  
+  /**
+   * Create the list of prompt templates, shown above the input
+   */
+  createTemplatePicker() {
+    const picker = document.createElement('div');
+    picker.className = 'template-picker';
+    picker.hidden = true;
+    
+    const heading = document.createElement('div');
+    heading.className = 'template-picker-heading';
+    heading.textContent = 'Send a prompt template:';
+    
+    const list = document.createElement('div');
+    list.className = 'template-picker-list';
+    
+    picker.appendChild(heading);
+    picker.appendChild(list);
+    this.panel.appendChild(picker);
+  }
+  
+  /**
+   * Create the preview of the selection attached to the next message
+   */
+  createSelectionPreview() {
+    const preview = document.createElement('div');
+    preview.className = 'selection-preview';
+    preview.hidden = true;
+    
+    const text = document.createElement('div');
+    text.className = 'selection-preview-text';
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'clear-button selection-clear-button';
+    clearBtn.innerHTML = '×';
+    clearBtn.title = 'Do not attach the selection';
+    clearBtn.onclick = () => this.clearSelectionMode();
+    
+    preview.appendChild(text);
+    preview.appendChild(clearBtn);
+    this.panel.appendChild(preview);
+  }
+  
+  /**
+   * Create the chip row listing the picked page regions
+   */
+  createPickedElementsRow() {
+    const row = document.createElement('div');
+    row.className = 'picked-elements';
+    row.hidden = true;
+    
+    this.panel.appendChild(row);
+  }
+  
+  /**
+   * Create chat input area
+   */
+  createChatInput() {
+    const chatArea = document.createElement('div');
+    chatArea.className = 'chat-input-area';
+
+    const chatInput = document.createElement('textarea');
+    chatInput.className = 'chat-input';
+    chatInput.placeholder = 'Type your message...';
+
+    const sendButton = document.createElement('button');
+    sendButton.className = 'chat-send-button';
+    sendButton.textContent = 'Send';
+
+    const selectionButton = document.createElement('button');
+    selectionButton.className = 'attach-button selection-toggle-button';
+    selectionButton.textContent = '❝';
+    selectionButton.title = 'Use selection: attach the text selected on the page to the next message';
+    // Keep the page selection intact when the button is pressed
+    selectionButton.onmousedown = (e) => e.preventDefault();
+    selectionButton.onclick = () => this.toggleSelectionMode();
+
+    const screenshotButton = document.createElement('button');
+    screenshotButton.className = 'attach-button screenshot-toggle-button';
+    screenshotButton.textContent = '📷';
+    screenshotButton.title = 'Attach a screenshot of the visible page to the next message';
+    screenshotButton.onclick = () => this.toggleScreenshotMode();
+
+    const tabPickerButton = document.createElement('button');
+    tabPickerButton.className = 'attach-button tab-picker-button';
+    tabPickerButton.textContent = '🗂';
+    tabPickerButton.title = 'Attach other open tabs to your questions';
+    tabPickerButton.onclick = () => this.toggleTabPicker();
+
+    const templatePickerButton = document.createElement('button');
+    templatePickerButton.className = 'attach-button template-picker-button';
+    templatePickerButton.textContent = '📋';
+    templatePickerButton.title = 'Send a prompt template';
+    templatePickerButton.onclick = () => this.toggleTemplatePicker();
+
+    const elementPickerButton = document.createElement('button');
+    elementPickerButton.className = 'attach-button element-picker-button';
+    elementPickerButton.textContent = '⌖';
+    elementPickerButton.title = 'Pick regions of the page to use as the context';
+    elementPickerButton.onclick = () => this.toggleElementPicker();
+
+    // Commands typed after a slash, offered as you type
+    const slashMenu = document.createElement('div');
+    slashMenu.className = 'slash-menu';
+    slashMenu.hidden = true;
+
+    // Handle chat input submission
+    const handleSubmit = () => {
+      let message = chatInput.value.trim();
+      if (message) {
+        this.lastPrompt = message;
+        this.closeSlashMenu();
+        
+        // Commands either act on the panel or expand into the message to send
+        const command = parseSlashCommand(message);
+        if (command) {
+          message = this.runSlashCommand(command);
+          if (!message) {
+            chatInput.value = '';
+            chatInput.style.height = 'auto';
+            return;
+          }
+        }
+        
+        this.sendChatMessage(message);
+        chatInput.value = '';
+        chatInput.style.height = 'auto';
+      }
+    };
+
+    // Enter or Ctrl+Enter sends, Shift+Enter adds a line, and Up in an
+    // empty input brings back the last message
+    chatInput.addEventListener('keydown', (e) => {
+      if (!slashMenu.hidden && this.handleSlashMenuKey(e, chatInput)) {
+        return;
+      }
+      
+      if (e.key === 'Enter' && (!e.shiftKey || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        handleSubmit();
+      } else if (e.key === 'ArrowUp' && !chatInput.value && this.lastPrompt) {
+        e.preventDefault();
+        chatInput.value = this.lastPrompt;
+        chatInput.setSelectionRange(chatInput.value.length, chatInput.value.length);
+        chatInput.dispatchEvent(new Event('input'));
+      }
+    });
+
+    // Auto-resize textarea
+    chatInput.addEventListener('input', () => {
+      chatInput.style.height = 'auto';
+      chatInput.style.height = Math.min(chatInput.scrollHeight, 120) + 'px';
+      this.updateSlashMenu(chatInput);
+    });
+    chatInput.addEventListener('blur', () => this.closeSlashMenu());
+
+    sendButton.onclick = handleSubmit;
+
+    chatArea.appendChild(slashMenu);
+    chatArea.appendChild(chatInput);
+    // The page's selection and elements can't be reached from outside the page
+    if (!this.embedded) {
+      chatArea.appendChild(selectionButton);
+    }
+    chatArea.appendChild(screenshotButton);
+    chatArea.appendChild(tabPickerButton);
+    chatArea.appendChild(templatePickerButton);
+    if (!this.embedded) {
+      chatArea.appendChild(elementPickerButton);
+    }
+    chatArea.appendChild(sendButton);
+    
+    this.panel.appendChild(chatArea);
+    this.updateScreenshotButton();
+    this.updateTabPickerButton();
+  }
+  
+  /**
+   * Send a message with the attachments chosen for it
+   * @param {string} message - The message
+   * @param {Object} template - For a prompt template, its `prompt` and the
+   *   `values` of its fields; the background fills it in with the page
+   *   variables, once the page is redacted
+   */
+  sendChatMessage(message, template = null) {
+    console.log('Dispatching chat message event');
+    const selection = this.selectionMode ? this.pendingSelection : null;
+    
+    // In roundtable mode the message goes to every ticked agent
+    const agentIds = this.roundtable ? this.getRoundtableAgentIds() : null;
+    if (agentIds) {
+      this.addRoundtableMessage(agentIds, message, selection);
+    } else {
+      this.addUserMessage(message, selection);
+      this.pendingResponderId = resolveMention(message, this.agents)?.agent.id || null;
+    }
+    
+    this.onChat?.({
+      message,
+      url: window.location.href,
+      selection,
+      screenshot: this.screenshotMode && this.activeAgentSupportsVision(),
+      tabIds: Array.from(this.attachedTabs.keys()),
+      conversationId: this.panel.dataset.conversationId,
+      agentId: this.panel.dataset.activeAgentId,
+      agentIds,
+      template
+    });
+    
+    // The selection and screenshot only apply to one message, attached
+    // tabs stay for follow-up questions until they are unchecked
+    this.clearSelectionMode();
+    this.setScreenshotMode(false);
+    this.closeTabPicker();
+    this.closeTemplatePicker();
+  }
+  
+  /**
+   * Show or hide the prompt templates of the active agent
+   */
+  toggleTemplatePicker() {
+    const picker = this.panel?.querySelector('.template-picker');
+    if (!picker) return;
+    
+    if (picker.hidden) {
+      this.closeTabPicker();
+      this.renderTemplateList();
+      picker.hidden = false;
+    } else {
+      this.closeTemplatePicker();
+    }
+  }
+  
+  /**
+   * Fill the template picker with the templates of the active agent
+   */
+  renderTemplateList() {
+    const list = this.panel?.querySelector('.template-picker-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const templates = templatesForAgent(this.promptTemplates, this.activeAgentId);
+    if (templates.length === 0) {
+      list.textContent = 'No templates for this agent. Add them under "Prompt Templates" in the options.';
+      return;
+    }
+    
+    templates.forEach(template => {
+      const item = document.createElement('button');
+      item.className = 'template-picker-item';
+      item.title = template.prompt;
+      item.textContent = template.name;
+      item.onclick = () => this.useTemplate(template);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Send a template, asking for its fields first if it has any
+   */
+  useTemplate(template) {
+    const fields = templateFields(template.prompt);
+    if (fields.length === 0) {
+      this.sendTemplate(template, {});
+      return;
+    }
+    
+    const list = this.panel?.querySelector('.template-picker-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const form = document.createElement('form');
+    form.className = 'template-form';
+    
+    const inputs = fields.map(field => {
+      const label = document.createElement('label');
+      label.className = 'template-field';
+      label.textContent = field;
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.field = field;
+      
+      label.appendChild(input);
+      form.appendChild(label);
+      return input;
+    });
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'chat-message-editor-buttons';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'editor-cancel-button';
+    cancelButton.textContent = 'Back';
+    cancelButton.onclick = () => this.renderTemplateList();
+    
+    const sendButton = document.createElement('button');
+    sendButton.type = 'submit';
+    sendButton.className = 'editor-send-button';
+    sendButton.textContent = `Send "${template.name}"`;
+    
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(sendButton);
+    form.appendChild(buttons);
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const values = {};
+      inputs.forEach(input => {
+        values[input.dataset.field] = input.value.trim();
+      });
+      this.sendTemplate(template, values);
+    };
+    
+    list.appendChild(form);
+    inputs[0].focus();
+  }
+  
+  /**
+   * Send a template; it is shown with its fields filled in, and the
+   * background fills in the fields and page variables together, from the
+   * redacted page, so nothing typed into a field is filled in again
+   * @param {Object} template - The template
+   * @param {Object} values - Values of the template's fields
+   */
+  sendTemplate(template, values) {
+    const fieldValues = { ...values };
+    
+    // The selection goes into the prompt instead of being attached to it
+    if (usesVariable(template.prompt, 'selection')) {
+      fieldValues.selection = (this.selectionMode && this.pendingSelection) || this.lastSelection;
+      this.clearSelectionMode();
+    }
+    
+    this.sendChatMessage(fillTemplate(template.prompt, values), { prompt: template.prompt, values: fieldValues });
+  }
+  
+  /**
+   * Hide the template picker
+   */
+  closeTemplatePicker() {
+    const picker = this.panel?.querySelector('.template-picker');
+    if (picker) {
+      picker.hidden = true;
+    }
+  }
+  
+  /**
+   * Offer the commands matching what was typed after a slash, or the
+   * agents matching what was typed after an @
+   */
+  updateSlashMenu(chatInput) {
+    const typed = /^\/(\S*)$/.exec(chatInput.value);
+    const mention = /^@(\S*)$/.exec(chatInput.value);
+    if (typed) {
+      this.slashMatches = matchSlashCommands(typed[1], this.customCommands);
+    } else if (mention) {
+      // Other agents to hand the next turn to
+      this.slashMatches = matchMentions(mention[1], this.agents)
+        .filter(agent => agent.id !== this.activeAgentId)
+        .map(agent => ({
+          name: agent.name,
+          usage: `@${agent.name}`,
+          description: `Ask ${agent.name} in this conversation`,
+          mention: true
+        }));
+    } else {
+      this.slashMatches = [];
+    }
+    this.slashIndex = 0;
+    this.renderSlashMenu(chatInput);
+  }
+  
+  /**
+   * Show the matching commands, with the highlighted one selected
+   */
+  renderSlashMenu(chatInput) {
+    const menu = this.panel?.querySelector('.slash-menu');
+    if (!menu) return;
+    
+    menu.innerHTML = '';
+    menu.hidden = this.slashMatches.length === 0;
+    
+    this.slashMatches.forEach((command, index) => {
+      const item = document.createElement('div');
+      item.className = 'slash-menu-item';
+      item.classList.toggle('selected', index === this.slashIndex);
+      
+      const usage = document.createElement('span');
+      usage.className = 'slash-menu-usage';
+      usage.textContent = command.usage;
+      
+      const description = document.createElement('span');
+      description.className = 'slash-menu-description';
+      description.textContent = command.description;
+      
+      item.appendChild(usage);
+      item.appendChild(description);
+      // Keep the focus in the input
+      item.onmousedown = (e) => e.preventDefault();
+      item.onclick = () => this.completeSlashCommand(chatInput, command);
+      menu.appendChild(item);
+    });
+    
+    menu.querySelector('.selected')?.scrollIntoView?.({ block: 'nearest' });
+  }
+  
+  /**
+   * Move through the command menu with the arrows, pick with Tab or Enter
+   * and close it with Esc
+   * @returns {boolean} - Whether the key was used by the menu
+   */
+  handleSlashMenuKey(e, chatInput) {
+    const command = this.slashMatches[this.slashIndex];
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.slashIndex = (this.slashIndex + step + this.slashMatches.length) % this.slashMatches.length;
+      this.renderSlashMenu(chatInput);
+    } else if (e.key === 'Tab' && command) {
+      this.completeSlashCommand(chatInput, command);
+    } else if (e.key === 'Enter' && !e.shiftKey && command && chatInput.value.trim() !== `${command.mention ? '@' : '/'}${command.name}`) {
+      // A complete command name is sent as it is
+      this.completeSlashCommand(chatInput, command);
+    } else if (e.key === 'Escape') {
+      // Only close the menu, not the panel
+      e.stopPropagation();
+      this.closeSlashMenu();
+    } else {
+      return false;
+    }
+    
+    e.preventDefault();
+    return true;
+  }
+  
+  /**
+   * Put a command or mention in the input, ready for its arguments
+   */
+  completeSlashCommand(chatInput, command) {
+    chatInput.value = `${command.mention ? '@' : '/'}${command.name} `;
+    chatInput.focus();
+    chatInput.setSelectionRange(chatInput.value.length, chatInput.value.length);
+    this.closeSlashMenu();
+  }
+  
+  /**
+   * Hide the command menu
+   */
+  closeSlashMenu() {
+    this.slashMatches = [];
+    const menu = this.panel?.querySelector('.slash-menu');
+    if (menu) {
+      menu.hidden = true;
+      menu.innerHTML = '';
+    }
+  }
+  
+  /**
+   * Run a command typed in the chat input
+   * @param {{name: string, args: string}} command - The parsed command
+   * @returns {string|null} - The message to send, or null if there is none
+   */
+  runSlashCommand({ name, args }) {
+    switch (name) {
+      case 'new':
+        this.startNewConversation();
+        return null;
+        
+      case 'agent':
+        this.switchAgentByName(args);
+        return null;
+        
+      case 'summarize':
+        return args
+          ? `Summarize this page, focusing on ${args}.`
+          : 'Summarize this page.';
+        
+      case 'translate':
+        if (!args) {
+          this.showError('Name the language to translate into, e.g. /translate French');
+          return null;
+        }
+        return `Translate the content of this page into ${args}.`;
+        
+      case 'selection':
+        if (this.embedded) {
+          this.showError('The side panel can\'t read the selection; right-click it and choose "Ask about selection"');
+          return null;
+        }
+        this.attachSelection(this.lastSelection);
+        return args || null;
+        
+      case 'export':
+        this.exportConversation(args || 'md');
+        return null;
+        
+      case 'model':
+        this.setAgentModel(args);
+        return null;
+        
+      case 'help':
+        this.showNotice([
+          ...BUILT_IN_COMMANDS.map(command => `${command.usage} — ${command.description}`),
+          ...this.customCommands.map(command => `/${command.name} — ${command.description || command.prompt}`)
+        ].join('\n'));
+        return null;
+        
+      default: {
+        const custom = this.customCommands.find(command => command.name === name);
+        if (custom) {
+          return expandCustomCommand(custom, args);
+        }
+        this.showError(`Unknown command /${name}. Type /help to see the commands.`);
+        return null;
+      }
+    }
+  }
+  
+  /**
+   * Switch to the agent with the given name, or the only one starting with it
+   * @param {string} name - The agent name typed after /agent
+   */
+  switchAgentByName(name) {
+    const wanted = (name || '').trim().toLowerCase();
+    if (!wanted) {
+      this.showNotice('Agents: ' + this.agents.map(agent => agent.name).join(', '));
+      return;
+    }
+    
+    const exact = this.agents.find(agent => agent.name.toLowerCase() === wanted);
+    const partial = this.agents.filter(agent => agent.name.toLowerCase().startsWith(wanted));
+    const agent = exact || (partial.length === 1 ? partial[0] : null);
+    if (!agent) {
+      this.showError(partial.length > 1
+        ? `"${name}" matches several agents: ${partial.map(a => a.name).join(', ')}`
+        : `No agent named "${name}"`);
+      return;
+    }
+    
+    this.switchAgent(agent.id);
+  }
+  
+  /**
+   * Show the model of the active agent, or change it
+   * @param {string} model - The model ID typed after /model
+   */
+  setAgentModel(model) {
+    const agent = this.agents.find(a => a.id === this.activeAgentId);
+    if (!agent) return;
+    
+    if (!model) {
+      this.showNotice(`${agent.name} uses ${agent.model || 'the default model'}`);
+      return;
+    }
+    
+    this.sendMessage({
+      action: 'UPDATE_AGENT',
+      agentId: agent.id,
+      updates: { model }
+    }).then(response => {
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+      this.agents = this.agents.map(a => a.id === agent.id ? response.agent : a);
+      this.showNotice(`${agent.name} now uses ${model}`);
+    }).catch(error => {
+      this.showError('Could not change the model: ' + error.message);
+    });
+  }
+  
+  /**
+   * Download the current conversation
+   * @param {string} format - 'md' or 'json'
+   */
+  exportConversation(format) {
+    const type = format.toLowerCase();
+    if (!['md', 'markdown', 'json'].includes(type)) {
+      this.showError('Export as md or json, e.g. /export md');
+      return;
+    }
+    
+    const conversationId = this.panel.dataset.conversationId;
+    this.sendMessage({
+      action: 'EXPORT_CONVERSATION',
+      conversationId
+    }).then(response => {
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+      
+      const data = response.data;
+      const agent = this.agents.find(a => a.id === data.agentId);
+      if (agent) {
+        data.agentName = agent.name;
+      }
+      
+      const json = type === 'json';
+      const blob = json
+        ? new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+        : new Blob([conversationToMarkdown(data)], { type: 'text/markdown' });
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `conversation_${conversationId}.${json ? 'json' : 'md'}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }).catch(error => {
+      this.showError('Could not export the conversation: ' + error.message);
+    });
+  }
+  
+  /**
+   * Show a note in the transcript that is not part of the conversation
+   */
+  showNotice(text) {
+    this.appendMessage('notice', text);
+  }
+  
+  /**
+   * Stop typing in the panel before the page's window and document
+   * listeners see it, even in the capture phase, and hand the panel a copy
+   * that stays inside its shadow root
+   */
+  handleIsolatedEvent(event) {
+    if (!this.host || event.composedPath()[0] !== this.host) return;
+    
+    event.stopPropagation();
+    const copy = new event.constructor(event.type, {
+      bubbles: event.bubbles,
+      cancelable: event.cancelable,
+      composed: false,
+      key: event.key,
+      code: event.code,
+      location: event.location,
+      repeat: event.repeat,
+      isComposing: event.isComposing,
+      ctrlKey: event.ctrlKey,
+      shiftKey: event.shiftKey,
+      altKey: event.altKey,
+      metaKey: event.metaKey,
+      data: event.data,
+      inputType: event.inputType
+    });
+    (this.root.activeElement || this.panel).dispatchEvent(copy);
+    if (copy.defaultPrevented) {
+      event.preventDefault();
+    }
+  }
+  
+  /**
+   * Remember the latest non-empty selection made outside the panel
+   */
+  handleSelectionChange() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed) return;
+    
+    // Ignore selections inside the panel itself
+    if (this.host && this.host.contains(selection.anchorNode)) return;
+    
+    const text = selection.toString().trim();
+    if (!text) return;
+    
+    this.lastSelection = text;
+    if (this.selectionMode) {
+      this.pendingSelection = text;
+      this.updateSelectionPreview();
+    }
+  }
+  
+  /**
+   * Toggle "use selection" mode for the next message
+   */
+  toggleSelectionMode() {
+    if (this.selectionMode) {
+      this.clearSelectionMode();
+    } else {
+      this.attachSelection(this.lastSelection);
+    }
+  }
+  
+  /**
+   * Attach selected text to the next message and focus the input
+   */
+  attachSelection(text) {
+    if (!this.panel) return;
+    
+    this.selectionMode = true;
+    this.pendingSelection = (text || '').trim();
+    this.updateSelectionPreview();
+    
+    const chatInput = this.panel.querySelector('.chat-input');
+    if (chatInput) {
+      chatInput.focus();
+    }
+  }
+  
+  /**
+   * Leave "use selection" mode
+   */
+  clearSelectionMode() {
+    this.selectionMode = false;
+    this.pendingSelection = '';
+    this.updateSelectionPreview();
+  }
+  
+  /**
+   * Update the selection preview and toggle button state
+   */
+  updateSelectionPreview() {
+    if (!this.panel) return;
+    
+    const preview = this.panel.querySelector('.selection-preview');
+    const previewText = this.panel.querySelector('.selection-preview-text');
+    const toggleButton = this.panel.querySelector('.selection-toggle-button');
+    
+    if (toggleButton) {
+      toggleButton.classList.toggle('active', this.selectionMode);
+    }
+    
+    if (!preview || !previewText) return;
+    
+    if (!this.selectionMode) {
+      preview.hidden = true;
+      previewText.textContent = '';
+      return;
+    }
+    
+    preview.hidden = false;
+    if (this.pendingSelection) {
+      const text = this.pendingSelection.replace(/\s+/g, ' ');
+      previewText.textContent = text.length > 200 ? text.slice(0, 200) + '…' : text;
+      previewText.title = this.pendingSelection;
+    } else {
+      previewText.textContent = 'Select text on the page to attach it to your next message.';
+      previewText.title = '';
+    }
+  }
+  
+  /**
+   * Check whether the active agent accepts screenshots
+   */
+  activeAgentSupportsVision() {
+    const activeAgent = this.agents.find(a => a.id === this.activeAgentId);
+    return !!activeAgent?.supportsVision;
+  }
+  
+  /**
+   * Toggle attaching a screenshot to the next message
+   */
+  toggleScreenshotMode() {
+    this.setScreenshotMode(!this.screenshotMode);
+  }
+  
+  /**
+   * Turn screenshot attachment on or off
+   */
+  setScreenshotMode(enabled) {
+    this.screenshotMode = enabled;
+    this.updateScreenshotButton();
+  }
+  
+  /**
+   * Show the screenshot button only for agents with vision support
+   */
+  updateScreenshotButton() {
+    if (!this.panel) return;
+    
+    const button = this.panel.querySelector('.screenshot-toggle-button');
+    if (!button) return;
+    
+    if (!this.activeAgentSupportsVision()) {
+      this.screenshotMode = false;
+      button.hidden = true;
+      return;
+    }
+    
+    button.hidden = false;
+    button.classList.toggle('active', this.screenshotMode);
+    button.title = this.screenshotMode
+      ? 'A screenshot of the visible page will be attached to the next message'
+      : 'Attach a screenshot of the visible page to the next message';
+  }
+  
+  /**
+   * Open or close the tab picker
+   */
+  toggleTabPicker() {
+    const picker = this.panel?.querySelector('.tab-picker');
+    if (!picker) return;
+    
+    if (picker.hidden) {
+      this.openTabPicker();
+    } else {
+      this.closeTabPicker();
+    }
+  }
+  
+  /**
+   * Show the tab picker with the current tabs of the window
+   */
+  async openTabPicker() {
+    const picker = this.panel?.querySelector('.tab-picker');
+    const list = this.panel?.querySelector('.tab-picker-list');
+    if (!picker || !list) return;
+    
+    this.closeTemplatePicker();
+    list.textContent = 'Loading tabs...';
+    picker.hidden = false;
+    
+    try {
+      const response = await this.sendMessage({ action: 'GET_WINDOW_TABS' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the extension');
+      }
+      
+      // Forget attached tabs that were closed in the meantime
+      const openTabIds = new Set(response.tabs.map(tab => tab.id));
+      Array.from(this.attachedTabs.keys())
+        .filter(tabId => !openTabIds.has(tabId))
+        .forEach(tabId => this.attachedTabs.delete(tabId));
+      
+      this.renderTabPickerList(response.tabs);
+    } catch (error) {
+      console.error('Error listing tabs:', error);
+      list.textContent = 'Could not list the tabs of this window: ' + error.message;
+    }
+    
+    this.updateTabPickerButton();
+  }
+  
+  /**
+   * Fill the tab picker with one checkbox per tab
+   */
+  renderTabPickerList(tabs) {
+    const list = this.panel?.querySelector('.tab-picker-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    if (tabs.length === 0) {
+      list.textContent = 'There are no other web pages open in this window.';
+      return;
+    }
+    
+    tabs.forEach(tab => {
+      const row = document.createElement('label');
+      row.className = 'tab-picker-item';
+      row.title = tab.url;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.attachedTabs.has(tab.id);
+      checkbox.onchange = () => this.setTabAttached(tab, checkbox.checked);
+      
+      const title = document.createElement('span');
+      title.className = 'tab-picker-item-title';
+      title.textContent = tab.title || tab.url;
+      
+      const host = document.createElement('span');
+      host.className = 'tab-picker-item-host';
+      try {
+        host.textContent = new URL(tab.url).hostname;
+      } catch (e) {
+        host.textContent = '';
+      }
+      
+      row.appendChild(checkbox);
+      row.appendChild(title);
+      row.appendChild(host);
+      list.appendChild(row);
+    });
+  }
+  
+  /**
+   * Hide the tab picker
+   */
+  closeTabPicker() {
+    const picker = this.panel?.querySelector('.tab-picker');
+    if (picker) {
+      picker.hidden = true;
+    }
+  }
+  
+  /**
+   * Attach a tab to the conversation or detach it
+   */
+  setTabAttached(tab, attached) {
+    if (attached) {
+      this.attachedTabs.set(tab.id, { title: tab.title, url: tab.url });
+    } else {
+      this.attachedTabs.delete(tab.id);
+    }
+    this.updateTabPickerButton();
+  }
+  
+  /**
+   * Show the number of attached tabs on the tab picker button
+   */
+  updateTabPickerButton() {
+    const button = this.panel?.querySelector('.tab-picker-button');
+    if (!button) return;
+    
+    const count = this.attachedTabs.size;
+    button.textContent = count > 0 ? `🗂 ${count}` : '🗂';
+    button.classList.toggle('active', count > 0);
+    button.title = count > 0
+      ? 'Attached tabs:\n' + Array.from(this.attachedTabs.values()).map(tab => tab.title || tab.url).join('\n')
+      : 'Attach other open tabs to your questions';
+  }
+  
+  /**
+   * Turn the element picker on or off
+   */
+  toggleElementPicker() {
+    if (this.elementPicker.active) {
+      this.elementPicker.stop();
+    } else {
+      this.elementPicker.start();
+      this.updatePickedElements();
+    }
+  }
+  
+  /**
+   * Get the picked page regions to capture instead of the whole page
+   *
+   * @returns {Array<Element>} - The picked elements, empty for the whole page
+   */
+  getPickedElements() {
+    return this.elementPicker.getElements();
+  }
+  
+  /**
+   * Update the chip row and the picker button after the picked regions change
+   */
+  updatePickedElements() {
+    if (!this.panel) return;
+    
+    const button = this.panel.querySelector('.element-picker-button');
+    if (button) {
+      const active = this.elementPicker.active;
+      button.classList.toggle('active', active);
+      button.title = active
+        ? 'Stop picking (Esc)'
+        : 'Pick regions of the page to use as the context';
+    }
+    
+    const row = this.panel.querySelector('.picked-elements');
+    if (!row) return;
+    
+    const elements = this.elementPicker.elements;
+    row.innerHTML = '';
+    
+    if (elements.length === 0) {
+      if (this.elementPicker.active) {
+        row.textContent = 'Click regions of the page to use only them as the context. Press Esc when done.';
+        row.hidden = false;
+      } else {
+        row.hidden = true;
+      }
+      return;
+    }
+    
+    const label = document.createElement('span');
+    label.textContent = 'Context:';
+    row.appendChild(label);
+    
+    elements.forEach(element => {
+      const chip = document.createElement('span');
+      chip.className = 'picked-element-chip';
+      
+      const name = document.createElement('span');
+      name.className = 'picked-element-name';
+      name.textContent = describeElement(element);
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'clear-button';
+      removeBtn.innerHTML = '×';
+      removeBtn.title = 'Stop using this region';
+      removeBtn.onclick = () => this.elementPicker.remove(element);
+      
+      chip.title = name.textContent;
+      chip.appendChild(name);
+      chip.appendChild(removeBtn);
+      row.appendChild(chip);
+    });
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'picked-elements-clear';
+    clearBtn.textContent = 'Clear';
+    clearBtn.title = 'Use the whole page again';
+    clearBtn.onclick = () => this.elementPicker.clear();
+    row.appendChild(clearBtn);
+    
+    row.hidden = false;
+  }
+  
+  /**
+   * Show how many items were masked in the page data of the last message
+   *
+   * @param {number} total - Number of masked items
+   * @param {Object} counts - Number of masked items per detector label
+   */
+  updateRedactionBadge(total, counts = {}) {
+    const badge = this.panel?.querySelector('.redaction-badge');
+    if (!badge) return;
+    
+    if (!total) {
+      badge.hidden = true;
+      return;
+    }
+    
+    badge.hidden = false;
+    badge.textContent = `🛡 ${total} masked`;
+    badge.title = 'Masked in the page data of the last message:\n' +
+      Object.entries(counts).map(([label, count]) => `${label}: ${count}`).join('\n');
+  }
+  
+  /**
+   * Remove panel from page and clean up resources
+   */
+  removePanel() {
+    // Stop picking and forget the picked regions along with the panel
+    this.elementPicker.stop();
+    this.elementPicker.clear();
+    
+    // Give the page its margins back and remove the bubble
+    this.layout?.destroy();
+    this.layout = null;
+    
+    // Remove the panel from DOM
+    this.panel = null;
+    this.host?.remove();
+    this.host = null;
+    this.root = null;
+    
+    document.removeEventListener('selectionchange', this.handleSelectionChange);
+    ISOLATED_EVENTS.forEach(type => {
+      window.removeEventListener(type, this.handleIsolatedEvent, true);
+    });
+    chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    
+    // Reset state
+    this.activeAgentId = null;
+    this.selectionMode = false;
+    this.pendingSelection = '';
+    this.screenshotMode = false;
+    this.attachedTabs.clear();
+    this.roundtable = false;
+    this.roundtableAgentIds.clear();
+    this.roundtableColumns.clear();
+    this.streamingBubble = null;
+    this.streamRenderer = null;
+    this.reasoningRenderer = null;
+    this.transcriptRequest++;
+  }
+  
+  /**
+   * Toggle panel visibility
+   */
+  togglePanel(agents, activeAgentId, conversationId) {
+    if (this.hasPanel()) {
+      this.removePanel();
+      return { created: false, visible: false };
+    } else {
+      this.getOrCreatePanel(agents, activeAgentId, conversationId);
+      return { created: true, visible: true };
+    }
+  }
+  
+  /**
+   * Update agent tabs
+   */
+  updateAgentTabs(agents, activeAgentId) {
+    this.agents = agents;
+    
+    if (!this.panel) {
+      console.warn('No panel to update agent tabs');
+      return;
+    }
+    
+    // Find header and remove old tabs
+    const header = this.panel.querySelector('.agent-tabs');
+    if (header) {
+      header.remove();
+    }
+    
+    // Forget removed agents in the roundtable, which needs two agents or more
+    this.roundtableAgentIds.forEach(agentId => {
+      if (!agents.some(agent => agent.id === agentId)) {
+        this.roundtableAgentIds.delete(agentId);
+      }
+    });
+    if (this.roundtable && agents.length <= 1) {
+      this.setRoundtable(false);
+    }
+    
+    // Create new tabs
+    const headerContainer = this.panel.querySelector('.panel-header');
+    if (headerContainer) {
+      this.createAgentTabs(headerContainer);
+    }
+    
+    // Update active agent ID
     this.activeAgentId = activeAgentId;
     this.panel.dataset.activeAgentId = activeAgentId;
     
@@ -573,17 +1968,56 @@ class PanelManager {
         title.textContent = activeAgent.name;
       }
     }
+    
+    this.updateAccent();
+    this.updateScreenshotButton();
+    if (this.roundtable) {
+      this.setRoundtable(true);
+    }
+  }
+  
+  /**
+   * Dock the panel to a side, or let it float again if it is docked there
+   * @param {string} side - 'left' or 'right'
+   */
+  toggleDock(side) {
+    if (!this.layout) return;
+    
+    if (this.layout.geometry.mode === side) {
+      this.layout.undock();
+    } else {
+      this.layout.dock(side);
+    }
+  }
+  
+  /**
+   * Show on the dock buttons which side the panel is docked to
+   */
+  updateLayoutButtons() {
+    if (!this.panel || !this.layout) return;
+    
+    const mode = this.layout.geometry.mode;
+    ['left', 'right'].forEach(side => {
+      const button = this.panel.querySelector(`.dock-${side}-button`);
+      if (button) {
+        button.title = mode === side ? 'Undock' : `Dock to the ${side}`;
+        button.classList.toggle('active', mode === side);
+      }
+    });
   }
   
   /**
    * Show loading indicator
+   * @param {string} message - Optional progress message
    */
-  showLoading() {
+  showLoading(message) {
     if (!this.panel) return;
     
     const loadingIndicator = this.panel.querySelector('.loading-indicator');
     if (loadingIndicator) {
-      loadingIndicator.style.display = 'block';
+      loadingIndicator.querySelector('.loading-text').textContent = message || 'Processing...';
+      loadingIndicator.querySelector('.stop-button').disabled = false;
+      loadingIndicator.hidden = false;
     }
   }
   
@@ -595,12 +2029,560 @@ class PanelManager {
     
     const loadingIndicator = this.panel.querySelector('.loading-indicator');
     if (loadingIndicator) {
-      loadingIndicator.style.display = 'none';
+      loadingIndicator.hidden = true;
+      loadingIndicator.querySelector('.loading-text').textContent = 'Processing...';
+    }
+  }
+  
+  /**
+   * Stop the active agent's reply
+   */
+  stopResponse() {
+    if (!this.panel) return;
+    
+    if (this.roundtable) {
+      this.stopRoundtable();
+      return;
+    }
+    
+    const stopButton = this.panel.querySelector('.stop-button');
+    if (stopButton) {
+      stopButton.disabled = true;
+    }
+    
+    // The bubble may be finished by HIDE_LOADING before the response arrives
+    const bubble = this.streamingBubble;
+    this.sendMessage({
+      action: 'CANCEL_STREAM',
+      agentId: this.activeAgentId
+    }).then(response => {
+      if (response?.cancelled && bubble) {
+        this.markTruncated(bubble);
+      }
+      this.hideLoading();
+    }).catch(error => {
+      console.error('Error stopping the response:', error);
+      if (stopButton) {
+        stopButton.disabled = false;
+      }
+    });
+  }
+  
+  /**
+   * Note on a reply bubble that the reply was stopped before it finished
+   */
+  markTruncated(bubble) {
+    if (bubble.querySelector('.chat-message-truncated')) return;
+    
+    const note = document.createElement('div');
+    note.className = 'chat-message-truncated';
+    note.textContent = 'Stopped — this response is incomplete';
+    bubble.appendChild(note);
+  }
+  
+  /**
+   * Mark the streamed reply as complete, so the next chunk starts a new bubble
+   */
+  finishStreaming() {
+    this.streamRenderer?.finish();
+    this.reasoningRenderer?.finish();
+    this.streamRenderer = null;
+    this.reasoningRenderer = null;
+    this.streamingBubble = null;
+    this.pendingResponderId = null;
+  }
+  
+  /**
+   * Add the collapsible "Thinking" section above the answer of a reply
+   * @param {HTMLElement} bubble - The reply bubble
+   * @returns {HTMLElement} - The section
+   */
+  addReasoningSection(bubble) {
+    const existing = bubble.querySelector('.chat-message-reasoning');
+    if (existing) return existing;
+    
+    const section = document.createElement('details');
+    section.className = 'chat-message-reasoning';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = 'Thinking';
+    // Once opened or closed by hand, it is no longer closed for the user
+    summary.addEventListener('click', () => {
+      section.dataset.toggled = 'true';
+    });
+    
+    const body = document.createElement('div');
+    body.className = 'chat-message-reasoning-body ai-md';
+    
+    section.appendChild(summary);
+    section.appendChild(body);
+    bubble.insertBefore(section, bubble.querySelector('.chat-message-body'));
+    return section;
+  }
+  
+  /**
+   * Stream the reasoning of a reply into its "Thinking" section, which stays
+   * open until the answer starts
+   * @param {HTMLElement} bubble - The reply bubble
+   * @param {MarkdownStreamRenderer} renderer - The section's renderer, if there is one yet
+   * @param {string} content - The next chunk, or all of it with isFirst
+   * @param {boolean} isFirst - Whether this starts the reasoning
+   * @returns {MarkdownStreamRenderer} - The section's renderer
+   */
+  streamReasoning(bubble, renderer, content, isFirst) {
+    if (!renderer) {
+      const section = this.addReasoningSection(bubble);
+      section.open = !bubble.querySelector('.chat-message-body').textContent;
+      renderer = new MarkdownStreamRenderer(section.querySelector('.chat-message-reasoning-body'));
+    } else if (isFirst) {
+      // Accumulated reasoning replayed for a reply already on screen
+      renderer.reset();
+    }
+    
+    renderer.append(content);
+    return renderer;
+  }
+  
+  /**
+   * Clear the answer shown so far, when it turns out to be reasoning that
+   * came without its opening tag, and show the "Thinking" section again
+   */
+  takeBackAnswer(bubble, renderer) {
+    renderer?.reset();
+    const section = bubble.querySelector('.chat-message-reasoning');
+    if (section && !section.dataset.toggled) {
+      section.open = true;
+    }
+  }
+  
+  /**
+   * Close the "Thinking" section of a reply once its answer starts
+   */
+  collapseReasoning(bubble) {
+    const section = bubble.querySelector('.chat-message-reasoning');
+    if (section && !section.dataset.toggled) {
+      section.open = false;
+    }
+  }
+  
+  /**
+   * Name the agent on a reply it gave for another agent, after an @mention
+   */
+  labelResponder(bubble, agentId) {
+    const agent = this.agents.find(a => a.id === agentId);
+    if (!agent || agentId === this.activeAgentId) return;
+    
+    const label = document.createElement('div');
+    label.className = 'chat-message-agent';
+    label.textContent = agent.name;
+    label.style.setProperty('--ai-accent', agentAccent(agent));
+    bubble.insertBefore(label, bubble.firstChild);
+  }
+  
+  /**
+   * Load the conversation thread from the background and render it
+   */
+  loadTranscript() {
+    if (!this.panel) return;
+    
+    const conversationId = this.panel.dataset.conversationId;
+    const requestId = ++this.transcriptRequest;
+    if (!conversationId) {
+      this.renderTranscript([]);
+      return;
+    }
+    
+    this.sendMessage({
+      action: 'GET_CONVERSATION_MESSAGES',
+      conversationId
+    }).then(response => {
+      // Ignore loads overtaken by an agent or conversation switch
+      if (requestId !== this.transcriptRequest || !this.panel) return;
+      
+      if (response?.success) {
+        this.renderTranscript(response.messages || []);
+      } else {
+        console.error('Failed to load conversation:', response?.error);
+      }
+    }).catch(error => {
+      console.error('Error loading conversation:', error);
+    });
+  }
+  
+  /**
+   * Render a whole thread as message bubbles
+   *
+   * A reply that is still streaming stays at the end, since it is only
+   * stored once complete.
+   */
+  renderTranscript(messages) {
+    const contentElement = this.panel?.querySelector('.panel-content');
+    if (!contentElement) return;
+    
+    const streaming = this.streamingBubble;
+    contentElement.innerHTML = '';
+    
+    // Turns handed to another agent are shown as typed, with the mention, so
+    // editing or regenerating them goes to that agent again
+    messages = messages.map((message, index) => {
+      const reply = messages[index + 1];
+      return message.role === 'user' && reply?.role === 'assistant' && reply.entryId === message.entryId
+        ? { ...message, content: this.withMention(message.content, reply.responderId) }
+        : message;
+    });
+    
+    const lastUserMessage = messages.filter(message => message.role === 'user').pop();
+    if (lastUserMessage) {
+      this.lastPrompt = lastUserMessage.content;
+    }
+    
+    const lastIndex = messages.length - 1;
+    messages.forEach((message, index) => {
+      const bubble = this.createMessageBubble(message.role, message.content);
+      if (message.role === 'assistant' && message.responderId) {
+        this.labelResponder(bubble, message.responderId);
+      }
+      if (message.role === 'assistant' && message.reasoning) {
+        this.addReasoningSection(bubble).querySelector('.chat-message-reasoning-body').innerHTML = renderMarkdown(message.reasoning);
+      }
+      if (message.truncated) {
+        this.markTruncated(bubble);
+      }
+      if (message.entryId) {
+        bubble.dataset.entryId = message.entryId;
+        this.addMessageActions(bubble, message, index === lastIndex);
+      }
+      contentElement.appendChild(bubble);
+    });
+    
+    if (streaming) {
+      contentElement.appendChild(streaming);
+    }
+    
+    if (!contentElement.firstChild) {
+      this.showEmptyTranscript();
+      return;
+    }
+    
+    contentElement.scrollTop = contentElement.scrollHeight;
+  }
+  
+  /**
+   * Put back the mention of the agent a turn was handed to; the stored
+   * message leaves it out
+   * @param {string} text - The stored message
+   * @param {string} agentId - The agent the turn was handed to, if any
+   * @returns {string} - The message as typed
+   */
+  withMention(text, agentId) {
+    const agent = this.agents.find(a => a.id === agentId);
+    if (!agent || agent.id === this.activeAgentId || resolveMention(text, this.agents)) {
+      return text;
+    }
+    return `@${agent.name} ${text}`;
+  }
+  
+  /**
+   * Add the edit, regenerate and version controls under a stored message
+   *
+   * @param {HTMLElement} bubble - The message bubble
+   * @param {Object} message - The message as returned by GET_CONVERSATION_MESSAGES
+   * @param {boolean} isLast - Whether this is the last message of the thread
+   */
+  addMessageActions(bubble, message, isLast) {
+    const actions = document.createElement('div');
+    actions.className = 'chat-message-actions';
+    
+    const createAction = (className, label, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = `message-action-button ${className}`;
+      button.textContent = label;
+      button.title = title;
+      button.onclick = onClick;
+      actions.appendChild(button);
+      return button;
+    };
+    
+    if (message.role === 'assistant' && message.versionCount > 1) {
+      const previous = createAction('version-previous', '‹', 'Previous version',
+        () => this.showMessageVersion(message.entryId, message.version - 1));
+      previous.disabled = message.version === 0;
+      
+      const counter = document.createElement('span');
+      counter.className = 'version-counter';
+      counter.textContent = `${message.version + 1}/${message.versionCount}`;
+      actions.appendChild(counter);
+      
+      const next = createAction('version-next', '›', 'Next version',
+        () => this.showMessageVersion(message.entryId, message.version + 1));
+      next.disabled = message.version === message.versionCount - 1;
+    }
+    
+    if (message.role === 'user') {
+      createAction('edit-button', '✎ Edit', 'Edit this message and send it again',
+        () => this.editMessage(bubble, message));
+    } else if (message.role === 'assistant' && isLast) {
+      createAction('regenerate-button', '↻ Regenerate', 'Ask for another reply',
+        () => this.rerunMessage(message.entryId, this.getEntryMessage(message.entryId)));
+    } else if (message.role === 'assistant') {
+      createAction('branch-button', '⑂ Branch', 'Continue the conversation from here in a new branch',
+        () => this.forkConversation(message.entryId));
+    }
+    
+    if (actions.firstChild) {
+      bubble.appendChild(actions);
+    }
+  }
+  
+  /**
+   * Get what the user sent in a stored turn
+   */
+  getEntryMessage(entryId) {
+    const userBubble = this.panel?.querySelector(`.chat-message-user[data-entry-id="${entryId}"]`);
+    return userBubble?.dataset.message || '';
+  }
+  
+  /**
+   * Turn a user message into an editor; sending it re-runs the conversation
+   * from that message
+   */
+  editMessage(bubble, message) {
+    if (bubble.querySelector('.chat-message-editor')) return;
+    
+    const body = bubble.querySelector('.chat-message-body');
+    const actions = bubble.querySelector('.chat-message-actions');
+    
+    const editor = document.createElement('div');
+    editor.className = 'chat-message-editor';
+    
+    const textarea = document.createElement('textarea');
+    textarea.value = message.content;
+    textarea.rows = Math.min(8, message.content.split('\n').length + 1);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'chat-message-editor-buttons';
+    
+    const close = () => {
+      editor.remove();
+      body.hidden = false;
+      if (actions) actions.hidden = false;
+    };
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'editor-cancel-button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.onclick = close;
+    
+    const sendButton = document.createElement('button');
+    sendButton.className = 'editor-send-button';
+    sendButton.textContent = 'Send';
+    sendButton.onclick = () => {
+      const text = textarea.value.trim();
+      if (!text) return;
+      close();
+      this.rerunMessage(message.entryId, text);
+    };
+    
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (!e.shiftKey || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        sendButton.onclick();
+      } else if (e.key === 'Escape') {
+        // Only cancel the edit, not close the panel
+        e.stopPropagation();
+        close();
+      }
+    });
+    
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(sendButton);
+    editor.appendChild(textarea);
+    editor.appendChild(buttons);
+    
+    body.hidden = true;
+    if (actions) actions.hidden = true;
+    bubble.insertBefore(editor, body);
+    textarea.focus();
+  }
+  
+  /**
+   * Send a stored turn again, with the same or an edited message
+   *
+   * The thread from that turn on is replaced by the new reply; the earlier
+   * reply is kept as another version of the turn.
+   */
+  rerunMessage(entryId, message) {
+    if (!this.panel || !message || this.streamingBubble) return;
+    
+    const contentElement = this.panel.querySelector('.panel-content');
+    const firstBubble = contentElement?.querySelector(`.chat-message[data-entry-id="${entryId}"]`);
+    if (!firstBubble) return;
+    
+    // Drop the turn and everything after it; the reply takes its place
+    while (firstBubble.nextSibling) {
+      firstBubble.nextSibling.remove();
+    }
+    firstBubble.remove();
+    this.addUserMessage(message);
+    this.pendingResponderId = resolveMention(message, this.agents)?.agent.id || null;
+    
+    this.onChat?.({
+      message,
+      url: window.location.href,
+      selection: null,
+      screenshot: false,
+      tabIds: Array.from(this.attachedTabs.keys()),
+      conversationId: this.panel.dataset.conversationId,
+      agentId: this.panel.dataset.activeAgentId,
+      rerunOf: entryId
+    });
+  }
+  
+  /**
+   * Start a new branch after a stored turn; the next message continues from it
+   * and the later turns stay in their own branch (see the history page)
+   */
+  forkConversation(entryId) {
+    if (!this.panel || this.streamingBubble) return;
+    
+    this.sendMessage({
+      action: 'FORK_CONVERSATION',
+      conversationId: this.panel.dataset.conversationId,
+      entryId
+    }).then(response => {
+      if (response?.success) {
+        this.loadTranscript();
+        this.panel.querySelector('.chat-input')?.focus();
+      } else {
+        console.error('Failed to start a branch:', response?.error);
+      }
+    }).catch(error => {
+      console.error('Error starting a branch:', error);
+    });
+  }
+  
+  /**
+   * Show another version of a turn
+   */
+  showMessageVersion(entryId, version) {
+    if (!this.panel) return;
+    
+    this.sendMessage({
+      action: 'SET_MESSAGE_VERSION',
+      conversationId: this.panel.dataset.conversationId,
+      entryId,
+      version
+    }).then(response => {
+      if (response?.success) {
+        this.loadTranscript();
+      } else {
+        console.error('Failed to switch version:', response?.error);
+      }
+    }).catch(error => {
+      console.error('Error switching version:', error);
+    });
+  }
+  
+  /**
+   * Show the hint for an empty conversation
+   */
+  showEmptyTranscript() {
+    const contentElement = this.panel?.querySelector('.panel-content');
+    if (!contentElement) return;
+    
+    contentElement.innerHTML = '';
+    const hint = document.createElement('p');
+    hint.className = 'transcript-empty';
+    hint.textContent = 'Type a message below to chat about this page.';
+    contentElement.appendChild(hint);
+  }
+  
+  /**
+   * Create a message bubble
+   *
+   * @param {string} role - 'user', 'assistant' or 'error'
+   * @param {string} text - Message text
+   * @returns {HTMLElement}
+   */
+  createMessageBubble(role, text = '') {
+    const bubble = document.createElement('div');
+    bubble.className = `chat-message chat-message-${role}`;
+    bubble.dataset.role = role;
+    
+    const body = document.createElement('div');
+    body.className = 'chat-message-body';
+    if (role === 'user') {
+      // Kept for regenerate, which sends the message again as it was
+      bubble.dataset.message = text;
+    }
+    if (role === 'assistant') {
+      // Replies are Markdown; what the user typed is shown as written
+      body.classList.add('ai-md');
+      body.innerHTML = renderMarkdown(text || '');
+    } else {
+      body.innerHTML = formatContent(text || '');
+    }
+    bubble.appendChild(body);
+    
+    return bubble;
+  }
+  
+  /**
+   * Append a bubble to the transcript and keep the latest message in view
+   */
+  appendMessage(role, text) {
+    const contentElement = this.panel?.querySelector('.panel-content');
+    if (!contentElement) return null;
+    
+    contentElement.querySelector('.transcript-empty')?.remove();
+    
+    const bubble = this.createMessageBubble(role, text);
+    if (this.streamingBubble && this.streamingBubble.parentNode === contentElement && role !== 'assistant') {
+      // Keep the reply being streamed below anything added meanwhile
+      contentElement.insertBefore(bubble, this.streamingBubble);
+    } else {
+      contentElement.appendChild(bubble);
     }
+    this.scrollToBottom();
+    return bubble;
+  }
+  
+  /**
+   * Show the user's message right away, before the reply arrives
+   */
+  addUserMessage(message, selection = null) {
+    this.appendMessage('user', this.formatUserMessage(message, selection));
   }
   
   /**
-   * Update content with streaming or complete response
+   * Show the attached selection quoted above the message
+   */
+  formatUserMessage(message, selection = null) {
+    return selection ? `> ${selection.replace(/\n/g, '\n> ')}\n\n${message}` : message;
+  }
+  
+  /**
+   * Scroll the transcript to the bottom
+   */
+  scrollToBottom() {
+    const contentElement = this.panel?.querySelector('.panel-content');
+    if (!contentElement) return;
+    
+    // Use requestAnimationFrame to ensure the DOM has updated
+    requestAnimationFrame(() => {
+      contentElement.scrollTo({
+        top: contentElement.scrollHeight,
+        behavior: 'smooth'
+      });
+    });
+  }
+  
+  /**
+   * Stream a reply into its own bubble
+   *
+   * @param {string} content - The next chunk, or the whole reply with isFirst
+   * @param {boolean} isFirst - Whether this starts a new reply; an empty first
+   *   chunk means the conversation was reset
    */
   updateContent(content, isFirst = false) {
     if (!this.panel) return;
@@ -609,44 +2591,75 @@ class PanelManager {
     if (!contentElement) return;
     
     // Track if we should auto-scroll based on user's scroll position
-    const shouldAutoScroll = contentElement.scrollHeight - contentElement.scrollTop === contentElement.clientHeight;
+    const wasAtBottom = contentElement.scrollHeight - contentElement.scrollTop - contentElement.clientHeight < 8;
     
-    if (isFirst) {
-      contentElement.innerHTML = '';
-      
-      // If content is empty and it's the first chunk, show default message
-      if (!content) {
-        contentElement.innerHTML = '<p>Type a message below to chat about this page.</p>';
-        return;
-      }
-      
-      // Add a pre element for formatting
-      const pre = document.createElement('pre');
-      pre.style.cssText = `
-        margin: 0;
-        white-space: pre-wrap;
-        word-wrap: break-word;
-        font-family: inherit;
-        line-height: inherit;
-      `;
-      contentElement.appendChild(pre);
+    if (isFirst && !content) {
+      // A new conversation was started
+      this.streamingBubble = null;
+      this.streamRenderer = null;
+      this.showEmptyTranscript();
+      return;
+    }
+    
+    if (isFirst && this.streamRenderer) {
+      // Accumulated content replayed for a reply already on screen
+      this.streamRenderer.reset();
     }
     
-    const pre = contentElement.querySelector('pre');
-    if (pre) {
-      const formattedContent = formatContent(content);
-      pre.innerHTML += formattedContent;
+    this.ensureStreamingBubble();
+    
+    if (this.streamRenderer) {
+      this.collapseReasoning(this.streamingBubble);
+      
+      // Only the block being written is re-rendered
+      this.streamRenderer.append(content);
       
       // Only auto-scroll if we were at the bottom before
-      if (shouldAutoScroll) {
-        // Use requestAnimationFrame to ensure the DOM has updated
-        requestAnimationFrame(() => {
-          contentElement.scrollTo({
-            top: contentElement.scrollHeight,
-            behavior: 'smooth'
-          });
-        });
+      if (wasAtBottom) {
+        this.scrollToBottom();
+      }
+    }
+  }
+  
+  /**
+   * Get the bubble of the reply being streamed, adding it when it starts
+   */
+  ensureStreamingBubble() {
+    if (!this.streamingBubble || !this.streamingBubble.isConnected) {
+      this.streamingBubble = this.appendMessage('assistant', '');
+      if (this.streamingBubble && this.pendingResponderId) {
+        this.labelResponder(this.streamingBubble, this.pendingResponderId);
       }
+      const body = this.streamingBubble?.querySelector('.chat-message-body');
+      this.streamRenderer = body ? new MarkdownStreamRenderer(body) : null;
+      this.reasoningRenderer = null;
+    }
+    return this.streamingBubble;
+  }
+  
+  /**
+   * Stream the reasoning of a reply into its "Thinking" section
+   *
+   * @param {string} content - The next chunk, or all of it with isFirst
+   * @param {boolean} isFirst - Whether this starts the reasoning
+   * @param {boolean} restart - Whether the answer shown so far was reasoning
+   */
+  updateReasoning(content, isFirst = false, restart = false) {
+    const contentElement = this.panel?.querySelector('.panel-content');
+    if (!contentElement || !content) return;
+    
+    const wasAtBottom = contentElement.scrollHeight - contentElement.scrollTop - contentElement.clientHeight < 8;
+    
+    const bubble = this.ensureStreamingBubble();
+    if (!bubble) return;
+    
+    if (restart) {
+      this.takeBackAnswer(bubble, this.streamRenderer);
+    }
+    this.reasoningRenderer = this.streamReasoning(bubble, this.reasoningRenderer, content, isFirst);
+    
+    if (wasAtBottom) {
+      this.scrollToBottom();
     }
   }
   
@@ -656,11 +2669,19 @@ class PanelManager {
   showError(errorMessage) {
     if (!this.panel) return;
     
-    const contentElement = this.panel.querySelector('.panel-content');
-    if (contentElement) {
-      contentElement.innerHTML = `<p style="color: red;">Error: ${formatContent(errorMessage)}</p>`;
-      this.hideLoading();
+    if (this.roundtable) {
+      // Errors that are not one agent's go to every column still waiting
+      this.roundtableColumns.forEach((column, agentId) => {
+        if (column.pending) {
+          this.showRoundtableError(agentId, errorMessage);
+        }
+      });
+      return;
     }
+    
+    this.appendMessage('error', `Error: ${errorMessage}`);
+    this.hideLoading();
+    this.finishStreaming();
   }
   
   /**
@@ -670,6 +2691,7 @@ class PanelManager {
     if (!this.panel) return;
     
     // Update data attribute
+    const conversationChanged = this.panel.dataset.conversationId !== conversationId;
     this.panel.dataset.conversationId = conversationId;
     
     // Update display
@@ -694,18 +2716,16 @@ class PanelManager {
       }
       
       // Update tab selection
-      const tabs = this.panel.querySelectorAll('.agent-tab');
-      tabs.forEach(tab => {
-        if (tab.dataset.agentId === agentId) {
-          tab.style.background = 'rgba(255, 255, 255, 0.2)';
-          tab.style.fontWeight = 'bold';
-          tab.style.opacity = '1';
-        } else {
-          tab.style.background = '';
-          tab.style.fontWeight = 'normal';
-          tab.style.opacity = '0.85';
-        }
-      });
+      this.updateAgentTabSelection();
+      this.updateAccent();
+      this.updateScreenshotButton();
+    }
+    
+    // Show the thread of the new conversation
+    if (conversationChanged) {
+      this.streamingBubble = null;
+      this.streamRenderer = null;
+      this.loadTranscript();
     }
   }
 }
@@ -0,0 +1,613 @@
+/**
+ * Panel Styles
+ *
+ * The stylesheet of the chat panel. It lives in the panel's shadow root, so
+ * the page cannot restyle the panel and the panel cannot restyle the page.
+ * Colours come from custom properties on the host: the theme is picked with
+ * its data-theme attribute ('light', 'dark' or 'auto'), and --ai-accent is
+ * the accent colour of the active agent.
+ */
+
+const LIGHT_THEME = `
+  --ai-bg: #ffffff;
+  --ai-surface: #f8f9fa;
+  --ai-border: #e1e4e8;
+  --ai-text: #333333;
+  --ai-muted: #666666;
+  --ai-faint: #999999;
+  --ai-assistant-bg: #f6f8fa;
+  --ai-error-bg: #fdecea;
+  --ai-error-text: #c62828;
+  --ai-error-border: #e57373;
+  --ai-shadow: rgba(0, 0, 0, 0.15);
+  --ai-md-border: #d0d7de;
+  --ai-md-muted: #57606a;
+  --ai-md-faint: #8c959f;
+  --ai-md-link: #0969da;
+  --ai-md-code-bg: rgba(175, 184, 193, 0.25);
+  --ai-md-pre-bg: #f0f2f4;
+  --ai-md-pre-border: #d8dee4;
+  --ai-md-hl-comment: #6e7781;
+  --ai-md-hl-string: #0a3069;
+  --ai-md-hl-number: #0550ae;
+  --ai-md-hl-keyword: #cf222e;
+  --ai-md-hl-attr: #8250df;
+`;
+
+const DARK_THEME = `
+  --ai-bg: #1e1f22;
+  --ai-surface: #2b2d31;
+  --ai-border: #3f4147;
+  --ai-text: #e3e5e8;
+  --ai-muted: #a0a4ab;
+  --ai-faint: #7d8189;
+  --ai-assistant-bg: #2b2d31;
+  --ai-error-bg: #3b1f1f;
+  --ai-error-text: #ff8a80;
+  --ai-error-border: #b3504a;
+  --ai-shadow: rgba(0, 0, 0, 0.5);
+  --ai-md-border: #444c56;
+  --ai-md-muted: #9da7b3;
+  --ai-md-faint: #768390;
+  --ai-md-link: #58a6ff;
+  --ai-md-code-bg: rgba(110, 118, 129, 0.4);
+  --ai-md-pre-bg: #161b22;
+  --ai-md-pre-border: #30363d;
+  --ai-md-hl-comment: #8b949e;
+  --ai-md-hl-string: #a5d6ff;
+  --ai-md-hl-number: #79c0ff;
+  --ai-md-hl-keyword: #ff7b72;
+  --ai-md-hl-attr: #d2a8ff;
+`;
+
+export const PANEL_STYLES = `
+  :host {
+    all: initial;
+    --ai-accent: #4CAF50;
+    ${LIGHT_THEME}
+  }
+  :host([data-theme="dark"]) {
+    ${DARK_THEME}
+  }
+  @media (prefers-color-scheme: dark) {
+    :host([data-theme="auto"]) {
+      ${DARK_THEME}
+    }
+  }
+  :host {
+    --ai-accent-strong: color-mix(in srgb, var(--ai-accent) 88%, black);
+    --ai-accent-soft: color-mix(in srgb, var(--ai-accent) 14%, var(--ai-bg));
+    --ai-on-accent: #ffffff;
+  }
+
+  [hidden] { display: none !important; }
+  button { font-family: inherit; }
+
+  .ai-assistant-panel {
+    position: fixed;
+    background-color: var(--ai-bg);
+    color: var(--ai-text);
+    border-radius: 8px;
+    box-shadow: 0 4px 12px var(--ai-shadow);
+    z-index: 10000;
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+    border: 1px solid var(--ai-border);
+    display: flex;
+    flex-direction: column;
+    overflow: hidden;
+  }
+
+  /* Filling the side panel instead of floating over the page */
+  .ai-assistant-panel.embedded {
+    position: static;
+    width: 100%;
+    height: 100%;
+    border: none;
+    border-radius: 0;
+    box-shadow: none;
+  }
+
+  .panel-header {
+    padding: 12px 16px;
+    background: linear-gradient(to right, var(--ai-accent), var(--ai-accent-strong));
+    border-bottom: 1px solid var(--ai-border);
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    color: var(--ai-on-accent);
+  }
+  .panel-header-top {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+  .agent-title { font-weight: bold; }
+  .panel-header-buttons {
+    display: flex;
+    gap: 8px;
+  }
+  .panel-header-button {
+    border: none;
+    background: none;
+    color: inherit;
+    font-size: 16px;
+    cursor: pointer;
+    padding: 0 2px;
+    line-height: 24px;
+    opacity: 0.8;
+    transition: opacity 0.2s;
+  }
+  .panel-header-button:hover { opacity: 1; }
+  .panel-header-button.active { text-decoration: underline; }
+  .new-conversation-button { font-size: 20px; padding: 0 4px; }
+  .close-button { font-size: 24px; padding: 0 4px; }
+  .redaction-badge {
+    align-self: center;
+    padding: 2px 8px;
+    border-radius: 10px;
+    background: rgba(255, 255, 255, 0.2);
+    font-size: 11px;
+    white-space: nowrap;
+    cursor: default;
+  }
+  .conversation-id-display {
+    font-size: 10px;
+    opacity: 0.8;
+    font-family: monospace;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .agent-tabs {
+    display: flex;
+    overflow-x: auto;
+    background: rgba(255, 255, 255, 0.1);
+    border-radius: 4px;
+    margin-top: 8px;
+    scrollbar-width: none;
+  }
+  .agent-tabs::-webkit-scrollbar { display: none; }
+  .agent-tab {
+    padding: 6px 12px;
+    cursor: pointer;
+    white-space: nowrap;
+    border-radius: 4px;
+    transition: all 0.2s;
+    font-size: 13px;
+    opacity: 0.85;
+  }
+  .agent-tab:hover {
+    opacity: 1;
+    background: rgba(255, 255, 255, 0.1);
+  }
+  .agent-tab.active {
+    opacity: 1;
+    background: rgba(255, 255, 255, 0.2);
+    font-weight: bold;
+  }
+  .roundtable-checkbox {
+    display: none;
+    margin: 0 6px 0 0;
+    vertical-align: middle;
+    pointer-events: none;
+  }
+  .roundtable .roundtable-checkbox { display: inline-block; }
+  .roundtable .agent-tab[data-agent-id].active { font-weight: normal; background: none; }
+
+  /* Roundtable replies side by side, a column per ticked agent */
+  .roundtable-view {
+    flex-grow: 1;
+    min-height: 0;
+    display: flex;
+    gap: 8px;
+    padding: 8px;
+    overflow-x: auto;
+    background-color: var(--ai-bg);
+    color: var(--ai-text);
+  }
+  .roundtable-column {
+    flex: 1 0 220px;
+    display: flex;
+    flex-direction: column;
+    min-height: 0;
+    border: 1px solid var(--ai-border);
+    border-top: 3px solid var(--ai-accent);
+    border-radius: 6px;
+    overflow: hidden;
+  }
+  .roundtable-column-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    gap: 8px;
+    padding: 6px 10px;
+    background-color: var(--ai-surface);
+    font-weight: bold;
+    white-space: nowrap;
+  }
+  .roundtable-column-status {
+    font-size: 11px;
+    font-weight: normal;
+    color: var(--ai-muted);
+  }
+  .roundtable-column-content {
+    flex-grow: 1;
+    overflow-y: auto;
+    padding: 8px;
+    line-height: 1.5;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+  }
+
+  .panel-content {
+    padding: 16px;
+    flex-grow: 1;
+    overflow-y: auto;
+    background-color: var(--ai-bg);
+    color: var(--ai-text);
+    line-height: 1.5;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+  }
+  .transcript-empty {
+    margin: 0;
+    color: var(--ai-muted);
+  }
+
+  .chat-message {
+    max-width: 90%;
+    padding: 8px 12px;
+    border-radius: 8px;
+    white-space: pre-wrap;
+    word-wrap: break-word;
+  }
+  .chat-message-user {
+    align-self: flex-end;
+    background-color: var(--ai-accent-soft);
+    max-height: 160px;
+    overflow-y: auto;
+  }
+  .chat-message-assistant {
+    align-self: flex-start;
+    background-color: var(--ai-assistant-bg);
+    white-space: normal;
+  }
+  .chat-message-error {
+    align-self: stretch;
+    background-color: var(--ai-error-bg);
+    color: var(--ai-error-text);
+  }
+  .chat-message-reasoning {
+    margin-bottom: 6px;
+    padding-left: 8px;
+    border-left: 2px solid var(--ai-border);
+    color: var(--ai-muted);
+    font-size: 12px;
+  }
+  .chat-message-reasoning summary {
+    cursor: pointer;
+    font-style: italic;
+    user-select: none;
+  }
+  .chat-message-reasoning-body { margin-top: 4px; }
+  .chat-message-agent {
+    margin-bottom: 4px;
+    font-size: 11px;
+    font-weight: bold;
+    color: var(--ai-accent);
+  }
+  .chat-message-notice {
+    align-self: stretch;
+    color: var(--ai-muted);
+    border: 1px dashed var(--ai-border);
+    font-size: 12px;
+  }
+  .chat-message-truncated {
+    margin-top: 6px;
+    font-size: 11px;
+    font-style: italic;
+    color: var(--ai-faint);
+  }
+  .chat-message-actions {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-top: 4px;
+    font-size: 11px;
+    color: var(--ai-muted);
+  }
+  .message-action-button {
+    padding: 0 4px;
+    background: none;
+    border: none;
+    color: inherit;
+    font-size: 11px;
+    cursor: pointer;
+  }
+  .message-action-button:hover:not(:disabled) { color: var(--ai-accent); }
+  .message-action-button:disabled { opacity: 0.4; cursor: default; }
+  .chat-message-editor textarea {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 6px;
+    border: 1px solid var(--ai-border);
+    border-radius: 4px;
+    background: var(--ai-bg);
+    color: var(--ai-text);
+    font-family: inherit;
+    font-size: 13px;
+    resize: vertical;
+  }
+  .chat-message-editor-buttons {
+    display: flex;
+    justify-content: flex-end;
+    gap: 6px;
+    margin-top: 4px;
+  }
+
+  .loading-indicator {
+    padding: 6px 16px;
+    background-color: var(--ai-surface);
+    border-top: 1px solid var(--ai-border);
+    color: var(--ai-muted);
+    font-size: 12px;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+  }
+  .stop-button {
+    background: var(--ai-bg);
+    color: var(--ai-error-text);
+    border: 1px solid var(--ai-error-border);
+    border-radius: 4px;
+    padding: 2px 8px;
+    font-size: 12px;
+    cursor: pointer;
+    flex-shrink: 0;
+  }
+  .stop-button:disabled { opacity: 0.6; cursor: default; }
+
+  .tab-picker,
+  .template-picker {
+    padding: 6px 12px;
+    background-color: var(--ai-surface);
+    border-top: 1px solid var(--ai-border);
+    font-size: 12px;
+  }
+  .tab-picker-heading,
+  .template-picker-heading {
+    color: var(--ai-muted);
+    margin-bottom: 4px;
+  }
+  .tab-picker-list,
+  .template-picker-list {
+    max-height: 140px;
+    overflow-y: auto;
+  }
+  .template-picker-item {
+    display: block;
+    width: 100%;
+    padding: 4px 6px;
+    background: none;
+    color: var(--ai-text);
+    border: none;
+    border-radius: 4px;
+    text-align: left;
+    cursor: pointer;
+    font-size: 12px;
+  }
+  .template-picker-item:hover { background-color: var(--ai-accent-soft); }
+  .template-form {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+  }
+  .template-field {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    color: var(--ai-muted);
+  }
+  .template-field input {
+    padding: 4px 6px;
+    border: 1px solid var(--ai-border);
+    border-radius: 4px;
+    background-color: var(--ai-bg);
+    color: var(--ai-text);
+    font-family: inherit;
+  }
+  .tab-picker-item {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 2px 0;
+    cursor: pointer;
+  }
+  .tab-picker-item-title {
+    flex-grow: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .tab-picker-item-host {
+    color: var(--ai-faint);
+    flex-shrink: 0;
+  }
+
+  .selection-preview,
+  .picked-elements {
+    padding: 6px 12px;
+    background-color: var(--ai-accent-soft);
+    border-top: 1px solid var(--ai-border);
+    color: var(--ai-muted);
+    font-size: 12px;
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+  }
+  .selection-preview-text {
+    flex-grow: 1;
+    border-left: 3px solid var(--ai-accent);
+    padding-left: 6px;
+    font-style: italic;
+    max-height: 48px;
+    overflow: hidden;
+  }
+  .picked-elements {
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px;
+  }
+  .picked-element-chip {
+    display: inline-flex;
+    align-items: center;
+    gap: 2px;
+    max-width: 200px;
+    padding: 1px 2px 1px 8px;
+    background: var(--ai-bg);
+    border: 1px solid var(--ai-accent);
+    border-radius: 10px;
+  }
+  .picked-element-name {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .clear-button {
+    border: none;
+    background: none;
+    color: var(--ai-muted);
+    font-size: 16px;
+    cursor: pointer;
+    padding: 0 4px;
+    line-height: 16px;
+  }
+  .picked-element-chip .clear-button {
+    font-size: 14px;
+    line-height: 14px;
+  }
+  .picked-elements-clear {
+    border: none;
+    background: none;
+    color: var(--ai-accent);
+    font-size: 12px;
+    cursor: pointer;
+    padding: 0 4px;
+  }
+
+  .chat-input-area {
+    position: relative;
+    padding: 12px;
+    background-color: var(--ai-surface);
+    border-top: 1px solid var(--ai-border);
+    display: flex;
+    gap: 8px;
+  }
+  .slash-menu {
+    position: absolute;
+    left: 12px;
+    right: 12px;
+    bottom: 100%;
+    max-height: 200px;
+    overflow-y: auto;
+    background-color: var(--ai-bg);
+    border: 1px solid var(--ai-border);
+    border-radius: 4px;
+    box-shadow: 0 -2px 8px var(--ai-shadow);
+    font-size: 12px;
+  }
+  .slash-menu-item {
+    display: flex;
+    gap: 8px;
+    padding: 6px 8px;
+    cursor: pointer;
+  }
+  .slash-menu-item.selected { background-color: var(--ai-accent-soft); }
+  .slash-menu-usage {
+    font-family: monospace;
+    white-space: nowrap;
+  }
+  .slash-menu-description {
+    color: var(--ai-muted);
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .chat-input {
+    flex-grow: 1;
+    padding: 8px;
+    border: 1px solid var(--ai-border);
+    border-radius: 4px;
+    resize: none;
+    min-height: 20px;
+    max-height: 120px;
+    font-family: inherit;
+    font-size: 14px;
+    line-height: 1.4;
+    background-color: var(--ai-bg);
+    color: var(--ai-text);
+  }
+  .chat-input:focus {
+    outline: none;
+    border-color: var(--ai-accent);
+  }
+  .chat-send-button,
+  .editor-send-button {
+    padding: 8px 16px;
+    background: var(--ai-accent);
+    color: var(--ai-on-accent);
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 14px;
+    transition: background-color 0.2s;
+  }
+  .chat-send-button:hover,
+  .editor-send-button:hover { background: var(--ai-accent-strong); }
+  .attach-button,
+  .editor-cancel-button {
+    padding: 8px 10px;
+    background: var(--ai-bg);
+    color: var(--ai-accent);
+    border: 1px solid var(--ai-border);
+    border-radius: 4px;
+    cursor: pointer;
+    font-size: 14px;
+    white-space: nowrap;
+    transition: background-color 0.2s;
+  }
+  .attach-button.active {
+    background: var(--ai-accent-soft);
+    border-color: var(--ai-accent);
+  }
+  .editor-send-button,
+  .editor-cancel-button {
+    padding: 4px 10px;
+    font-size: 13px;
+  }
+  .editor-cancel-button { color: var(--ai-text); }
+
+  .ai-assistant-bubble {
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    width: 52px;
+    height: 52px;
+    border-radius: 50%;
+    border: none;
+    background: linear-gradient(to right, var(--ai-accent), var(--ai-accent-strong));
+    box-shadow: 0 4px 12px var(--ai-shadow);
+    font-size: 24px;
+    cursor: pointer;
+    z-index: 10000;
+  }
+  .ai-assistant-bubble.left {
+    right: auto;
+    left: 20px;
+  }
+`;
@@ -0,0 +1,192 @@
+/**
+ * GitHub Extractor
+ *
+ * Captures pull requests (title, description, diff hunks and review
+ * comments) and issues (title, description and comments). Other GitHub
+ * pages fall back to the default extraction.
+ */
+
+import { textOf, bodyText } from './helpers';
+
+const MAX_DIFF_LINES_PER_FILE = 200;
+const MAX_COMMENTS = 100;
+
+/**
+ * Get the pull request or issue number and kind from a URL
+ */
+function parseUrl(url) {
+  const match = new URL(url).pathname.match(/^\/([^/]+)\/([^/]+)\/(pull|issues)\/(\d+)/);
+  if (!match) return null;
+  return {
+    repo: `${match[1]}/${match[2]}`,
+    kind: match[3] === 'pull' ? 'pull' : 'issue',
+    number: match[4]
+  };
+}
+
+/**
+ * Collect the comments on the timeline (the first one is the description)
+ */
+function collectComments(doc) {
+  const comments = [];
+  doc.querySelectorAll('.timeline-comment, [data-testid="issue-body"], [data-testid="comment-viewer-outer-box"]').forEach(comment => {
+    if (comments.length >= MAX_COMMENTS) return;
+
+    // Review comments are collected with their diff hunk
+    if (comment.closest('.review-comment, .js-resolvable-timeline-thread-container')) return;
+
+    const body = comment.querySelector('.comment-body, .markdown-body');
+    if (!body) return;
+
+    comments.push({
+      author: textOf(comment, '.author, [data-testid="avatar-link"]') || '[unknown]',
+      text: bodyText(body)
+    });
+  });
+  return comments;
+}
+
+/**
+ * Convert the rows of a diff table to unified diff lines
+ */
+function diffLines(table) {
+  const lines = [];
+  table.querySelectorAll('td.blob-code').forEach(cell => {
+    const code = cell.querySelector('.blob-code-inner') || cell;
+    const text = code.textContent.replace(/\n$/, '');
+
+    if (cell.classList.contains('blob-code-hunk')) {
+      lines.push(text.trim());
+    } else if (cell.classList.contains('blob-code-addition')) {
+      lines.push('+' + text);
+    } else if (cell.classList.contains('blob-code-deletion')) {
+      lines.push('-' + text);
+    } else if (!cell.classList.contains('blob-code-empty')) {
+      lines.push(' ' + text);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Format diff lines as a fenced block, trimmed to a line limit
+ */
+function formatDiff(path, lines) {
+  const shown = lines.slice(0, MAX_DIFF_LINES_PER_FILE);
+  const omitted = lines.length - shown.length;
+  const note = omitted > 0 ? `\n[${omitted} more lines not shown]` : '';
+  return `### ${path}\n\`\`\`diff\n${shown.join('\n')}\n\`\`\`${note}`;
+}
+
+/**
+ * Collect the diff hunks of the files tab
+ */
+function collectFileDiffs(doc) {
+  const diffs = [];
+  doc.querySelectorAll('.file').forEach(file => {
+    const table = file.querySelector('table.diff-table');
+    if (!table) return;
+
+    const path = file.querySelector('.file-header')?.dataset?.path ||
+      textOf(file, '.file-info a') ||
+      'unknown file';
+    const lines = diffLines(table);
+    if (lines.length > 0) {
+      diffs.push(formatDiff(path, lines));
+    }
+  });
+  return diffs;
+}
+
+/**
+ * Collect review threads with the diff hunk they comment on
+ */
+function collectReviewThreads(doc) {
+  const threads = [];
+  doc.querySelectorAll('.js-resolvable-timeline-thread-container, .review-thread-component').forEach(thread => {
+    const path = textOf(thread, '.file-info a, summary a, [data-path]') ||
+      thread.querySelector('[data-path]')?.dataset?.path ||
+      'unknown file';
+
+    const table = thread.querySelector('table.diff-table, table');
+    const lines = table ? diffLines(table) : [];
+
+    const comments = [];
+    thread.querySelectorAll('.review-comment').forEach(comment => {
+      const body = comment.querySelector('.comment-body');
+      if (!body) return;
+      comments.push(`- ${textOf(comment, '.author') || '[unknown]'}: ${bodyText(body).replace(/\n+/g, ' ')}`);
+    });
+
+    if (comments.length === 0) return;
+
+    const hunk = lines.length > 0 ? formatDiff(path, lines) : `### ${path}`;
+    threads.push(`${hunk}\n${comments.join('\n')}`);
+  });
+  return threads;
+}
+
+export default {
+  id: 'github',
+  hostnames: ['github.com'],
+
+  /**
+   * Only pull requests and issues have a dedicated extraction
+   */
+  matches(url) {
+    return !!parseUrl(url);
+  },
+
+  extract(doc, url) {
+    const { repo, kind, number } = parseUrl(url);
+    const title = textOf(doc, '.js-issue-title, [data-testid="issue-title"], bdi.markdown-title') ||
+      doc.title;
+    const state = textOf(doc, '.gh-header-meta .State, [data-testid="header-state"]');
+    const author = textOf(doc, '.gh-header-meta .author, [data-testid="issue-body-header-author"]');
+
+    const blocks = [`# ${title} (${repo}#${number})`];
+    const meta = [state && `State: ${state}`, author && `Author: ${author}`].filter(Boolean);
+    if (kind === 'pull') {
+      const branches = Array.from(doc.querySelectorAll('.commit-ref')).map(ref => ref.textContent.trim());
+      if (branches.length >= 2) {
+        meta.push(`Merging: ${branches[1]} into ${branches[0]}`);
+      }
+    }
+    if (meta.length > 0) {
+      blocks.push(meta.join('\n'));
+    }
+
+    const [description, ...comments] = collectComments(doc);
+    if (!description && !doc.querySelector('.js-issue-title, [data-testid="issue-title"], .file')) {
+      // Not a layout we recognise
+      return null;
+    }
+
+    blocks.push('## Description');
+    blocks.push(description?.text || '[No description]');
+
+    if (kind === 'pull') {
+      const diffs = collectFileDiffs(doc);
+      if (diffs.length > 0) {
+        blocks.push('## Changes');
+        blocks.push(...diffs);
+      }
+
+      const threads = collectReviewThreads(doc);
+      if (threads.length > 0) {
+        blocks.push('## Review comments');
+        blocks.push(...threads);
+      }
+    }
+
+    if (comments.length > 0) {
+      blocks.push('## Comments');
+      comments.forEach(comment => blocks.push(`**${comment.author}:**\n${comment.text}`));
+    }
+
+    return {
+      label: kind === 'pull' ? 'GitHub pull request' : 'GitHub issue',
+      blocks
+    };
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * Hacker News Extractor
+ *
+ * Captures a story or comment page with the comment tree and authors.
+ * Hacker News does not show comment scores, so only the story has one.
+ */
+
+import { textOf, bodyText, parseScore, formatThread } from './helpers';
+
+const MAX_COMMENTS = 300;
+
+// Each indentation level is 40px wide
+const INDENT_WIDTH = 40;
+
+/**
+ * Get the nesting depth of a comment row
+ */
+function commentDepth(row) {
+  const indent = row.querySelector('td.ind');
+  if (indent?.hasAttribute('indent')) {
+    return parseInt(indent.getAttribute('indent'), 10) || 0;
+  }
+  const spacer = indent?.querySelector('img');
+  return spacer ? Math.round((parseInt(spacer.getAttribute('width'), 10) || 0) / INDENT_WIDTH) : 0;
+}
+
+export default {
+  id: 'hackernews',
+  hostnames: ['news.ycombinator.com'],
+
+  /**
+   * Only item pages have a dedicated extraction
+   */
+  matches(url) {
+    return new URL(url).pathname === '/item';
+  },
+
+  extract(doc) {
+    const story = doc.querySelector('.fatitem');
+    if (!story) return null;
+
+    const titleLink = story.querySelector('.titleline > a');
+    const blocks = [`# ${titleLink ? titleLink.textContent.trim() : doc.title}`];
+
+    const meta = [];
+    const score = parseScore(textOf(story, '.score'));
+    if (score !== null) meta.push(`Score: ${score}`);
+    const author = textOf(story, '.subline .hnuser, .hnuser');
+    if (author) meta.push(`Posted by: ${author}`);
+    if (titleLink && /^https?:/.test(titleLink.getAttribute('href') || '')) {
+      meta.push(`Link: ${titleLink.href}`);
+    }
+    if (meta.length > 0) blocks.push(meta.join('\n'));
+
+    // Ask HN text, or the comment itself on a comment permalink
+    const text = story.querySelector('.toptext, .commtext');
+    if (text && text.textContent.trim()) {
+      blocks.push('## Text');
+      blocks.push(bodyText(text));
+    }
+
+    const rows = Array.from(doc.querySelectorAll('tr.athing.comtr')).slice(0, MAX_COMMENTS);
+    const comments = rows.map(row => ({
+      author: textOf(row, '.hnuser'),
+      depth: commentDepth(row),
+      score: null,
+      text: bodyText(row.querySelector('.commtext'))
+    }));
+
+    if (comments.length > 0) {
+      blocks.push(`## Comments (${comments.length} shown)`);
+      blocks.push(...formatThread(comments));
+    }
+
+    return {
+      label: 'Hacker News discussion',
+      blocks
+    };
+  }
+};
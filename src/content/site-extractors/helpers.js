@@ -0,0 +1,78 @@
+/**
+ * Site Extractor Helpers
+ *
+ * Small DOM helpers shared by the site-specific extractors
+ */
+
+import { normalizeText, serializeElements } from '../extractor';
+
+/**
+ * Get the normalized text of the first element matching a selector
+ *
+ * @param {Element|Document} scope - Where to search
+ * @param {string} selector - CSS selector
+ * @returns {string} - The text, or an empty string
+ */
+export function textOf(scope, selector) {
+  const element = scope?.querySelector(selector);
+  return element ? normalizeText(element.textContent) : '';
+}
+
+/**
+ * Serialize a post or comment body as Markdown-like text
+ *
+ * @param {Element} element - The body element
+ * @returns {string} - The serialized body
+ */
+export function bodyText(element) {
+  if (!element) return '';
+  return serializeElements([element], { keep: new Set([element]) }).join('\n\n');
+}
+
+/**
+ * Parse a score such as "1,234", "12 points" or "1.2k"
+ *
+ * @returns {number|null} - The score, or null if there is none
+ */
+export function parseScore(value) {
+  const match = String(value || '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*(k)?/i);
+  if (!match) return null;
+  const score = parseFloat(match[1]) * (match[2] ? 1000 : 1);
+  return Math.round(score);
+}
+
+/**
+ * Format a comment thread as nested lists
+ *
+ * Each top-level comment and its replies form one block, so a capture
+ * budget cuts the thread between conversations rather than inside one.
+ *
+ * @param {Array<Object>} comments - Comments in display order
+ * @param {string} comments[].author - Comment author
+ * @param {number} comments[].depth - Nesting depth, 0 for top-level comments
+ * @param {number|null} comments[].score - Comment score, if the site shows one
+ * @param {string} comments[].text - Comment text
+ * @returns {Array<string>} - One block per top-level comment
+ */
+export function formatThread(comments) {
+  const blocks = [];
+  comments.forEach(comment => {
+    const indent = '  '.repeat(comment.depth);
+    const score = comment.score !== null && comment.score !== undefined
+      ? ` (${comment.score} points)`
+      : '';
+    const text = (comment.text || '[deleted]')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => `${indent}  ${line}`)
+      .join('\n');
+    const item = `${indent}- ${comment.author || '[unknown]'}${score}:\n${text}`;
+
+    if (comment.depth === 0 || blocks.length === 0) {
+      blocks.push(item);
+    } else {
+      blocks[blocks.length - 1] += '\n' + item;
+    }
+  });
+  return blocks;
+}
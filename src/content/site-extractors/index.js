@@ -0,0 +1,88 @@
+/**
+ * Site Extractor Registry
+ *
+ * Site extractors turn well-known pages into semantic context (a pull
+ * request with its diff, a question with its best answers, a comment tree)
+ * instead of raw text. To add one, create a module that default-exports:
+ *
+ *   {
+ *     id: 'example',                  // Unique identifier
+ *     hostnames: ['example.com'],     // Hosts it handles, subdomains included
+ *     matches(url) { ... },           // Optional: limit to some pages
+ *     extract(doc, url) { ... }       // Returns { label, blocks } or null
+ *   }
+ *
+ * and add it to SITE_EXTRACTORS below. `label` names the kind of page in
+ * the prompt (e.g. "GitHub pull request") and `blocks` are Markdown text
+ * blocks, cut at block boundaries by the capture budget. Returning null
+ * falls back to the default extraction.
+ */
+
+import github from './github';
+import stackoverflow from './stackoverflow';
+import reddit from './reddit';
+import hackernews from './hackernews';
+
+const SITE_EXTRACTORS = [github, stackoverflow, reddit, hackernews];
+
+/**
+ * Register an additional site extractor
+ */
+export function registerSiteExtractor(extractor) {
+  if (!extractor?.id || !Array.isArray(extractor.hostnames) || typeof extractor.extract !== 'function') {
+    throw new Error('A site extractor needs an id, hostnames and an extract function');
+  }
+  SITE_EXTRACTORS.push(extractor);
+}
+
+/**
+ * Check whether a hostname is one of the given hosts or their subdomains
+ */
+function matchesHostname(hostname, hostnames) {
+  return hostnames.some(host => hostname === host || hostname.endsWith('.' + host));
+}
+
+/**
+ * Find the extractor for a URL
+ *
+ * @param {string} url - Page URL
+ * @returns {Object|null} - The extractor, or null if there is none
+ */
+export function findSiteExtractor(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  return SITE_EXTRACTORS.find(extractor =>
+    matchesHostname(parsed.hostname, extractor.hostnames) &&
+    (!extractor.matches || extractor.matches(url))
+  ) || null;
+}
+
+/**
+ * Run the site extractor for a page, if there is one
+ *
+ * @param {Document} doc - The document
+ * @param {string} url - Page URL
+ * @returns {{id: string, label: string, blocks: Array<string>}|null}
+ */
+export function runSiteExtractor(doc, url) {
+  const extractor = findSiteExtractor(url);
+  if (!extractor) return null;
+
+  try {
+    const result = extractor.extract(doc, url);
+    const blocks = (result?.blocks || []).filter(block => block && block.trim());
+    if (blocks.length === 0) {
+      console.log(`Site extractor "${extractor.id}" found nothing, using default extraction`);
+      return null;
+    }
+    return { id: extractor.id, label: result.label || extractor.id, blocks };
+  } catch (error) {
+    console.warn(`Site extractor "${extractor.id}" failed, using default extraction:`, error);
+    return null;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Reddit Extractor
+ *
+ * Captures a post and its comment tree with authors and scores, on both
+ * the current site (shreddit elements) and old.reddit.com.
+ */
+
+import { textOf, bodyText, parseScore, formatThread } from './helpers';
+
+const MAX_COMMENTS = 200;
+
+/**
+ * Extract a thread from the current site
+ */
+function extractShreddit(doc) {
+  const post = doc.querySelector('shreddit-post');
+  if (!post) return null;
+
+  const details = {
+    title: post.getAttribute('post-title') || textOf(post, '[slot="title"]'),
+    author: post.getAttribute('author'),
+    score: parseScore(post.getAttribute('score')),
+    subreddit: post.getAttribute('subreddit-prefixed-name'),
+    body: bodyText(post.querySelector('[slot="text-body"]')),
+    link: post.getAttribute('content-href')
+  };
+
+  const comments = Array.from(doc.querySelectorAll('shreddit-comment'))
+    .slice(0, MAX_COMMENTS)
+    .map(comment => ({
+      author: comment.getAttribute('author'),
+      depth: parseInt(comment.getAttribute('depth'), 10) || 0,
+      score: parseScore(comment.getAttribute('score')),
+      // Only the comment's own text, not its replies
+      text: bodyText(comment.querySelector(':scope > [slot="comment"]'))
+    }));
+
+  return { post: details, comments };
+}
+
+/**
+ * Extract a thread from old.reddit.com
+ */
+function extractOldReddit(doc) {
+  const post = doc.querySelector('#siteTable .thing.link');
+  if (!post) return null;
+
+  const details = {
+    title: textOf(post, 'a.title'),
+    author: post.dataset.author || textOf(post, '.tagline .author'),
+    score: parseScore(post.dataset.score ?? textOf(post, '.score.unvoted')),
+    subreddit: post.dataset.subredditPrefixed || '',
+    body: bodyText(post.querySelector('.usertext-body .md')),
+    link: post.dataset.url
+  };
+
+  const comments = [];
+  doc.querySelectorAll('.commentarea .thing.comment').forEach(comment => {
+    if (comments.length >= MAX_COMMENTS) return;
+
+    // Depth is the number of comment ancestors
+    let depth = 0;
+    let parent = comment.parentElement?.closest('.thing.comment');
+    while (parent) {
+      depth++;
+      parent = parent.parentElement?.closest('.thing.comment');
+    }
+
+    const entry = comment.querySelector(':scope > .entry');
+    comments.push({
+      author: comment.dataset.author || textOf(entry, '.author'),
+      depth,
+      score: parseScore(textOf(entry, '.score.unvoted')),
+      text: bodyText(entry?.querySelector('.usertext-body .md'))
+    });
+  });
+
+  return { post: details, comments };
+}
+
+export default {
+  id: 'reddit',
+  hostnames: ['reddit.com'],
+
+  /**
+   * Only comment pages have a dedicated extraction
+   */
+  matches(url) {
+    return /\/comments\//.test(new URL(url).pathname);
+  },
+
+  extract(doc) {
+    const thread = extractShreddit(doc) || extractOldReddit(doc);
+    if (!thread) return null;
+
+    const { post, comments } = thread;
+    const blocks = [`# ${post.title || doc.title}`];
+
+    const meta = [];
+    if (post.subreddit) meta.push(`Subreddit: ${post.subreddit}`);
+    if (post.author) meta.push(`Posted by: u/${post.author}`);
+    if (post.score !== null) meta.push(`Score: ${post.score}`);
+    if (post.link && !post.link.includes('/comments/')) meta.push(`Link: ${post.link}`);
+    if (meta.length > 0) blocks.push(meta.join('\n'));
+
+    if (post.body) {
+      blocks.push('## Post');
+      blocks.push(post.body);
+    }
+
+    if (comments.length > 0) {
+      blocks.push(`## Comments (${comments.length} shown)`);
+      blocks.push(...formatThread(comments.map(comment => ({
+        ...comment,
+        author: comment.author ? `u/${comment.author}` : null
+      }))));
+    }
+
+    return {
+      label: 'Reddit thread',
+      blocks
+    };
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * Stack Overflow Extractor
+ *
+ * Captures a question with its accepted answer and the top-voted answers,
+ * on Stack Overflow and the other Stack Exchange sites.
+ */
+
+import { textOf, bodyText, parseScore } from './helpers';
+
+const MAX_ANSWERS = 3;
+
+/**
+ * Get the vote count of a post
+ */
+function postScore(post) {
+  const votes = post.querySelector('.js-vote-count');
+  return parseScore(votes?.dataset?.value ?? votes?.textContent) ?? 0;
+}
+
+/**
+ * Get the author of a post (the last signature is the original author)
+ */
+function postAuthor(post) {
+  const signatures = post.querySelectorAll('.post-signature .user-details');
+  const owner = signatures[signatures.length - 1];
+  return owner ? textOf(owner, 'a, span') : '';
+}
+
+export default {
+  id: 'stackoverflow',
+  hostnames: [
+    'stackoverflow.com', 'stackexchange.com', 'superuser.com', 'serverfault.com',
+    'askubuntu.com', 'mathoverflow.net', 'stackapps.com'
+  ],
+
+  /**
+   * Only question pages have a dedicated extraction
+   */
+  matches(url) {
+    return /^\/questions\/\d+/.test(new URL(url).pathname);
+  },
+
+  extract(doc) {
+    const question = doc.querySelector('#question');
+    if (!question) return null;
+
+    const title = textOf(doc, '#question-header h1') || doc.title;
+    const tags = Array.from(question.querySelectorAll('.post-tag')).map(tag => tag.textContent.trim());
+
+    const blocks = [`# ${title}`];
+    const meta = [`Score: ${postScore(question)}`];
+    const author = postAuthor(question);
+    if (author) meta.push(`Asked by: ${author}`);
+    if (tags.length > 0) meta.push(`Tags: ${[...new Set(tags)].join(', ')}`);
+    blocks.push(meta.join('\n'));
+
+    blocks.push('## Question');
+    blocks.push(bodyText(question.querySelector('.js-post-body')));
+
+    const answers = Array.from(doc.querySelectorAll('#answers .answer')).map(answer => ({
+      accepted: answer.classList.contains('accepted-answer') ||
+        answer.getAttribute('itemprop') === 'acceptedAnswer',
+      score: postScore(answer),
+      author: postAuthor(answer),
+      body: answer.querySelector('.js-post-body')
+    }));
+
+    // The accepted answer first, then the highest scored ones
+    const accepted = answers.filter(answer => answer.accepted);
+    const others = answers
+      .filter(answer => !answer.accepted)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_ANSWERS);
+
+    [...accepted, ...others].forEach(answer => {
+      const label = answer.accepted ? 'Accepted answer' : 'Answer';
+      const by = answer.author ? ` by ${answer.author}` : '';
+      blocks.push(`## ${label}${by} (score ${answer.score})`);
+      blocks.push(bodyText(answer.body));
+    });
+
+    if (answers.length > accepted.length + others.length) {
+      blocks.push(`[${answers.length - accepted.length - others.length} lower-scored answers not included]`);
+    }
+
+    return {
+      label: 'Stack Exchange question',
+      blocks
+    };
+  }
+};
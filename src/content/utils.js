@@ -248,4 +248,15 @@ export function processPendingOperations() {
   } catch (e) {
     console.error('Error processing pending operations:', e);
   }
-}
\ No newline at end of file
+}
+
+// Helper function to safely escape HTML and preserve formatting
+export function formatContent(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;')
+    .replace(/\n/g, '<br>');
+}
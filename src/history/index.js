@@ -4,7 +4,12 @@
  * Handles conversation history display and interactions
  */
 
+import { renderMarkdown, injectMarkdownStyles } from '../shared/markdown';
+import { escapeHtml } from '../shared/html';
+
 document.addEventListener('DOMContentLoaded', async () => {
+  injectMarkdownStyles(document.head);
+  
   // DOM elements
   const agentFilter = document.getElementById('agentFilter');
   const sortFilter = document.getElementById('sortFilter');
@@ -247,11 +252,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         </div>
       `;
       
-      // Request conversation messages from background script
-      const response = await chrome.runtime.sendMessage({ 
-        action: 'GET_CONVERSATION_MESSAGES',
-        conversationId
-      });
+      // Request conversation messages and their tree from background script
+      const [response, treeResponse] = await Promise.all([
+        chrome.runtime.sendMessage({ 
+          action: 'GET_CONVERSATION_MESSAGES',
+          conversationId
+        }),
+        chrome.runtime.sendMessage({
+          action: 'GET_CONVERSATION_TREE',
+          conversationId
+        })
+      ]);
       
       if (!response.success) {
         throw new Error(response.error || 'Failed to load conversation detail');
@@ -269,7 +280,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       const agentName = agent ? agent.name : 'Unknown Agent';
       
       // Render conversation detail
-      renderConversationDetail(conversation, agentName, messages);
+      renderConversationDetail(conversation, agentName, messages, treeResponse?.tree);
     } catch (error) {
       console.error('Error loading conversation detail:', error);
       conversationDetail.innerHTML = `
@@ -282,10 +293,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  /**
+   * Label a message by who wrote it; replies handed to another agent with
+   * an @mention are labelled with that agent's name
+   */
+  function messageRole(message) {
+    if (message.role === 'user') {
+      return 'You';
+    }
+    
+    const responder = message.responderId && agents.find(a => a.id === message.responderId);
+    return responder ? responder.name : 'Assistant';
+  }
+  
   /**
    * Render conversation detail
    */
-  function renderConversationDetail(conversation, agentName, messages) {
+  function renderConversationDetail(conversation, agentName, messages, tree) {
     const detail = document.getElementById('conversationDetail');
     detail.innerHTML = '';
     
@@ -324,22 +348,58 @@ document.addEventListener('DOMContentLoaded', async () => {
     header.appendChild(actions);
     detail.appendChild(header);
     
+    if (tree) {
+      const branchTree = createBranchTree(tree);
+      if (branchTree) {
+        detail.appendChild(branchTree);
+      }
+    }
+    
     // Create messages container
     const messagesContainer = document.createElement('div');
     messagesContainer.className = 'conversation-messages';
     
-    messages.forEach(message => {
+    const lastIndex = messages.length - 1;
+    messages.forEach((message, index) => {
       const messageElement = document.createElement('div');
       messageElement.className = `message ${message.role} ${message.saved ? 'saved' : ''}`;
       messageElement.setAttribute('data-timestamp', message.timestamp);
+      messageElement.setAttribute('data-entry-id', message.entryId || '');
+      messageElement._message = message;
+      
+      // Only the last reply can be regenerated; any message can be edited
+      const rerunButton = !message.entryId ? '' : message.role === 'user' ? `
+            <button class="message-btn edit" title="Edit and send again">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M12 20h9M16.5 3.5a2.12 2.12 0 013 3L7 19l-4 1 1-4 12.5-12.5z"/>
+              </svg>
+            </button>` : index === lastIndex ? `
+            <button class="message-btn regenerate" title="Regenerate response">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M23 4v6h-6M20.49 15a9 9 0 11-2.12-9.36L23 10"/>
+              </svg>
+            </button>` : `
+            <button class="message-btn fork" title="Continue from here in a new branch">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="6" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="6" r="3"/>
+                <path d="M6 9v6M18 9a9 9 0 01-9 9"/>
+              </svg>
+            </button>`;
+      
+      const versionSwitcher = message.role === 'assistant' && message.versionCount > 1 ? `
+          <span class="message-versions">
+            <button class="version-btn previous" title="Previous version" ${message.version === 0 ? 'disabled' : ''}>‹</button>
+            ${message.version + 1}/${message.versionCount}
+            <button class="version-btn next" title="Next version" ${message.version === message.versionCount - 1 ? 'disabled' : ''}>›</button>
+          </span>` : '';
       
       messageElement.innerHTML = `
         <div class="message-header">
           <div class="message-info">
-            <span class="message-role">${message.role === 'user' ? 'You' : 'Assistant'}</span>
+            <span class="message-role">${escapeHtml(messageRole(message))}</span>
             <span class="message-time">${new Date(message.timestamp * 1000).toLocaleString()}</span>
           </div>
-          <div class="message-actions">
+          <div class="message-actions">${rerunButton}
             <button class="message-btn delete" title="Delete message">
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
@@ -366,10 +426,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             </button>
           </div>
         </div>
-        <div class="message-content">${formatMessageContent(message.content)}</div>
+        ${message.reasoning ? `
+        <details class="message-reasoning">
+          <summary>Thinking</summary>
+          <div class="ai-md">${formatMessageContent(message.reasoning, 'assistant')}</div>
+        </details>` : ''}
+        <div class="message-content${message.role === 'assistant' ? ' ai-md' : ''}">${formatMessageContent(message.content, message.role)}</div>
         <div class="message-meta">
           ${message.url ? `<a href="${escapeHtml(message.url)}" class="message-url" target="_blank">${escapeHtml(message.title || message.url)}</a>` : ''}
           ${message.model ? `<span class="message-model">${escapeHtml(message.model)}</span>` : ''}
+          ${message.truncated ? '<span class="message-truncated" title="The response was stopped before it finished">Stopped early</span>' : ''}${versionSwitcher}
         </div>
       `;
       
@@ -385,6 +451,62 @@ document.addEventListener('DOMContentLoaded', async () => {
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
   
+  /**
+   * Create the branch switcher, a tree of the turns of a conversation
+   *
+   * @param {Object} tree - The tree from GET_CONVERSATION_TREE
+   * @returns {HTMLElement|null} - Nothing when the conversation has a single branch
+   */
+  function createBranchTree(tree) {
+    const nodesById = new Map(tree.nodes.map(node => [node.id, node]));
+    const children = new Map(); // parentId -> child nodes
+    tree.nodes.forEach(node => {
+      const parentId = nodesById.has(node.parentId) ? node.parentId : null;
+      if (!children.has(parentId)) {
+        children.set(parentId, []);
+      }
+      children.get(parentId).push(node);
+    });
+    
+    const branchCount = tree.nodes.filter(node => !children.has(node.id)).length;
+    if (branchCount < 2) {
+      return null;
+    }
+    
+    const renderNodes = (parentId) => {
+      const list = document.createElement('ul');
+      (children.get(parentId) || []).forEach(node => {
+        const parent = nodesById.get(node.parentId);
+        const item = document.createElement('li');
+        
+        const button = document.createElement('button');
+        button.className = 'branch-node';
+        button.classList.toggle('on-path', node.onPath);
+        button.classList.toggle('active', node.id === tree.activeEntryId);
+        button.setAttribute('data-entry-id', node.id);
+        button.title = node.message;
+        button.innerHTML = `
+          ${parent && parent.versionCount > 1 ? `<span class="branch-version">after reply ${node.parentVersion + 1}</span>` : ''}
+          ${escapeHtml(node.message.length > 60 ? node.message.substring(0, 60) + '...' : node.message)}
+        `;
+        item.appendChild(button);
+        
+        if (children.has(node.id)) {
+          item.appendChild(renderNodes(node.id));
+        }
+        list.appendChild(item);
+      });
+      return list;
+    };
+    
+    const container = document.createElement('details');
+    container.className = 'branch-tree';
+    container.open = true;
+    container.innerHTML = `<summary>Branches (${branchCount}) — click a message to switch to its branch</summary>`;
+    container.appendChild(renderNodes(null));
+    return container;
+  }
+  
   /**
    * Show empty detail view
    */
@@ -609,7 +731,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'DELETE_MESSAGE',
-        messageId: message.timestamp, // Use timestamp as message ID
+        messageId: message.entryId || message.timestamp,
         conversationId
       });
       
@@ -647,6 +769,159 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  /**
+   * Replace a user message with an editor to change and resend it
+   */
+  function showMessageEditor(messageEl) {
+    if (messageEl.querySelector('.message-editor')) return;
+    
+    const message = messageEl._message;
+    const content = messageEl.querySelector('.message-content');
+    
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+    editor.innerHTML = `
+      <textarea rows="4"></textarea>
+      <div class="message-editor-actions">
+        <button class="modal-btn cancel">Cancel</button>
+        <button class="modal-btn confirm">Send</button>
+      </div>
+    `;
+    
+    const textarea = editor.querySelector('textarea');
+    textarea.value = message.content;
+    
+    editor.querySelector('.cancel').addEventListener('click', () => {
+      editor.remove();
+      content.style.display = '';
+    });
+    editor.querySelector('.confirm').addEventListener('click', () => {
+      const text = textarea.value.trim();
+      if (text) {
+        rerunMessage(message, text, selectedConversationId);
+      }
+    });
+    
+    content.style.display = 'none';
+    content.after(editor);
+    textarea.focus();
+  }
+  
+  /**
+   * Re-run a conversation from a message, keeping the previous reply as another version
+   *
+   * The page is not captured again; the reply is based on the conversation so far.
+   */
+  async function rerunMessage(message, text, conversationId) {
+    const conversation = conversations.find(c => c.id === conversationId);
+    if (!conversation) return;
+    
+    // Replace the rest of the thread with a placeholder until the reply arrives
+    const messagesContainer = document.querySelector('.conversation-messages');
+    const userEl = messagesContainer.querySelector(`.message.user[data-entry-id="${message.entryId}"]`);
+    while (userEl?.nextElementSibling) {
+      userEl.nextElementSibling.remove();
+    }
+    const pending = document.createElement('div');
+    pending.className = 'message assistant';
+    pending.innerHTML = '<div class="message-content">⏳ Waiting for the new response...</div>';
+    messagesContainer.appendChild(pending);
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'CHAT_MESSAGE',
+        data: {
+          message: text,
+          url: message.url || conversation.url,
+          title: message.title || conversation.title,
+          pageContent: '',
+          conversationId,
+          agentId: conversation.agentId,
+          rerunOf: message.entryId
+        }
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to get a new response');
+      }
+      
+      await loadConversations();
+    } catch (error) {
+      console.error('Error re-running message:', error);
+      alert('Error re-running message: ' + error.message);
+    }
+    
+    await loadConversationDetail(conversationId);
+  }
+  
+  /**
+   * End the active branch at a message; rejoining the conversation then
+   * continues from it in a new branch
+   */
+  async function forkConversation(entryId, conversationId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'FORK_CONVERSATION',
+        conversationId,
+        entryId
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start a branch');
+      }
+      
+      await loadConversationDetail(conversationId);
+    } catch (error) {
+      console.error('Error starting a branch:', error);
+      alert('Error starting a branch: ' + error.message);
+    }
+  }
+  
+  /**
+   * Switch to the branch through a message
+   */
+  async function switchBranch(entryId, conversationId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'SWITCH_BRANCH',
+        conversationId,
+        entryId
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to switch branch');
+      }
+      
+      await loadConversationDetail(conversationId);
+    } catch (error) {
+      console.error('Error switching branch:', error);
+      alert('Error switching branch: ' + error.message);
+    }
+  }
+  
+  /**
+   * Show another version of a turn
+   */
+  async function showMessageVersion(message, version, conversationId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'SET_MESSAGE_VERSION',
+        conversationId,
+        entryId: message.entryId,
+        version
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to switch version');
+      }
+      
+      await loadConversationDetail(conversationId);
+    } catch (error) {
+      console.error('Error switching version:', error);
+      alert('Error switching version: ' + error.message);
+    }
+  }
+  
   /**
    * Set up event listeners
    */
@@ -722,6 +997,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             const timestamp = parseInt(messageEl.getAttribute('data-timestamp'), 10);
             const message = {
               timestamp,
+              entryId: messageEl.getAttribute('data-entry-id'),
               role: messageEl.classList.contains('user') ? 'user' : 'assistant'
             };
             deleteMessage(message, selectedConversationId);
@@ -736,6 +1012,47 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       },
       
+      rerunAction: function(e) {
+        const editBtn = e.target.closest('.message-btn.edit');
+        const regenerateBtn = e.target.closest('.message-btn.regenerate');
+        const messageEl = (editBtn || regenerateBtn)?.closest('.message');
+        if (!messageEl) return;
+        
+        if (editBtn) {
+          showMessageEditor(messageEl);
+        } else {
+          // Send the user message of the same turn again
+          const entryId = messageEl.getAttribute('data-entry-id');
+          const userEl = conversationDetail.querySelector(`.message.user[data-entry-id="${entryId}"]`);
+          if (userEl) {
+            rerunMessage(userEl._message, userEl._message.content, selectedConversationId);
+          }
+        }
+      },
+      
+      branchAction: function(e) {
+        const forkBtn = e.target.closest('.message-btn.fork');
+        if (forkBtn) {
+          const entryId = forkBtn.closest('.message').getAttribute('data-entry-id');
+          forkConversation(entryId, selectedConversationId);
+          return;
+        }
+        
+        const branchNode = e.target.closest('.branch-node');
+        if (branchNode) {
+          switchBranch(branchNode.getAttribute('data-entry-id'), selectedConversationId);
+        }
+      },
+      
+      versionAction: function(e) {
+        const versionBtn = e.target.closest('.version-btn');
+        if (versionBtn && !versionBtn.disabled) {
+          const message = versionBtn.closest('.message')._message;
+          const step = versionBtn.classList.contains('next') ? 1 : -1;
+          showMessageVersion(message, message.version + step, selectedConversationId);
+        }
+      },
+      
       exportAction: function(e) {
         const exportBtn = e.target.closest('.action-btn.export');
         if (exportBtn && selectedConversationId) {
@@ -757,6 +1074,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         handlers.messageAction(e);
         handlers.deleteAction(e);
         handlers.rejoinAction(e);
+        handlers.rerunAction(e);
+        handlers.branchAction(e);
+        handlers.versionAction(e);
         handlers.exportAction(e);
       }
     };
@@ -768,25 +1088,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   /**
-   * Format message content with proper line breaks
+   * Format message content: replies as Markdown, user messages as written
    */
-  function formatMessageContent(content) {
-    // Replace newlines with <br> tags
+  function formatMessageContent(content, role) {
+    if (role === 'assistant') {
+      return renderMarkdown(content);
+    }
     return escapeHtml(content)
       .replace(/\n/g, '<br>')
-      .replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank">$1</a>');
-  }
-  
-  /**
-   * Escape HTML special characters
-   */
-  function escapeHtml(text) {
-    if (!text) return '';
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;');
+      .replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
   }
 });
\ No newline at end of file
@@ -5,6 +5,14 @@
  * the extension and managing agents
  */
 
+import { DEFAULT_CAPTURE_SETTINGS, CHARS_PER_TOKEN } from '../shared/capture-settings';
+import { patternToRegExp } from '../shared/capture-rules';
+import { REDACTION_DETECTORS, DEFAULT_REDACTION_SETTINGS, compileCustomPattern, normalizeCustomRule } from '../shared/redactor';
+import { THEMES, PANEL_SURFACES, normalizeAppearanceSettings, agentAccent } from '../shared/appearance';
+import { isValidCommandName, isBuiltInCommand, normalizeCustomCommands } from '../shared/slash-commands';
+import { normalizePromptTemplates } from '../shared/prompt-templates';
+import { agentStartsWithThinking } from '../shared/reasoning';
+
 document.addEventListener('DOMContentLoaded', async () => {
   // Connection settings
   const apiEndpointInput = document.getElementById('apiEndpoint');
@@ -13,6 +21,56 @@ document.addEventListener('DOMContentLoaded', async () => {
   // User settings
   const userIdInput = document.getElementById('userId');
   
+  // Capture settings
+  const captureBudgetInput = document.getElementById('captureBudget');
+  const captureBudgetUnitSelect = document.getElementById('captureBudgetUnit');
+  const captureBudgetHint = document.getElementById('captureBudgetHint');
+  
+  // Appearance
+  const panelThemeSelect = document.getElementById('panelTheme');
+  Object.entries(THEMES).forEach(([value, label]) => {
+    panelThemeSelect.appendChild(new Option(label, value));
+  });
+  const panelSurfaceSelect = document.getElementById('panelSurface');
+  Object.entries(PANEL_SURFACES).forEach(([value, label]) => {
+    panelSurfaceSelect.appendChild(new Option(label, value));
+  });
+  
+  // Keyboard shortcuts
+  const shortcutsList = document.getElementById('shortcutsList');
+  const editShortcutsBtn = document.getElementById('editShortcutsBtn');
+  
+  // Slash commands
+  const slashCommandsList = document.getElementById('slashCommandsList');
+  const slashCommandsEmpty = document.getElementById('slashCommandsEmpty');
+  const slashCommandTemplate = document.getElementById('slashCommandTemplate');
+  const addSlashCommandBtn = document.getElementById('addSlashCommandBtn');
+  
+  // Prompt templates
+  const promptTemplatesList = document.getElementById('promptTemplatesList');
+  const promptTemplatesEmpty = document.getElementById('promptTemplatesEmpty');
+  const promptTemplateTemplate = document.getElementById('promptTemplateTemplate');
+  const addPromptTemplateBtn = document.getElementById('addPromptTemplateBtn');
+  
+  // Agents that templates can be tied to, as loaded
+  let savedAgents = [];
+  
+  // Capture rules
+  const captureRulesList = document.getElementById('captureRulesList');
+  const captureRulesEmpty = document.getElementById('captureRulesEmpty');
+  const captureRuleTemplate = document.getElementById('captureRuleTemplate');
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  const exportRulesBtn = document.getElementById('exportRulesBtn');
+  const importRulesBtn = document.getElementById('importRulesBtn');
+  const importRulesFile = document.getElementById('importRulesFile');
+  
+  // Redaction
+  const redactionDetectors = document.getElementById('redactionDetectors');
+  const redactionRulesList = document.getElementById('redactionRulesList');
+  const redactionRulesEmpty = document.getElementById('redactionRulesEmpty');
+  const redactionRuleTemplate = document.getElementById('redactionRuleTemplate');
+  const addRedactionRuleBtn = document.getElementById('addRedactionRuleBtn');
+  
   // Agents list
   const agentsList = document.getElementById('agentsList');
   const addAgentBtn = document.getElementById('addAgentBtn');
@@ -24,6 +82,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Load existing settings
   await loadSettings();
+  await loadShortcuts();
 
   // Helper function to show status message
   const showStatus = (message, isError = false) => {
@@ -57,6 +116,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     return true;
   };
 
+  /**
+   * List the keyboard shortcuts; they are changed on Chrome's shortcuts page
+   */
+  async function loadShortcuts() {
+    try {
+      const commands = await chrome.commands.getAll();
+      shortcutsList.innerHTML = '';
+      
+      commands
+        .filter(command => command.description)
+        .forEach(command => {
+          const row = document.createElement('tr');
+          const action = document.createElement('td');
+          action.textContent = command.description;
+          
+          const shortcut = document.createElement('td');
+          shortcut.className = 'shortcut-key';
+          shortcut.classList.toggle('unset', !command.shortcut);
+          shortcut.textContent = command.shortcut || 'Not set';
+          
+          row.appendChild(action);
+          row.appendChild(shortcut);
+          shortcutsList.appendChild(row);
+        });
+    } catch (error) {
+      console.error('Error loading keyboard shortcuts:', error);
+    }
+  }
+
   /**
    * Load settings from storage
    */
@@ -66,17 +154,46 @@ document.addEventListener('DOMContentLoaded', async () => {
       const settings = await chrome.storage.local.get([
         'apiEndpoint', 
         'apiKey', 
-        'userId'
+        'userId',
+        'captureSettings',
+        'redactionSettings',
+        'appearanceSettings',
+        'slashCommands',
+        'promptTemplates'
       ]);
       
       if (settings.apiEndpoint) apiEndpointInput.value = settings.apiEndpoint;
       if (settings.apiKey) apiKeyInput.value = settings.apiKey;
       if (settings.userId) userIdInput.value = settings.userId || 'default_user';
       
+      const captureSettings = { ...DEFAULT_CAPTURE_SETTINGS, ...(settings.captureSettings || {}) };
+      captureBudgetInput.value = captureSettings.budget;
+      captureBudgetUnitSelect.value = captureSettings.budgetUnit;
+      updateCaptureBudgetHint();
+      
+      const appearanceSettings = normalizeAppearanceSettings(settings.appearanceSettings);
+      panelThemeSelect.value = appearanceSettings.theme;
+      panelSurfaceSelect.value = appearanceSettings.surface;
+      
+      renderSlashCommands(normalizeCustomCommands(settings.slashCommands));
+      
+      const redactionSettings = settings.redactionSettings || {};
+      renderRedactionDetectors({ ...DEFAULT_REDACTION_SETTINGS.detectors, ...(redactionSettings.detectors || {}) });
+      renderRedactionRules((redactionSettings.customRules || []).map(normalizeCustomRule));
+      
+      // Get capture rules
+      const rulesResponse = await chrome.runtime.sendMessage({ action: 'GET_CAPTURE_RULES' });
+      if (rulesResponse.success) {
+        renderCaptureRules(rulesResponse.rules);
+      } else {
+        showStatus('Failed to load capture rules', true);
+      }
+      
       // Get agents
       const response = await chrome.runtime.sendMessage({ action: 'GET_AGENTS' });
       
       if (response.success && response.agents) {
+        savedAgents = response.agents;
         renderAgentsList(response.agents);
       } else {
         showStatus('Failed to load agents. Using default configuration.', true);
@@ -91,12 +208,320 @@ document.addEventListener('DOMContentLoaded', async () => {
         };
         renderAgentsList([defaultAgent]);
       }
+      
+      renderPromptTemplates(normalizePromptTemplates(settings.promptTemplates));
     } catch (error) {
       console.error('Error loading settings:', error);
       showStatus('Error loading settings: ' + error.message, true);
     }
   }
 
+  /**
+   * Show the capture budget in the other unit as a rough guide
+   */
+  function updateCaptureBudgetHint() {
+    const budget = parseInt(captureBudgetInput.value, 10);
+    if (!budget) {
+      captureBudgetHint.textContent = 'How much of the page\'s main content is sent with each message.';
+      return;
+    }
+    
+    const converted = captureBudgetUnitSelect.value === 'tokens'
+      ? `about ${(budget * CHARS_PER_TOKEN).toLocaleString()} characters`
+      : `about ${Math.round(budget / CHARS_PER_TOKEN).toLocaleString()} tokens`;
+    captureBudgetHint.textContent = `How much of the page's main content is sent with each message (${converted}).`;
+  }
+
+  /**
+   * Render the capture rules table
+   */
+  function renderCaptureRules(rules) {
+    captureRulesList.innerHTML = '';
+    rules.forEach(rule => captureRulesList.appendChild(renderCaptureRuleRow(rule)));
+    updateCaptureRulesEmpty();
+  }
+
+  /**
+   * Render a single capture rule row
+   */
+  function renderCaptureRuleRow(rule) {
+    const row = captureRuleTemplate.content.cloneNode(true).querySelector('.capture-rule');
+    
+    row.querySelector('.rule-pattern').value = rule.pattern || '';
+    row.querySelector('.rule-include').value = (rule.include || []).join('\n');
+    row.querySelector('.rule-exclude').value = (rule.exclude || []).join('\n');
+    row.querySelector('.rule-budget').value = rule.budget || '';
+    row.querySelector('.rule-enabled').checked = rule.enabled !== false;
+    if (rule.id) {
+      row.dataset.ruleId = rule.id;
+    }
+    
+    // Rule order decides which rule wins, so allow reordering
+    row.querySelector('.rule-up').addEventListener('click', () => {
+      if (row.previousElementSibling) {
+        captureRulesList.insertBefore(row, row.previousElementSibling);
+      }
+    });
+    
+    row.querySelector('.rule-down').addEventListener('click', () => {
+      if (row.nextElementSibling) {
+        captureRulesList.insertBefore(row.nextElementSibling, row);
+      }
+    });
+    
+    row.querySelector('.rule-delete').addEventListener('click', () => {
+      row.remove();
+      updateCaptureRulesEmpty();
+    });
+    
+    return row;
+  }
+
+  /**
+   * Show the empty message when there are no rules
+   */
+  function updateCaptureRulesEmpty() {
+    captureRulesEmpty.style.display = captureRulesList.children.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Read the capture rules from the table
+   */
+  function collectCaptureRules() {
+    return Array.from(captureRulesList.querySelectorAll('.capture-rule')).map(row => ({
+      id: row.dataset.ruleId,
+      pattern: row.querySelector('.rule-pattern').value.trim(),
+      include: row.querySelector('.rule-include').value,
+      exclude: row.querySelector('.rule-exclude').value,
+      budget: row.querySelector('.rule-budget').value.trim(),
+      enabled: row.querySelector('.rule-enabled').checked
+    }));
+  }
+
+  /**
+   * Export the saved capture rules to a JSON file
+   */
+  async function exportCaptureRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'EXPORT_CAPTURE_RULES' });
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to export capture rules');
+      }
+      
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'capture_rules.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      
+      showStatus(`Exported ${response.data.rules.length} saved capture rules`);
+    } catch (error) {
+      console.error('Error exporting capture rules:', error);
+      showStatus('Error exporting capture rules: ' + error.message, true);
+    }
+  }
+
+  /**
+   * Import capture rules from a JSON file, appending them to the saved rules
+   */
+  async function importCaptureRules(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      
+      const response = await chrome.runtime.sendMessage({
+        action: 'IMPORT_CAPTURE_RULES',
+        data
+      });
+      
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to import capture rules');
+      }
+      
+      renderCaptureRules(response.rules);
+      showStatus(`Imported ${response.imported} capture rules`);
+    } catch (error) {
+      console.error('Error importing capture rules:', error);
+      showStatus('Error importing capture rules: ' + error.message, true);
+    }
+  }
+
+  /**
+   * Render a checkbox per built-in redaction detector
+   */
+  function renderRedactionDetectors(enabled) {
+    redactionDetectors.innerHTML = '';
+    REDACTION_DETECTORS.forEach(detector => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.detectorId = detector.id;
+      checkbox.checked = enabled[detector.id] !== false;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(detector.label));
+      redactionDetectors.appendChild(label);
+    });
+  }
+
+  /**
+   * Render the custom redaction rules table
+   */
+  function renderRedactionRules(rules) {
+    redactionRulesList.innerHTML = '';
+    rules.forEach(rule => redactionRulesList.appendChild(renderRedactionRuleRow(rule)));
+    updateRedactionRulesEmpty();
+  }
+
+  /**
+   * Render a single custom redaction rule row
+   */
+  function renderRedactionRuleRow(rule) {
+    const row = redactionRuleTemplate.content.cloneNode(true).querySelector('.redaction-rule');
+    
+    row.querySelector('.redaction-rule-name').value = rule.name || '';
+    row.querySelector('.redaction-rule-pattern').value = rule.pattern || '';
+    row.querySelector('.redaction-rule-enabled').checked = rule.enabled !== false;
+    
+    row.querySelector('.redaction-rule-delete').addEventListener('click', () => {
+      row.remove();
+      updateRedactionRulesEmpty();
+    });
+    
+    return row;
+  }
+
+  /**
+   * Show the empty message when there are no custom redaction rules
+   */
+  function updateRedactionRulesEmpty() {
+    redactionRulesEmpty.style.display = redactionRulesList.children.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Read the redaction settings from the form
+   */
+  function collectRedactionSettings() {
+    const detectors = {};
+    redactionDetectors.querySelectorAll('input[data-detector-id]').forEach(checkbox => {
+      detectors[checkbox.dataset.detectorId] = checkbox.checked;
+    });
+    
+    const customRules = Array.from(redactionRulesList.querySelectorAll('.redaction-rule')).map(row => ({
+      name: row.querySelector('.redaction-rule-name').value.trim(),
+      pattern: row.querySelector('.redaction-rule-pattern').value.trim(),
+      enabled: row.querySelector('.redaction-rule-enabled').checked
+    }));
+    
+    return { detectors, customRules };
+  }
+
+  /**
+   * Render the custom slash commands table
+   */
+  function renderSlashCommands(commands) {
+    slashCommandsList.innerHTML = '';
+    commands.forEach(command => slashCommandsList.appendChild(renderSlashCommandRow(command)));
+    updateSlashCommandsEmpty();
+  }
+
+  /**
+   * Render a single custom slash command row
+   */
+  function renderSlashCommandRow(command) {
+    const row = slashCommandTemplate.content.cloneNode(true).querySelector('.slash-command');
+    
+    row.querySelector('.slash-command-name').value = command.name || '';
+    row.querySelector('.slash-command-description').value = command.description || '';
+    row.querySelector('.slash-command-prompt').value = command.prompt || '';
+    
+    row.querySelector('.slash-command-delete').addEventListener('click', () => {
+      row.remove();
+      updateSlashCommandsEmpty();
+    });
+    
+    return row;
+  }
+
+  /**
+   * Show the empty message when there are no custom slash commands
+   */
+  function updateSlashCommandsEmpty() {
+    slashCommandsEmpty.style.display = slashCommandsList.children.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Read the custom slash commands from the form
+   */
+  function collectSlashCommands() {
+    return Array.from(slashCommandsList.querySelectorAll('.slash-command')).map(row => ({
+      name: row.querySelector('.slash-command-name').value.trim().replace(/^\//, '').toLowerCase(),
+      description: row.querySelector('.slash-command-description').value.trim(),
+      prompt: row.querySelector('.slash-command-prompt').value.trim()
+    }));
+  }
+
+  /**
+   * Render the prompt templates table
+   */
+  function renderPromptTemplates(templates) {
+    promptTemplatesList.innerHTML = '';
+    templates.forEach(template => promptTemplatesList.appendChild(renderPromptTemplateRow(template)));
+    updatePromptTemplatesEmpty();
+  }
+
+  /**
+   * Render a single prompt template row, with a checkbox per saved agent
+   */
+  function renderPromptTemplateRow(template) {
+    const row = promptTemplateTemplate.content.cloneNode(true).querySelector('.prompt-template');
+    
+    row.dataset.templateId = template.id || 'template_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7);
+    row.querySelector('.prompt-template-name').value = template.name || '';
+    row.querySelector('.prompt-template-prompt').value = template.prompt || '';
+    
+    const agentsContainer = row.querySelector('.template-agents');
+    savedAgents.forEach(agent => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.agentId = agent.id;
+      checkbox.checked = template.agentIds.includes(agent.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(agent.name));
+      agentsContainer.appendChild(label);
+    });
+    
+    row.querySelector('.prompt-template-delete').addEventListener('click', () => {
+      row.remove();
+      updatePromptTemplatesEmpty();
+    });
+    
+    return row;
+  }
+
+  /**
+   * Show the empty message when there are no prompt templates
+   */
+  function updatePromptTemplatesEmpty() {
+    promptTemplatesEmpty.style.display = promptTemplatesList.children.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Read the prompt templates from the form
+   */
+  function collectPromptTemplates() {
+    return Array.from(promptTemplatesList.querySelectorAll('.prompt-template')).map(row => ({
+      id: row.dataset.templateId,
+      name: row.querySelector('.prompt-template-name').value.trim(),
+      prompt: row.querySelector('.prompt-template-prompt').value.trim(),
+      agentIds: Array.from(row.querySelectorAll('.template-agents input:checked')).map(checkbox => checkbox.dataset.agentId)
+    }));
+  }
+
   /**
    * Render the list of agents
    */
@@ -159,9 +584,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     const minPInput = agentItem.querySelector('.agent-min-p');
     minPInput.value = agent.minP !== undefined ? agent.minP : '';
     
+    const contextWindowInput = agentItem.querySelector('.agent-context-window');
+    contextWindowInput.value = agent.contextWindow !== undefined ? agent.contextWindow : '';
+    
     const streamCheckbox = agentItem.querySelector('.agent-stream');
     streamCheckbox.checked = agent.stream !== undefined ? agent.stream : true;
     
+    const visionCheckbox = agentItem.querySelector('.agent-supports-vision');
+    visionCheckbox.checked = !!agent.supportsVision;
+    
+    const thinkingCheckbox = agentItem.querySelector('.agent-starts-with-thinking');
+    thinkingCheckbox.checked = agentStartsWithThinking(agent);
+    
+    const redactCheckbox = agentItem.querySelector('.agent-redact');
+    redactCheckbox.checked = agent.redact !== false;
+    
+    const accentInput = agentItem.querySelector('.agent-accent');
+    accentInput.value = agentAccent(agent);
+    
     // Set up event listeners
     
     // Toggle advanced settings
@@ -265,6 +705,51 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Add new agent button
   addAgentBtn.addEventListener('click', () => createNewAgent());
+  
+  // Keep the capture budget hint in sync
+  captureBudgetInput.addEventListener('input', updateCaptureBudgetHint);
+  captureBudgetUnitSelect.addEventListener('change', updateCaptureBudgetHint);
+  
+  // Capture rule buttons
+  addRuleBtn.addEventListener('click', () => {
+    const row = renderCaptureRuleRow({ enabled: true });
+    captureRulesList.appendChild(row);
+    updateCaptureRulesEmpty();
+    row.querySelector('.rule-pattern').focus();
+  });
+  exportRulesBtn.addEventListener('click', () => exportCaptureRules());
+  addPromptTemplateBtn.addEventListener('click', () => {
+    const row = renderPromptTemplateRow({ agentIds: [] });
+    promptTemplatesList.appendChild(row);
+    updatePromptTemplatesEmpty();
+    row.querySelector('.prompt-template-name').focus();
+  });
+  addSlashCommandBtn.addEventListener('click', () => {
+    const row = renderSlashCommandRow({});
+    slashCommandsList.appendChild(row);
+    updateSlashCommandsEmpty();
+    row.querySelector('.slash-command-name').focus();
+  });
+  addRedactionRuleBtn.addEventListener('click', () => {
+    const row = renderRedactionRuleRow({ enabled: true });
+    redactionRulesList.appendChild(row);
+    updateRedactionRulesEmpty();
+    row.querySelector('.redaction-rule-name').focus();
+  });
+  importRulesBtn.addEventListener('click', () => importRulesFile.click());
+  importRulesFile.addEventListener('change', async () => {
+    if (importRulesFile.files.length > 0) {
+      await importCaptureRules(importRulesFile.files[0]);
+      importRulesFile.value = '';
+    }
+  });
+
+  // Shortcuts can only be changed by Chrome
+  editShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  // Pick up changes made there when coming back
+  window.addEventListener('focus', () => loadShortcuts());
 
   // Save all settings
   saveBtn.addEventListener('click', async () => {
@@ -292,12 +777,113 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       
-      // Save connection and user settings
+      if (!validateNumberInput(captureBudgetInput, 100)) {
+        showStatus('Invalid capture budget', true);
+        captureBudgetInput.focus();
+        return;
+      }
+      
+      // Validate capture rules
+      const captureRules = collectCaptureRules();
+      const ruleRows = captureRulesList.querySelectorAll('.capture-rule');
+      for (let i = 0; i < captureRules.length; i++) {
+        if (!patternToRegExp(captureRules[i].pattern)) {
+          showStatus(`Invalid URL pattern for capture rule ${i + 1}`, true);
+          ruleRows[i].querySelector('.rule-pattern').focus();
+          return;
+        }
+        if (!validateNumberInput(ruleRows[i].querySelector('.rule-budget'), 100)) {
+          showStatus(`Invalid budget for capture rule ${i + 1}`, true);
+          ruleRows[i].querySelector('.rule-budget').focus();
+          return;
+        }
+      }
+      
+      // Validate custom slash commands
+      const slashCommands = collectSlashCommands();
+      const slashCommandRows = slashCommandsList.querySelectorAll('.slash-command');
+      const commandNames = new Set();
+      for (let i = 0; i < slashCommands.length; i++) {
+        const { name, prompt } = slashCommands[i];
+        let problem = null;
+        if (!isValidCommandName(name)) {
+          problem = 'Invalid name';
+        } else if (isBuiltInCommand(name)) {
+          problem = `/${name} is a built-in command, choose another name`;
+        } else if (commandNames.has(name)) {
+          problem = `/${name} is defined twice`;
+        } else if (!prompt) {
+          problem = 'Missing prompt';
+        }
+        
+        if (problem) {
+          showStatus(`${problem} for slash command ${i + 1}`, true);
+          const field = problem === 'Missing prompt' ? '.slash-command-prompt' : '.slash-command-name';
+          slashCommandRows[i].querySelector(field).focus();
+          return;
+        }
+        commandNames.add(name);
+      }
+      
+      // Validate prompt templates
+      const promptTemplates = collectPromptTemplates();
+      const promptTemplateRows = promptTemplatesList.querySelectorAll('.prompt-template');
+      for (let i = 0; i < promptTemplates.length; i++) {
+        const field = !promptTemplates[i].name ? '.prompt-template-name'
+          : !promptTemplates[i].prompt ? '.prompt-template-prompt'
+          : null;
+        if (field) {
+          showStatus(`Prompt template ${i + 1} needs a name and a prompt`, true);
+          promptTemplateRows[i].querySelector(field).focus();
+          return;
+        }
+      }
+      
+      // Validate custom redaction rules
+      const redactionSettings = collectRedactionSettings();
+      const redactionRows = redactionRulesList.querySelectorAll('.redaction-rule');
+      for (let i = 0; i < redactionSettings.customRules.length; i++) {
+        if (!compileCustomPattern(redactionSettings.customRules[i].pattern)) {
+          showStatus(`Invalid pattern for redaction rule ${i + 1}`, true);
+          redactionRows[i].querySelector('.redaction-rule-pattern').focus();
+          return;
+        }
+      }
+      
+      const captureSettings = {
+        budget: captureBudgetInput.value.trim() !== ''
+          ? parseInt(captureBudgetInput.value, 10)
+          : DEFAULT_CAPTURE_SETTINGS.budget,
+        budgetUnit: captureBudgetUnitSelect.value
+      };
+      
+      const appearanceSettings = normalizeAppearanceSettings({
+        theme: panelThemeSelect.value,
+        surface: panelSurfaceSelect.value
+      });
+      
+      // Save connection, user, capture, redaction, appearance, command and template settings
       await chrome.storage.local.set({
         apiEndpoint,
         apiKey,
-        userId
+        userId,
+        captureSettings,
+        redactionSettings,
+        appearanceSettings,
+        slashCommands,
+        promptTemplates
+      });
+      
+      // Save capture rules
+      const rulesResponse = await chrome.runtime.sendMessage({
+        action: 'SAVE_CAPTURE_RULES',
+        rules: captureRules
       });
+      if (!rulesResponse.success) {
+        showStatus('Error saving capture rules: ' + rulesResponse.error, true);
+        return;
+      }
+      renderCaptureRules(rulesResponse.rules);
       
       // Validate and collect agent configurations
       const agentItems = agentsList.querySelectorAll('.agent-item');
@@ -331,7 +917,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           { input: item.querySelector('.agent-presence-penalty'), min: -2, max: 2, name: 'Presence penalty' },
           { input: item.querySelector('.agent-frequency-penalty'), min: -2, max: 2, name: 'Frequency penalty' },
           { input: item.querySelector('.agent-repetition-penalty'), min: 1, name: 'Repetition penalty' },
-          { input: item.querySelector('.agent-min-p'), min: 0, max: 1, name: 'Min P' }
+          { input: item.querySelector('.agent-min-p'), min: 0, max: 1, name: 'Min P' },
+          { input: item.querySelector('.agent-context-window'), min: 1000, name: 'Context window' }
         ];
         
         for (const validation of numberInputs) {
@@ -347,7 +934,11 @@ document.addEventListener('DOMContentLoaded', async () => {
           name: nameInput.value.trim(),
           model: modelInput.value.trim(),
           systemMessage: systemMessageInput.value.trim(),
-          stream: item.querySelector('.agent-stream').checked
+          stream: item.querySelector('.agent-stream').checked,
+          supportsVision: item.querySelector('.agent-supports-vision').checked,
+          startsWithThinking: item.querySelector('.agent-starts-with-thinking').checked,
+          redact: item.querySelector('.agent-redact').checked,
+          accentColor: item.querySelector('.agent-accent').value
         };
         
         // Add optional numeric fields
@@ -359,7 +950,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           presencePenalty: '.agent-presence-penalty',
           frequencyPenalty: '.agent-frequency-penalty',
           repetitionPenalty: '.agent-repetition-penalty',
-          minP: '.agent-min-p'
+          minP: '.agent-min-p',
+          contextWindow: '.agent-context-window'
         };
         
         for (const [key, selector] of Object.entries(numberFields)) {
@@ -4,6 +4,9 @@
  * Handles the popup UI and interactions
  */
 
+import { captureVisibleTab, agentSupportsVision } from '../shared/screenshot';
+import { loadAppearanceSettings } from '../shared/appearance';
+
 document.addEventListener('DOMContentLoaded', async () => {
   // UI elements
   const analyzeBtn = document.getElementById('analyzeBtn');
@@ -13,10 +16,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   const agentSelect = document.getElementById('agent-select');
   const loadingEl = document.getElementById('loading');
   const statusEl = document.getElementById('status');
+  const screenshotOption = document.getElementById('screenshotOption');
+  const screenshotCheckbox = document.getElementById('screenshotCheckbox');
+  
+  // Agents by ID, used to check capabilities of the selected agent
+  let agentsById = {};
 
   // Get current active tab
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   const activeTab = tabs[0];
+  
+  // Loaded up front: the side panel can only be opened straight from a click
+  const { surface } = await loadAppearanceSettings();
 
   // Check for URL parameters (for rejoining conversations)
   const urlParams = new URLSearchParams(window.location.search);
@@ -85,6 +96,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Agent selector change handler
   agentSelect.addEventListener('change', async () => {
+    updateScreenshotOption();
     await setActiveAgent(agentSelect.value);
   });
 
@@ -98,9 +110,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (response.success && response.agents) {
         // Clear existing options
         agentSelect.innerHTML = '';
+        agentsById = {};
         
         // Add agent options
         response.agents.forEach(agent => {
+          agentsById[agent.id] = agent;
+          
           const option = document.createElement('option');
           option.value = agent.id;
           option.textContent = agent.name;
@@ -112,6 +127,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           
           agentSelect.appendChild(option);
         });
+        
+        updateScreenshotOption();
       } else {
         showStatus('Failed to load agents', true);
       }
@@ -121,6 +138,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * Offer the screenshot option only for agents with vision support
+   */
+  function updateScreenshotOption() {
+    const supportsVision = agentSupportsVision(agentsById[agentSelect.value]);
+    screenshotOption.style.display = supportsVision ? 'flex' : 'none';
+    if (!supportsVision) {
+      screenshotCheckbox.checked = false;
+    }
+  }
+
   /**
    * Set the active agent
    */
@@ -159,6 +187,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         throw new Error('Failed to capture page content');
       }
       
+      // Capture the visible tab while the popup still has the activeTab grant
+      if (screenshotCheckbox.checked) {
+        pageData.screenshot = await captureVisibleTab(activeTab.windowId);
+      }
+      
       // Send to background script for analysis
       const response = await chrome.runtime.sendMessage({
         action: 'ANALYZE_PAGE',
@@ -203,6 +236,12 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
 async function openChatPanel() {
   try {
+    if (surface === 'sidePanel') {
+      await chrome.sidePanel.open({ windowId: activeTab.windowId });
+      window.close();
+      return;
+    }
+    
     // Get agents info to pass to content script
     const response = await chrome.runtime.sendMessage({ action: 'GET_AGENTS' });
     
@@ -52,6 +52,11 @@ class AgentManager {
       frequencyPenalty: null,
       repetitionPenalty: null,
       minP: null,
+      contextWindow: null,
+      supportsVision: false,
+      startsWithThinking: null,
+      redact: true,
+      accentColor: null,
       stream: true,
       createdAt: Math.floor(Date.now() / 1000),
       updatedAt: Math.floor(Date.now() / 1000)
@@ -0,0 +1,66 @@
+/**
+ * Appearance Settings
+ *
+ * Defaults and helpers for the look of the chat panel, shared by the
+ * options page, the content script, the side panel and the background
+ */
+
+export const THEMES = {
+  auto: 'Match the system',
+  light: 'Light',
+  dark: 'Dark'
+};
+
+export const PANEL_SURFACES = {
+  overlay: 'Overlay on the page',
+  sidePanel: "Chrome's side panel"
+};
+
+export const DEFAULT_APPEARANCE_SETTINGS = {
+  theme: 'auto', // One of the THEMES keys
+  surface: 'overlay' // One of the PANEL_SURFACES keys
+};
+
+// Accent of agents that have none of their own
+export const DEFAULT_ACCENT = '#4CAF50';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Load appearance settings from storage, falling back to defaults
+ * @returns {Promise<Object>} - The appearance settings
+ */
+export async function loadAppearanceSettings() {
+  try {
+    const data = await chrome.storage.local.get('appearanceSettings');
+    return normalizeAppearanceSettings(data.appearanceSettings);
+  } catch (error) {
+    console.warn('Could not load appearance settings, using defaults:', error);
+    return { ...DEFAULT_APPEARANCE_SETTINGS };
+  }
+}
+
+/**
+ * Fill in defaults and drop unknown values
+ * @param {Object} settings - Stored appearance settings
+ * @returns {Object} - The appearance settings
+ */
+export function normalizeAppearanceSettings(settings = {}) {
+  const merged = { ...DEFAULT_APPEARANCE_SETTINGS, ...(settings || {}) };
+  if (!THEMES[merged.theme]) {
+    merged.theme = DEFAULT_APPEARANCE_SETTINGS.theme;
+  }
+  if (!PANEL_SURFACES[merged.surface]) {
+    merged.surface = DEFAULT_APPEARANCE_SETTINGS.surface;
+  }
+  return merged;
+}
+
+/**
+ * Get the accent colour of an agent
+ * @param {Object} agent - Agent configuration
+ * @returns {string} - A #rrggbb colour
+ */
+export function agentAccent(agent) {
+  return HEX_COLOR.test(agent?.accentColor || '') ? agent.accentColor : DEFAULT_ACCENT;
+}
@@ -0,0 +1,200 @@
+/**
+ * Capture Rule Manager
+ *
+ * Manages per-site capture rules. A rule pairs a URL pattern with CSS
+ * selectors to include or exclude and an optional character budget.
+ * The first enabled rule whose pattern matches the page URL is applied
+ * by the content script before the default extraction.
+ */
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Split selectors entered one per line into a list
+ *
+ * @param {string|Array<string>} value - Selectors as text or a list
+ * @returns {Array<string>} - Trimmed, non-empty selectors
+ */
+export function parseSelectorList(value) {
+  if (Array.isArray(value)) {
+    return value.map(selector => String(selector).trim()).filter(Boolean);
+  }
+  return String(value || '')
+    .split('\n')
+    .map(selector => selector.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a rule so it has every field with the right type
+ */
+export function normalizeRule(rule = {}) {
+  const budget = parseInt(rule.budget, 10);
+  return {
+    id: rule.id || 'rule_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+    pattern: String(rule.pattern || '').trim(),
+    include: parseSelectorList(rule.include),
+    exclude: parseSelectorList(rule.exclude),
+    budget: budget > 0 ? budget : null,
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * Convert a URL pattern to a regular expression
+ *
+ * Patterns use * as a wildcard (e.g. "github.com/acme/*" or
+ * "*.atlassian.net/*"). Patterns without a scheme match the URL without
+ * its scheme. A pattern wrapped in slashes is used as a regular expression.
+ *
+ * @returns {RegExp|null} - The expression, or null if the pattern is invalid
+ */
+export function patternToRegExp(pattern) {
+  const trimmed = String(pattern || '').trim();
+  if (!trimmed) return null;
+
+  if (trimmed.length > 2 && trimmed.startsWith('/') && trimmed.endsWith('/')) {
+    try {
+      return new RegExp(trimmed.slice(1, -1), 'i');
+    } catch (error) {
+      console.warn('Invalid capture rule pattern:', trimmed, error.message);
+      return null;
+    }
+  }
+
+  const escaped = trimmed
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check whether a URL matches a rule pattern
+ */
+export function matchesUrlPattern(pattern, url) {
+  const regex = patternToRegExp(pattern);
+  if (!regex || !url) return false;
+
+  if (regex.test(url)) return true;
+
+  // Patterns without a scheme are matched against host and path
+  if (!String(pattern).includes('://')) {
+    return regex.test(url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''));
+  }
+  return false;
+}
+
+/**
+ * Find the first enabled rule matching a URL
+ *
+ * @param {Array<Object>} rules - Capture rules in priority order
+ * @param {string} url - Page URL
+ * @returns {Object|null} - The matching rule
+ */
+export function findMatchingRule(rules, url) {
+  return (rules || []).find(rule => rule.enabled !== false && matchesUrlPattern(rule.pattern, url)) || null;
+}
+
+/**
+ * Load capture rules directly from storage (for content scripts)
+ * @returns {Promise<Array<Object>>} - The capture rules
+ */
+export async function loadCaptureRules() {
+  try {
+    const data = await chrome.storage.local.get('captureRules');
+    return (data.captureRules || []).map(normalizeRule);
+  } catch (error) {
+    console.warn('Could not load capture rules:', error);
+    return [];
+  }
+}
+
+class CaptureRuleManager {
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.rules = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the rule manager from storage
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    const data = await this.storage.get({ 'captureRules': [] });
+    this.rules = (data.captureRules || []).map(normalizeRule);
+    this.initialized = true;
+
+    console.log('CaptureRuleManager initialized with', this.rules.length, 'rules');
+  }
+
+  /**
+   * Save rules to storage
+   */
+  async saveRules() {
+    await this.storage.set({ captureRules: this.rules });
+    console.log('Saved', this.rules.length, 'capture rules to storage');
+  }
+
+  /**
+   * Get all rules in priority order
+   */
+  getAllRules() {
+    return this.rules;
+  }
+
+  /**
+   * Replace all rules, keeping the given order
+   *
+   * @param {Array<Object>} rules - The new rules
+   * @returns {Promise<Array<Object>>} - The saved rules
+   */
+  async setRules(rules) {
+    const normalized = (rules || []).map(normalizeRule);
+
+    const invalid = normalized.find(rule => !patternToRegExp(rule.pattern));
+    if (invalid) {
+      throw new Error(`Invalid URL pattern: "${invalid.pattern || '(empty)'}"`);
+    }
+
+    this.rules = normalized;
+    await this.saveRules();
+    return this.rules;
+  }
+
+  /**
+   * Export rules in a format that can be shared and imported
+   */
+  exportRules() {
+    return {
+      type: 'captureRules',
+      version: EXPORT_VERSION,
+      exportedAt: Date.now(),
+      rules: this.rules.map(({ id, ...rule }) => rule)
+    };
+  }
+
+  /**
+   * Import rules from an export
+   *
+   * @param {Object} exportData - Data produced by exportRules
+   * @param {boolean} replace - Replace existing rules instead of appending
+   * @returns {Promise<{imported: number, total: number}>}
+   */
+  async importRules(exportData, replace = false) {
+    const imported = Array.isArray(exportData) ? exportData : exportData?.rules;
+    if (!Array.isArray(imported)) {
+      throw new Error('The file does not contain capture rules');
+    }
+
+    // Imported rules always get fresh IDs
+    const rules = imported.map(({ id, ...rule }) => rule);
+    await this.setRules(replace ? rules : [...this.rules, ...rules]);
+
+    return { imported: rules.length, total: this.rules.length };
+  }
+}
+
+export default CaptureRuleManager;
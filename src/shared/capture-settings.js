@@ -0,0 +1,41 @@
+/**
+ * Capture Settings
+ *
+ * Defaults and helpers for the page capture budget shared by the
+ * options page and the content script
+ */
+
+// Rough average for English text with common tokenizers
+export const CHARS_PER_TOKEN = 4;
+
+export const DEFAULT_CAPTURE_SETTINGS = {
+  budget: 12000,
+  budgetUnit: 'chars' // 'chars' or 'tokens'
+};
+
+/**
+ * Load capture settings from storage, falling back to defaults
+ * @returns {Promise<Object>} - The capture settings
+ */
+export async function loadCaptureSettings() {
+  try {
+    const data = await chrome.storage.local.get('captureSettings');
+    return { ...DEFAULT_CAPTURE_SETTINGS, ...(data.captureSettings || {}) };
+  } catch (error) {
+    console.warn('Could not load capture settings, using defaults:', error);
+    return { ...DEFAULT_CAPTURE_SETTINGS };
+  }
+}
+
+/**
+ * Convert a capture budget into a character limit
+ * @param {Object} settings - Capture settings ({ budget, budgetUnit })
+ * @returns {number} - Maximum number of characters to capture
+ */
+export function resolveCharBudget(settings = DEFAULT_CAPTURE_SETTINGS) {
+  const budget = parseInt(settings.budget, 10);
+  if (!budget || budget <= 0) {
+    return DEFAULT_CAPTURE_SETTINGS.budget;
+  }
+  return settings.budgetUnit === 'tokens' ? budget * CHARS_PER_TOKEN : budget;
+}
@@ -4,6 +4,13 @@
  * Handles message storage, retrieval, and conversation history management
  */
 
+/**
+ * Create an ID for a history entry
+ */
+function createEntryId() {
+  return 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
 class ConversationManager {
   constructor(storageManager, apiClient) {
     this.storage = storageManager;
@@ -12,6 +19,7 @@ class ConversationManager {
     this.MAX_CACHE_SIZE = 20; // Maximum number of conversations to cache
     this.conversationCache = new Map();
     this.cacheOrder = []; // Track LRU cache order
+    this.historyWrites = Promise.resolve(); // Chain of pending history updates
   }
 
   /**
@@ -23,8 +31,28 @@ class ConversationManager {
     console.log('ConversationManager initialized');
   }
 
+  /**
+   * Run a history update once the updates queued before it have finished;
+   * reads that fill the cache are queued the same way
+   * @param {Function} write - Reads, changes and stores the history
+   * @returns {Promise<*>} - The result of the update
+   */
+  queueHistoryWrite(write) {
+    const result = this.historyWrites.then(write);
+    this.historyWrites = result.catch(() => {});
+    return result;
+  }
+
   /**
    * Get all messages for a specific conversation
+   *
+   * The history of a conversation is a tree: every entry has the ID of the
+   * entry it was sent after, and of that entry's version. Only the active
+   * path of the tree is returned, which is also what later prompts see.
+   * Each message carries the `entryId` of its history entry, its `version`
+   * index and the entry's `versionCount`; replies also carry the
+   * `responderId` of the agent a turn was handed to with an @mention, if
+   * any, and the `reasoning` of a reasoning model, which prompts leave out.
    */
   async getConversationMessages(conversationId) {
     // Check cache first
@@ -34,45 +62,441 @@ class ConversationManager {
       return this.conversationCache.get(conversationId);
     }
     
-    const data = await this.storage.get('messageHistory', []);
-    const messageHistory = data.messageHistory || [];
-    
-    // Filter and format messages for this conversation
-    const messages = messageHistory
-      .filter(msg => msg.conversationId === conversationId)
-      .flatMap(msg => {
-        const messages = [{
-          role: 'user',
-          content: msg.message,
-          timestamp: parseInt(msg.timestamp, 10), // Ensure timestamp is a number
-          url: msg.url,
-          title: msg.title,
-          model: msg.model,
-          saved: msg.saved || false
-        }];
-        
-        // Only add assistant message if there was a response
-        if (msg.response) {
-          messages.push({
-            role: 'assistant',
-            content: msg.response,
+    // Read in turn with the history updates, so a read they overtake can't
+    // cache what they replaced
+    return this.queueHistoryWrite(async () => {
+      const messageHistory = await this.loadMessageHistory();
+      const activeEntryId = await this.getActiveBranch(conversationId);
+      
+      // Filter and format messages for this conversation
+      const entries = messageHistory.filter(msg => msg.conversationId === conversationId);
+      const messages = this.getActiveEntries(entries, activeEntryId)
+        .flatMap(msg => {
+          const version = msg.activeVersion || 0;
+          const versionCount = msg.versions?.length || 1;
+          const messages = [{
+            role: 'user',
+            content: msg.message,
             timestamp: parseInt(msg.timestamp, 10), // Ensure timestamp is a number
             url: msg.url,
             title: msg.title,
             model: msg.model,
-            saved: msg.saved || false
-          });
+            saved: msg.saved || false,
+            roundtableId: msg.roundtableId || null,
+            entryId: msg.id,
+            version,
+            versionCount
+          }];
+          
+          // Only add assistant message if there was a response
+          if (msg.response) {
+            messages.push({
+              role: 'assistant',
+              content: msg.response,
+              reasoning: msg.reasoning || '',
+              timestamp: parseInt(msg.timestamp, 10), // Ensure timestamp is a number
+              url: msg.url,
+              title: msg.title,
+              model: msg.model,
+              saved: msg.saved || false,
+              truncated: msg.truncated || false,
+              responderId: msg.responderId || null,
+              entryId: msg.id,
+              version,
+              versionCount
+            });
+          }
+          
+          return messages;
+        });
+      
+      // Add to cache and manage cache size
+      this.addToCache(conversationId, messages);
+      
+      console.log(`Retrieved ${messages.length} messages for conversation ${conversationId}`);
+      return messages;
+    });
+  }
+
+  /**
+   * Get the stored history, linking entries from before the message tree
+   *
+   * Older entries get an ID, and the entry stored before them in the same
+   * conversation as their parent. Linking them is a history update, so it
+   * waits for the queue.
+   */
+  async getMessageHistory() {
+    const data = await this.storage.get('messageHistory', []);
+    const messageHistory = data.messageHistory || [];
+    
+    if (this.isLinked(messageHistory)) {
+      return messageHistory;
+    }
+    return this.queueHistoryWrite(() => this.loadMessageHistory());
+  }
+
+  /**
+   * Check whether every history entry has its place in the message tree
+   */
+  isLinked(messageHistory) {
+    return messageHistory.every(msg => msg.id && msg.parentId !== undefined);
+  }
+
+  /**
+   * Get the stored history for a queued update, linking older entries
+   */
+  async loadMessageHistory() {
+    const data = await this.storage.get('messageHistory', []);
+    const messageHistory = data.messageHistory || [];
+    
+    if (this.isLinked(messageHistory)) {
+      return messageHistory;
+    }
+    
+    const lastEntries = new Map(); // conversationId -> last entry seen
+    const updatedHistory = messageHistory.map(msg => {
+      let entry = msg.id ? msg : { ...msg, id: createEntryId() };
+      if (entry.parentId === undefined) {
+        const previous = lastEntries.get(entry.conversationId);
+        entry = { ...entry, parentId: previous?.id ?? null, parentVersion: 0 };
+      }
+      lastEntries.set(entry.conversationId, entry);
+      return entry;
+    });
+    
+    await this.storage.set('messageHistory', updatedHistory);
+    console.log('Linked stored history entries into message trees');
+    return updatedHistory;
+  }
+
+  /**
+   * Get the ID of the entry the active branch of a conversation ends at
+   */
+  async getActiveBranch(conversationId) {
+    const data = await this.storage.get('activeBranches', {});
+    return (data.activeBranches || {})[conversationId] || null;
+  }
+
+  /**
+   * Remember the entry the active branch of a conversation ends at; only
+   * called from queued history updates
+   */
+  async setActiveBranch(conversationId, entryId) {
+    const data = await this.storage.get('activeBranches', {});
+    const activeBranches = { ...(data.activeBranches || {}) };
+    if (entryId) {
+      activeBranches[conversationId] = entryId;
+    } else {
+      delete activeBranches[conversationId];
+    }
+    await this.storage.set('activeBranches', activeBranches);
+    this.conversationCache.delete(conversationId);
+  }
+
+  /**
+   * Pick the entries of a conversation that are on its active path
+   *
+   * The path runs from the first entry to the active branch's end. Where the
+   * path no longer follows the shown version of an entry, or no branch was
+   * chosen, it continues along the newest replies instead.
+   * @param {Array} entries - History entries of one conversation, in storage order
+   * @param {string} activeEntryId - ID of the entry the active branch ends at
+   * @returns {Array} - The entries of the path, in order
+   */
+  getActiveEntries(entries, activeEntryId) {
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+    
+    const path = [];
+    let entry = entriesById.get(activeEntryId);
+    while (entry) {
+      path.unshift(entry);
+      entry = entriesById.get(entry.parentId);
+    }
+    
+    const brokenIndex = path.findIndex(entry => !this.followsParent(entry, entriesById));
+    if (path.length > 0 && brokenIndex === -1) {
+      return path;
+    }
+    if (brokenIndex !== -1) {
+      path.splice(brokenIndex);
+    }
+    
+    return [...path, ...this.followNewestReplies(entries, path[path.length - 1] || null, entriesById)];
+  }
+
+  /**
+   * Follow the newest replies down from an entry
+   * @param {Object|null} entry - The entry to start below, or null to start at the first turn
+   * @returns {Array} - The entries below it, in order
+   */
+  followNewestReplies(entries, entry, entriesById) {
+    const replies = [];
+    let next = this.getChildren(entries, entry, entriesById).pop();
+    while (next) {
+      replies.push(next);
+      next = this.getChildren(entries, next, entriesById).pop();
+    }
+    return replies;
+  }
+
+  /**
+   * Get the entries sent after the shown version of an entry, oldest first
+   * @param {Object|null} parent - The entry, or null for the first entries
+   */
+  getChildren(entries, parent, entriesById) {
+    if (!parent) {
+      // First turns, or entries whose parent was trimmed from history
+      return entries.filter(entry => !entriesById.has(entry.parentId));
+    }
+    return entries.filter(entry => 
+      entry.parentId === parent.id && this.followsParent(entry, entriesById));
+  }
+
+  /**
+   * Check whether an entry follows the version of its parent that is shown
+   */
+  followsParent(entry, entriesById) {
+    const parent = entriesById.get(entry.parentId);
+    return !parent || (parent.activeVersion || 0) === (entry.parentVersion || 0);
+  }
+
+  /**
+   * Get the message tree of a conversation, for the branch switcher
+   *
+   * @returns {Promise<Object>} - `nodes` in storage order, each with `id`, `parentId`,
+   *   `parentVersion`, `message`, `timestamp`, `versionCount`, `activeVersion` and
+   *   `onPath`, and `activeEntryId`, the entry the active branch ends at
+   */
+  async getConversationTree(conversationId) {
+    const messageHistory = await this.getMessageHistory();
+    const entries = messageHistory.filter(msg => msg.conversationId === conversationId);
+    const path = this.getActiveEntries(entries, await this.getActiveBranch(conversationId));
+    
+    return {
+      activeEntryId: path[path.length - 1]?.id || null,
+      nodes: entries.map(entry => ({
+        id: entry.id,
+        parentId: entry.parentId,
+        parentVersion: entry.parentVersion || 0,
+        message: entry.message,
+        timestamp: entry.timestamp,
+        versionCount: entry.versions?.length || 1,
+        activeVersion: entry.activeVersion || 0,
+        onPath: path.includes(entry)
+      }))
+    };
+  }
+
+  /**
+   * Fork a conversation after an entry
+   *
+   * The active path ends at the entry, and the next message starts a new
+   * branch from it. The turns that followed it stay in their own branch.
+   */
+  async forkConversation(conversationId, entryId) {
+    return this.queueHistoryWrite(async () => {
+      const messageHistory = await this.loadMessageHistory();
+      if (!messageHistory.some(msg => msg.id === entryId && msg.conversationId === conversationId)) {
+        throw new Error('Message not found');
+      }
+      
+      await this.setActiveBranch(conversationId, entryId);
+      console.log(`Forked conversation ${conversationId} after message ${entryId}`);
+    });
+  }
+
+  /**
+   * Switch to the branch that goes through an entry
+   *
+   * The versions of earlier turns are switched to the ones the entry was
+   * sent after, and the branch continues along the newest replies.
+   */
+  async switchBranch(conversationId, entryId) {
+    return this.queueHistoryWrite(async () => {
+      try {
+        const messageHistory = [...await this.loadMessageHistory()];
+        const indexById = new Map();
+        messageHistory.forEach((msg, index) => {
+          if (msg.conversationId === conversationId) indexById.set(msg.id, index);
+        });
+        
+        if (!indexById.has(entryId)) {
+          throw new Error('Message not found');
+        }
+        
+        // Show the versions this entry was sent after
+        let entry = messageHistory[indexById.get(entryId)];
+        while (indexById.has(entry.parentId)) {
+          const parentIndex = indexById.get(entry.parentId);
+          const parent = messageHistory[parentIndex];
+          if ((parent.activeVersion || 0) !== (entry.parentVersion || 0)) {
+            messageHistory[parentIndex] = this.applyVersion(parent, entry.parentVersion || 0);
+          }
+          entry = messageHistory[parentIndex];
         }
+        await this.storage.set('messageHistory', messageHistory);
+        
+        // Continue below the entry along the newest replies
+        const entries = messageHistory.filter(msg => msg.conversationId === conversationId);
+        const entriesById = new Map(entries.map(msg => [msg.id, msg]));
+        const replies = this.followNewestReplies(entries, entriesById.get(entryId), entriesById);
         
-        return messages;
-      })
-      .sort((a, b) => a.timestamp - b.timestamp);
+        await this.setActiveBranch(conversationId, replies.length > 0 ? replies[replies.length - 1].id : entryId);
+        console.log(`Switched conversation ${conversationId} to the branch through ${entryId}`);
+        return true;
+      } catch (error) {
+        console.error('Error switching branch:', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Get every version of an entry, with the active one read from the entry itself
+   */
+  getEntryVersions(entry) {
+    const activeVersion = entry.activeVersion || 0;
+    const current = {
+      message: entry.message,
+      response: entry.response,
+      reasoning: entry.reasoning || '',
+      model: entry.model,
+      responderId: entry.responderId || null,
+      truncated: entry.truncated || false,
+      saved: entry.saved || false,
+      timestamp: entry.versions?.[activeVersion]?.timestamp ?? entry.timestamp
+    };
     
-    // Add to cache and manage cache size
-    this.addToCache(conversationId, messages);
+    if (!entry.versions?.length) {
+      return [current];
+    }
+    return entry.versions.map((version, index) => index === activeVersion ? current : version);
+  }
+
+  /**
+   * Get a copy of an entry that shows another of its versions
+   */
+  applyVersion(entry, versionIndex) {
+    const versions = this.getEntryVersions(entry);
+    const version = versions[versionIndex];
+    if (!version) {
+      throw new Error('Version not found');
+    }
     
-    console.log(`Retrieved ${messages.length} messages for conversation ${conversationId}`);
-    return messages;
+    return {
+      ...entry,
+      message: version.message,
+      response: version.response,
+      reasoning: version.reasoning || '',
+      model: version.model,
+      responderId: version.responderId || null,
+      truncated: version.truncated || false,
+      saved: version.saved || false,
+      versions,
+      activeVersion: versionIndex
+    };
+  }
+
+  /**
+   * Add a new version of a turn, keeping the earlier ones as alternates
+   *
+   * Used when a reply is regenerated or a message is edited and resent.
+   * The new version becomes the active one, and the turns that followed the
+   * previous version are hidden until it is shown again.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} entryId - ID of the history entry to add a version to
+   * @param {Object} version - `message`, `response`, `reasoning`, `model` and `truncated`
+   *   of the new version, and the `responderId` of the agent an @mention handed it to
+   */
+  async addVersion(conversationId, entryId, { message, response, reasoning = '', model, responderId = null, truncated = false }) {
+    return this.queueHistoryWrite(async () => {
+      try {
+        const messageHistory = [...await this.loadMessageHistory()];
+        
+        const index = messageHistory.findIndex(msg => 
+          msg.id === entryId && msg.conversationId === conversationId);
+        if (index === -1) {
+          throw new Error('Message not found');
+        }
+        
+        const entry = messageHistory[index];
+        const versions = this.getEntryVersions(entry);
+        const version = {
+          message,
+          response,
+          reasoning,
+          model,
+          responderId,
+          truncated,
+          saved: false,
+          timestamp: Math.floor(Date.now() / 1000)
+        };
+        
+        messageHistory[index] = {
+          ...entry,
+          message,
+          response,
+          reasoning,
+          model,
+          responderId,
+          truncated,
+          saved: false,
+          versions: [...versions, version],
+          activeVersion: versions.length
+        };
+        
+        await this.storage.set('messageHistory', messageHistory);
+        await this.setActiveBranch(conversationId, entryId);
+        
+        // Invalidate cache for this conversation
+        this.conversationCache.delete(conversationId);
+        
+        console.log(`Added version ${versions.length + 1} of message ${entryId}`);
+        return messageHistory[index];
+      } catch (error) {
+        console.error('Error adding message version:', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Show another stored version of a turn
+   *
+   * The active branch continues along the newest replies to that version.
+   * @param {string} conversationId - The conversation ID
+   * @param {string} entryId - ID of the history entry
+   * @param {number} versionIndex - Index of the version to show
+   */
+  async setActiveVersion(conversationId, entryId, versionIndex) {
+    return this.queueHistoryWrite(async () => {
+      try {
+        const messageHistory = [...await this.loadMessageHistory()];
+        
+        const index = messageHistory.findIndex(msg => 
+          msg.id === entryId && msg.conversationId === conversationId);
+        if (index === -1) {
+          throw new Error('Message not found');
+        }
+        
+        messageHistory[index] = this.applyVersion(messageHistory[index], versionIndex);
+        
+        await this.storage.set('messageHistory', messageHistory);
+        
+        // Keep the branch the path now follows
+        const path = this.getActiveEntries(
+          messageHistory.filter(msg => msg.conversationId === conversationId),
+          await this.getActiveBranch(conversationId)
+        );
+        await this.setActiveBranch(conversationId, path[path.length - 1]?.id);
+        
+        console.log(`Showing version ${versionIndex + 1} of message ${entryId}`);
+        return messageHistory[index];
+      } catch (error) {
+        console.error('Error switching message version:', error);
+        throw error;
+      }
+    });
   }
 
   /**
@@ -155,144 +579,171 @@ class ConversationManager {
 
   /**
    * Store a message and its response in history
+   *
+   * @param {boolean} truncated - Whether the user stopped the response before it finished
+   * @param {string} roundtableId - Shared by the replies of agents asked the same message together
+   * @param {string} reasoning - The thinking of a reasoning model, kept apart from the response
+   * @param {string} responderId - The agent an @mention handed the turn to; the
+   *   entry stays in the conversation of `agentId`
    */
-  async storeMessage(message, response, url, title, conversationId, agentId, model) {
-    const timestamp = Math.floor(Date.now() / 1000);
-    const historyEntry = {
-      timestamp,
-      url,
-      title,
-      message,
-      response,
-      conversationId,
-      agentId,
-      model,
-      saved: false // Initialize as not saved
-    };
-    
-    try {
-      // Get existing history
-      const data = await this.storage.get('messageHistory', []);
-      const messageHistory = data.messageHistory || [];
-      
-      // Add new entry
-      const updatedHistory = [...messageHistory, historyEntry];
-      
-      // Keep only the last 500 messages to prevent storage issues
-      const trimmedHistory = updatedHistory.slice(-500);
-      
-      // Store updated history
-      await this.storage.set('messageHistory', trimmedHistory);
-      await this.storage.set('lastMessage', historyEntry); // Store last message separately for quick access
-      
-      // Invalidate cache for this conversation
-      this.conversationCache.delete(conversationId);
-      
-      console.log('Stored message in history. Total messages:', trimmedHistory.length);
-      return historyEntry;
-    } catch (error) {
-      console.error('Error storing message history:', error);
-      throw error;
-    }
+  async storeMessage(message, response, url, title, conversationId, agentId, model, truncated = false, roundtableId = null, reasoning = '', responderId = null) {
+    // Replies stored at the same time, as in a roundtable, must not overwrite each other
+    return this.queueHistoryWrite(async () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      
+      try {
+        // Get existing history
+        const messageHistory = await this.loadMessageHistory();
+        
+        // Continue from the last turn the user is looking at
+        const activeEntries = this.getActiveEntries(
+          messageHistory.filter(msg => msg.conversationId === conversationId),
+          await this.getActiveBranch(conversationId)
+        );
+        const parent = activeEntries[activeEntries.length - 1];
+        
+        const historyEntry = {
+          id: createEntryId(),
+          parentId: parent?.id ?? null,
+          parentVersion: parent?.activeVersion || 0,
+          timestamp,
+          url,
+          title,
+          message,
+          response,
+          reasoning,
+          conversationId,
+          agentId,
+          responderId,
+          model,
+          truncated,
+          roundtableId,
+          saved: false // Initialize as not saved
+        };
+        
+        // Add new entry
+        const updatedHistory = [...messageHistory, historyEntry];
+        
+        // Keep only the last 500 messages to prevent storage issues
+        const trimmedHistory = updatedHistory.slice(-500);
+        
+        // Store updated history
+        await this.storage.set('messageHistory', trimmedHistory);
+        await this.storage.set('lastMessage', historyEntry); // Store last message separately for quick access
+        await this.setActiveBranch(conversationId, historyEntry.id);
+        
+        // Invalidate cache for this conversation
+        this.conversationCache.delete(conversationId);
+        
+        console.log('Stored message in history. Total messages:', trimmedHistory.length);
+        return historyEntry;
+      } catch (error) {
+        console.error('Error storing message history:', error);
+        throw error;
+      }
+    });
   }
 
   /**
    * Mark a message as saved
    */
   async markMessageAsSaved(messageId, conversationId) {
-    try {
-      console.log('Marking message as saved:', {
-        messageId,
-        conversationId
-      });
-
-      const data = await this.storage.get('messageHistory', []);
-      const messageHistory = data.messageHistory || [];
-      
-      // Find the message index
-      const messageIndex = messageHistory.findIndex(msg => {
-        const timestampMatch = parseInt(msg.timestamp, 10) === parseInt(messageId, 10);
-        const conversationMatch = msg.conversationId === conversationId;
-        console.log('Checking message:', {
-          msgTimestamp: msg.timestamp,
-          msgConversationId: msg.conversationId,
-          timestampMatch,
-          conversationMatch
-        });
-        return timestampMatch && conversationMatch;
-      });
-      
-      if (messageIndex === -1) {
-        console.error('Message not found in history:', {
+    return this.queueHistoryWrite(async () => {
+      try {
+        console.log('Marking message as saved:', {
           messageId,
-          conversationId,
-          historyLength: messageHistory.length,
-          timestamps: messageHistory.map(m => m.timestamp),
-          conversations: messageHistory.map(m => m.conversationId)
+          conversationId
         });
-        throw new Error('Message not found');
-      }
-      
-      // Update the message
-      const updatedHistory = [
-        ...messageHistory.slice(0, messageIndex),
-        { ...messageHistory[messageIndex], saved: true },
-        ...messageHistory.slice(messageIndex + 1)
-      ];
-      
-      // Store updated history
-      await this.storage.set('messageHistory', updatedHistory);
-      
-      // Update last message if needed
-      if (messageHistory[messageHistory.length - 1].timestamp === messageId) {
-        await this.storage.set('lastMessage', updatedHistory[updatedHistory.length - 1]);
+
+        const messageHistory = await this.loadMessageHistory();
+        
+        // Find the message index
+        const messageIndex = messageHistory.findIndex(msg => {
+          const timestampMatch = parseInt(msg.timestamp, 10) === parseInt(messageId, 10);
+          const conversationMatch = msg.conversationId === conversationId;
+          console.log('Checking message:', {
+            msgTimestamp: msg.timestamp,
+            msgConversationId: msg.conversationId,
+            timestampMatch,
+            conversationMatch
+          });
+          return timestampMatch && conversationMatch;
+        });
+        
+        if (messageIndex === -1) {
+          console.error('Message not found in history:', {
+            messageId,
+            conversationId,
+            historyLength: messageHistory.length,
+            timestamps: messageHistory.map(m => m.timestamp),
+            conversations: messageHistory.map(m => m.conversationId)
+          });
+          throw new Error('Message not found');
+        }
+        
+        // Update the message
+        const updatedHistory = [
+          ...messageHistory.slice(0, messageIndex),
+          { ...messageHistory[messageIndex], saved: true },
+          ...messageHistory.slice(messageIndex + 1)
+        ];
+        
+        // Store updated history
+        await this.storage.set('messageHistory', updatedHistory);
+        
+        // Update last message if needed
+        if (messageHistory[messageHistory.length - 1].timestamp === messageId) {
+          await this.storage.set('lastMessage', updatedHistory[updatedHistory.length - 1]);
+        }
+        
+        // Invalidate cache for this conversation
+        this.conversationCache.delete(conversationId);
+        
+        console.log('Successfully marked message as saved');
+        return true;
+      } catch (error) {
+        console.error('Error marking message as saved:', error);
+        throw error;
       }
-      
-      // Invalidate cache for this conversation
-      this.conversationCache.delete(conversationId);
-      
-      console.log('Successfully marked message as saved');
-      return true;
-    } catch (error) {
-      console.error('Error marking message as saved:', error);
-      throw error;
-    }
+    });
   }
 
   /**
    * Clear all messages for a conversation
    */
   async clearConversationHistory(conversationId) {
-    try {
-      const data = await this.storage.get('messageHistory', []);
-      const messageHistory = data.messageHistory || [];
-      
-      // Filter out messages from the specified conversation
-      const updatedHistory = messageHistory.filter(msg => msg.conversationId !== conversationId);
-      
-      await this.storage.set('messageHistory', updatedHistory);
-      
-      if (updatedHistory.length > 0) {
-        await this.storage.set('lastMessage', updatedHistory[updatedHistory.length - 1]);
-      } else {
-        await this.storage.set('lastMessage', null);
-      }
-      
-      // Invalidate cache
-      this.conversationCache.delete(conversationId);
-      
-      // Remove from cache order
-      const orderIndex = this.cacheOrder.indexOf(conversationId);
-      if (orderIndex !== -1) {
-        this.cacheOrder.splice(orderIndex, 1);
+    return this.queueHistoryWrite(async () => {
+      try {
+        const messageHistory = await this.loadMessageHistory();
+        
+        // Filter out messages from the specified conversation
+        const updatedHistory = messageHistory.filter(msg => msg.conversationId !== conversationId);
+        
+        await this.storage.set('messageHistory', updatedHistory);
+        await this.setActiveBranch(conversationId, null);
+        
+        if (updatedHistory.length > 0) {
+          await this.storage.set('lastMessage', updatedHistory[updatedHistory.length - 1]);
+        } else {
+          await this.storage.set('lastMessage', null);
+        }
+        
+        // Invalidate cache
+        this.conversationCache.delete(conversationId);
+        
+        // Remove from cache order
+        const orderIndex = this.cacheOrder.indexOf(conversationId);
+        if (orderIndex !== -1) {
+          this.cacheOrder.splice(orderIndex, 1);
+        }
+        
+        console.log(`Cleared history for conversation ${conversationId}`);
+        return true;
+      } catch (error) {
+        console.error('Error clearing conversation history:', error);
+        return false;
       }
-      
-      console.log(`Cleared history for conversation ${conversationId}`);
-      return true;
-    } catch (error) {
-      console.error('Error clearing conversation history:', error);
-      return false;
-    }
+    });
   }
 
 /**
@@ -308,20 +759,20 @@ async exportConversation(conversationId) {
     const firstHistoryEntry = messageHistory.find(msg => msg.conversationId === conversationId);
     
     // Get agent information
-    let agentInfo = null;
-    if (firstHistoryEntry?.agentId) {
-      // Try to get agent data from storage
-      const agentData = await this.storage.get('agents', []);
-      const agents = agentData.agents || [];
-      agentInfo = agents.find(a => a.id === firstHistoryEntry.agentId);
-    }
+    const agentData = await this.storage.get('agents', []);
+    const agents = agentData.agents || [];
+    const agentInfo = agents.find(a => a.id === firstHistoryEntry?.agentId);
+    const agentName = agentInfo?.name || 'Unknown Agent';
     
     const exportData = {
       id: conversationId,
       timestamp: firstHistoryEntry?.timestamp || Date.now(),
       agentId: firstHistoryEntry?.agentId || '',
-      agentName: agentInfo?.name || 'Unknown Agent',
-      messages: messages
+      agentName,
+      // Name the agent of each reply, as turns can be handed to other agents
+      messages: messages.map(message => message.role === 'assistant'
+        ? { ...message, agentName: agents.find(a => a.id === message.responderId)?.name || agentName }
+        : message)
     };
     
     return exportData;
@@ -335,62 +786,70 @@ async exportConversation(conversationId) {
  * Import a conversation from an exported JSON file
  */
 async importConversation(exportData, newAgentId = null) {
-  try {
-    const data = await this.storage.get('messageHistory', []);
-    const messageHistory = data.messageHistory || [];
-    
-    // Generate a new conversation ID
-    const newConversationId = 'conv_' + Math.floor(Date.now() / 1000) + '_' + Math.random().toString(36).substr(2, 9);
-    
-    // If no agent ID was provided but we have an agent name, try to find the agent
-    if (!newAgentId && exportData.agentName) {
+  return this.queueHistoryWrite(async () => {
+    try {
+      const messageHistory = await this.loadMessageHistory();
+      
+      // Generate a new conversation ID
+      const newConversationId = 'conv_' + Math.floor(Date.now() / 1000) + '_' + Math.random().toString(36).substr(2, 9);
+      
       const agentData = await this.storage.get('agents', []);
       const agents = agentData.agents || [];
       
-      // Look for agent with matching name
-      const matchingAgent = agents.find(a => a.name === exportData.agentName);
-      if (matchingAgent) {
-        newAgentId = matchingAgent.id;
+      // If no agent ID was provided but we have an agent name, try to find the agent
+      if (!newAgentId && exportData.agentName) {
+        // Look for agent with matching name
+        const matchingAgent = agents.find(a => a.name === exportData.agentName);
+        if (matchingAgent) {
+          newAgentId = matchingAgent.id;
+        }
       }
-    }
-    
-    // Create history entries for each message pair
-    const newEntries = [];
-    for (let i = 0; i < exportData.messages.length; i += 2) {
-      const userMessage = exportData.messages[i];
-      const assistantMessage = exportData.messages[i + 1];
       
-      if (userMessage && userMessage.role === 'user') {
-        newEntries.push({
-          timestamp: userMessage.timestamp || Math.floor(Date.now() / 1000) + i,
-          url: userMessage.url || '',
-          title: userMessage.title || 'Imported Message',
-          model: userMessage.model || 'unknown',
-          message: userMessage.content,
-          response: assistantMessage?.content || '',
-          conversationId: newConversationId,
-          agentId: newAgentId || exportData.agentId || ''
-        });
+      // Create history entries for each message pair
+      const newEntries = [];
+      for (let i = 0; i < exportData.messages.length; i += 2) {
+        const userMessage = exportData.messages[i];
+        const assistantMessage = exportData.messages[i + 1];
+        
+        if (userMessage && userMessage.role === 'user') {
+          // Replies handed to another agent keep it, if there is one by that name
+          const responder = assistantMessage?.agentName && assistantMessage.agentName !== exportData.agentName
+            ? agents.find(a => a.name === assistantMessage.agentName)
+            : null;
+          
+          newEntries.push({
+            timestamp: userMessage.timestamp || Math.floor(Date.now() / 1000) + i,
+            url: userMessage.url || '',
+            title: userMessage.title || 'Imported Message',
+            model: userMessage.model || 'unknown',
+            message: userMessage.content,
+            response: assistantMessage?.content || '',
+            reasoning: assistantMessage?.reasoning || '',
+            conversationId: newConversationId,
+            agentId: newAgentId || exportData.agentId || '',
+            responderId: responder?.id || null
+          });
+        }
       }
+      
+      // Add to history
+      const updatedHistory = [...messageHistory, ...newEntries];
+      
+      // Keep only the last 500 messages
+      const trimmedHistory = updatedHistory.slice(-500);
+      
+      await this.storage.set('messageHistory', trimmedHistory);
+      await this.storage.set('lastMessage', trimmedHistory[trimmedHistory.length - 1] || null);
+      
+      return {
+        conversationId: newConversationId,
+        messageCount: newEntries.length
+      };
+    } catch (error) {
+      console.error('Error importing conversation:', error);
+      throw error;
     }
-    
-    // Add to history
-    const updatedHistory = [...messageHistory, ...newEntries];
-    
-    // Keep only the last 500 messages
-    const trimmedHistory = updatedHistory.slice(-500);
-    
-    await this.storage.set('messageHistory', trimmedHistory);
-    await this.storage.set('lastMessage', trimmedHistory[trimmedHistory.length - 1] || null);
-    
-    return {
-      conversationId: newConversationId,
-      messageCount: newEntries.length
-    };
-  } catch (error) {
-    console.error('Error importing conversation:', error);
-    throw error;
-  }
+  });
 }
   
   /**
@@ -430,41 +889,58 @@ async importConversation(exportData, newAgentId = null) {
    * Delete a specific message from a conversation
    */
   async deleteMessage(messageId, conversationId) {
-    try {
-      const data = await this.storage.get('messageHistory', []);
-      const messageHistory = data.messageHistory || [];
-      
-      // Find the message index
-      const messageIndex = messageHistory.findIndex(msg => 
-        msg.timestamp === messageId && msg.conversationId === conversationId
-      );
-      
-      if (messageIndex === -1) {
-        throw new Error('Message not found');
-      }
-      
-      // Remove the message
-      const updatedHistory = [
-        ...messageHistory.slice(0, messageIndex),
-        ...messageHistory.slice(messageIndex + 1)
-      ];
-      
-      // Store updated history
-      await this.storage.set('messageHistory', updatedHistory);
-      
-      // Update last message if needed
-      if (messageHistory[messageHistory.length - 1].timestamp === messageId) {
-        await this.storage.set('lastMessage', updatedHistory[updatedHistory.length - 1] || null);
+    return this.queueHistoryWrite(async () => {
+      try {
+        const messageHistory = await this.loadMessageHistory();
+        
+        // Find the message index, by entry ID or by the timestamp older callers use
+        const messageIndex = messageHistory.findIndex(msg => 
+          (msg.id === messageId || msg.timestamp === messageId) && msg.conversationId === conversationId
+        );
+        
+        if (messageIndex === -1) {
+          throw new Error('Message not found');
+        }
+        
+        // Remove the message along with the turns that followed its other
+        // versions, and attach the turns after its active version to its parent
+        const removed = messageHistory[messageIndex];
+        const removedIds = new Set([removed.id]);
+        messageHistory.forEach(msg => {
+          if (removedIds.has(msg.parentId) &&
+              (msg.parentId !== removed.id || (msg.parentVersion || 0) !== (removed.activeVersion || 0))) {
+            removedIds.add(msg.id);
+          }
+        });
+        
+        const updatedHistory = messageHistory
+          .filter(msg => !removedIds.has(msg.id))
+          .map(msg => msg.parentId === removed.id
+            ? { ...msg, parentId: removed.parentId, parentVersion: removed.parentVersion }
+            : msg);
+        
+        // Store updated history
+        await this.storage.set('messageHistory', updatedHistory);
+        
+        // A branch that ended at a removed message now ends before it
+        if (removedIds.has(await this.getActiveBranch(conversationId))) {
+          await this.setActiveBranch(conversationId, removed.parentId);
+        }
+        
+        // Update last message if needed
+        if (removedIds.has(messageHistory[messageHistory.length - 1].id)) {
+          await this.storage.set('lastMessage', updatedHistory[updatedHistory.length - 1] || null);
+        }
+        
+        // Invalidate cache for this conversation
+        this.conversationCache.delete(conversationId);
+        
+        return true;
+      } catch (error) {
+        console.error('Error deleting message:', error);
+        throw error;
       }
-      
-      // Invalidate cache for this conversation
-      this.conversationCache.delete(conversationId);
-      
-      return true;
-    } catch (error) {
-      console.error('Error deleting message:', error);
-      throw error;
-    }
+    });
   }
 
   /**
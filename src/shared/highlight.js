@@ -0,0 +1,208 @@
+/**
+ * Syntax Highlighting
+ *
+ * A small tokenizer that colours comments, strings, numbers and keywords
+ * in fenced code blocks. It knows the comment and string syntax of the
+ * common languages; code in other languages is only escaped. Output is
+ * escaped HTML with `ai-md-hl-*` spans.
+ */
+
+import { escapeHtml } from './html';
+
+const C_LIKE_KEYWORDS = [
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return',
+  'try', 'catch', 'finally', 'throw', 'new', 'class', 'extends', 'this', 'super', 'static',
+  'public', 'private', 'protected', 'void', 'null', 'true', 'false', 'const', 'import', 'export'
+];
+
+const LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'typescript'],
+    keywords: [...C_LIKE_KEYWORDS, 'let', 'var', 'function', 'async', 'await', 'yield', 'of', 'in',
+      'typeof', 'instanceof', 'undefined', 'from', 'as', 'interface', 'type', 'enum', 'implements',
+      'readonly', 'delete'],
+    lineComment: '//',
+    blockComment: true,
+    templateStrings: true
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    keywords: ['def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'not', 'and',
+      'or', 'is', 'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise', 'pass',
+      'break', 'continue', 'lambda', 'yield', 'global', 'nonlocal', 'None', 'True', 'False',
+      'async', 'await', 'self'],
+    lineComment: '#',
+    tripleStrings: true
+  },
+  c: {
+    aliases: ['cpp', 'c++', 'h', 'hpp', 'cc', 'java', 'cs', 'csharp', 'kotlin', 'kt', 'swift',
+      'scala', 'dart', 'php'],
+    keywords: [...C_LIKE_KEYWORDS, 'int', 'long', 'short', 'char', 'float', 'double', 'bool',
+      'boolean', 'unsigned', 'struct', 'enum', 'union', 'typedef', 'sizeof', 'template', 'typename',
+      'namespace', 'using', 'virtual', 'override', 'final', 'interface', 'implements', 'package',
+      'var', 'val', 'fun', 'func', 'let', 'auto', 'nullptr', 'string', 'String', 'include', 'define'],
+    lineComment: '//',
+    blockComment: true
+  },
+  go: {
+    aliases: ['golang'],
+    keywords: ['func', 'package', 'import', 'var', 'const', 'type', 'struct', 'interface', 'map',
+      'chan', 'go', 'defer', 'select', 'range', 'return', 'if', 'else', 'for', 'switch', 'case',
+      'default', 'break', 'continue', 'nil', 'true', 'false', 'string', 'int', 'error', 'bool'],
+    lineComment: '//',
+    blockComment: true,
+    templateStrings: true
+  },
+  rust: {
+    aliases: ['rs'],
+    keywords: ['fn', 'let', 'mut', 'const', 'static', 'struct', 'enum', 'impl', 'trait', 'pub',
+      'use', 'mod', 'crate', 'self', 'Self', 'match', 'if', 'else', 'for', 'while', 'loop',
+      'return', 'break', 'continue', 'as', 'ref', 'move', 'async', 'await', 'where', 'true',
+      'false', 'Some', 'None', 'Ok', 'Err', 'unsafe', 'dyn'],
+    lineComment: '//',
+    blockComment: true
+  },
+  ruby: {
+    aliases: ['rb'],
+    keywords: ['def', 'end', 'class', 'module', 'if', 'elsif', 'else', 'unless', 'while', 'until',
+      'for', 'in', 'do', 'return', 'yield', 'begin', 'rescue', 'ensure', 'raise', 'nil', 'true',
+      'false', 'self', 'require', 'attr_accessor'],
+    lineComment: '#'
+  },
+  shell: {
+    aliases: ['sh', 'bash', 'zsh', 'console', 'shell-session', 'powershell', 'ps1', 'dockerfile',
+      'docker', 'makefile', 'make', 'yaml', 'yml', 'toml', 'ini'],
+    keywords: ['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'do', 'done', 'case', 'esac',
+      'in', 'function', 'return', 'export', 'local', 'echo', 'exit', 'sudo', 'cd', 'FROM', 'RUN',
+      'COPY', 'CMD', 'ENV', 'WORKDIR', 'true', 'false'],
+    lineComment: '#'
+  },
+  sql: {
+    aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+    keywords: ['SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'INSERT', 'INTO', 'VALUES', 'UPDATE',
+      'SET', 'DELETE', 'CREATE', 'TABLE', 'DROP', 'ALTER', 'INDEX', 'JOIN', 'LEFT', 'RIGHT',
+      'INNER', 'OUTER', 'ON', 'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'AS', 'NULL',
+      'IS', 'IN', 'LIKE', 'DISTINCT', 'UNION', 'PRIMARY', 'KEY', 'FOREIGN', 'REFERENCES', 'WITH',
+      'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'COUNT', 'SUM', 'AVG', 'MIN', 'MAX'],
+    caseInsensitive: true,
+    lineComment: '--',
+    blockComment: true
+  },
+  json: {
+    aliases: ['jsonc', 'json5'],
+    keywords: ['true', 'false', 'null'],
+    lineComment: '//',
+    blockComment: true
+  },
+  css: {
+    aliases: ['scss', 'less'],
+    keywords: ['important', 'media', 'import', 'keyframes', 'from', 'to'],
+    blockComment: true
+  },
+  html: {
+    aliases: ['xml', 'svg', 'xhtml', 'vue'],
+    keywords: [],
+    markup: true
+  }
+};
+
+/**
+ * Find the language definition for a fence info string
+ */
+function findLanguage(lang) {
+  const name = (lang || '').toLowerCase();
+  if (!name) return null;
+  for (const [key, language] of Object.entries(LANGUAGES)) {
+    if (key === name || language.aliases.includes(name)) return language;
+  }
+  return null;
+}
+
+/**
+ * Build the tokenizer pattern for a language
+ */
+function buildPattern(language) {
+  const parts = [];
+  if (language.blockComment) parts.push('/\\*[\\s\\S]*?(?:\\*/|$)');
+  if (language.lineComment) parts.push(`${language.lineComment.replace(/[/\\-]/g, '\\$&')}[^\\n]*`);
+  const comments = parts.length > 0 ? `(${parts.join('|')})` : '(?!)';
+
+  const strings = [];
+  if (language.tripleStrings) strings.push('"""[\\s\\S]*?(?:"""|$)', "'''[\\s\\S]*?(?:'''|$)");
+  strings.push('"(?:\\\\.|[^"\\\\\\n])*"?', "'(?:\\\\.|[^'\\\\\\n])*'?");
+  if (language.templateStrings) strings.push('`(?:\\\\.|[^`\\\\])*`?');
+
+  const number = '\\b(?:0x[0-9a-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+  const word = '[A-Za-z_$][\\w$]*';
+
+  return new RegExp(`${comments}|(${strings.join('|')})|(${number})|(${word})`, 'g');
+}
+
+/**
+ * Highlight markup: tags, attribute names and attribute values
+ */
+function highlightMarkup(code) {
+  const pattern = /(<!--[\s\S]*?(?:-->|$))|(<\/?[\w:-]+)|([\w:-]+)(=)("[^"]*"?|'[^']*'?)|(\/?>)/g;
+  let html = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    html += escapeHtml(code.slice(last, match.index));
+    if (match[1]) {
+      html += `<span class="ai-md-hl-comment">${escapeHtml(match[1])}</span>`;
+    } else if (match[2]) {
+      html += `<span class="ai-md-hl-keyword">${escapeHtml(match[2])}</span>`;
+    } else if (match[3]) {
+      html += `<span class="ai-md-hl-attr">${escapeHtml(match[3])}</span>${escapeHtml(match[4])}` +
+        `<span class="ai-md-hl-string">${escapeHtml(match[5])}</span>`;
+    } else {
+      html += `<span class="ai-md-hl-keyword">${escapeHtml(match[6])}</span>`;
+    }
+    last = pattern.lastIndex;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+/**
+ * Highlight a code block
+ *
+ * @param {string} code - The code
+ * @param {string} lang - The fence info string (e.g. "js", "python")
+ * @returns {string} - Escaped HTML with highlight spans
+ */
+export function highlightCode(code, lang) {
+  const language = findLanguage(lang);
+  if (!language) {
+    return escapeHtml(code);
+  }
+  if (language.markup) {
+    return highlightMarkup(code);
+  }
+
+  const keywords = new Set(language.caseInsensitive
+    ? language.keywords.map(keyword => keyword.toUpperCase())
+    : language.keywords);
+  const pattern = buildPattern(language);
+
+  let html = '';
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    html += escapeHtml(code.slice(last, match.index));
+    last = pattern.lastIndex;
+
+    const [text, comment, string, number, word] = match;
+    let type = null;
+    if (comment) type = 'comment';
+    else if (string) type = 'string';
+    else if (number) type = 'number';
+    else if (word && keywords.has(language.caseInsensitive ? word.toUpperCase() : word)) type = 'keyword';
+
+    html += type ? `<span class="ai-md-hl-${type}">${escapeHtml(text)}</span>` : escapeHtml(text);
+  }
+  return html + escapeHtml(code.slice(last));
+}
@@ -0,0 +1,30 @@
+/**
+ * HTML Helpers
+ *
+ * Escaping and URL checks shared by the renderers that build HTML strings
+ */
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Text safe to place in HTML content or attributes
+ */
+export function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Check a link target, allowing only web and mail links
+ * @param {string} url - The link target
+ * @returns {string|null} - The URL, or null if it is not allowed
+ */
+export function safeUrl(url) {
+  const trimmed = (url || '').trim();
+  return /^(https?:|mailto:)/i.test(trimmed) ? trimmed : null;
+}
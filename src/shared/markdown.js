@@ -0,0 +1,574 @@
+/**
+ * Markdown Renderer
+ *
+ * Renders model replies as HTML for the panel and the history page:
+ * headings, lists, task lists, tables, blockquotes, links, inline and
+ * fenced code with syntax highlighting, and $…$ / $$…$$ math as MathML.
+ *
+ * The output is safe by construction: all text is escaped, raw HTML in the
+ * source is shown as text, and links are only made for http(s) and mailto
+ * targets. Single newlines inside a paragraph become line breaks, as chat
+ * replies expect.
+ *
+ * MarkdownStreamRenderer renders a reply while it streams. Blocks that are
+ * complete are rendered once and left alone; only the block still being
+ * written is re-rendered as chunks arrive.
+ */
+
+import { escapeHtml, safeUrl } from './html';
+import { highlightCode } from './highlight';
+import { texToMathML } from './tex';
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})\s*$/;
+const SINGLE_LINE_MATH = /^\s*(?:\$\$([^$]+)\$\$|\\\[(.+)\\\])\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const TASK = /^\[([ xX])\]\s+/;
+
+// Inline tokens that are rendered on their own and protected from the
+// emphasis rules: code spans, math, escapes, links and bare URLs
+const INLINE_TOKENS = new RegExp([
+  /(`+)([\s\S]*?[^`])\1(?!`)/.source,
+  /\\\(([\s\S]+?)\\\)/.source,
+  /\$\$([^$]+?)\$\$/.source,
+  /\$(?![\s$])((?:\\.|[^$\\\n])+?)(?<!\s)\$(?!\d)/.source,
+  /\\([!-/:-@[-`{-~])/.source,
+  /(!?)\[((?:\\.|[^\]\\])*)\]\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))+)>?(?:\s+"[^"]*")?\s*\)/.source,
+  /<((?:https?:|mailto:)[^\s<>]+)>/.source,
+  /(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~])/.source
+].join('|'), 'g');
+
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+// Colours can be overridden with --ai-md-* custom properties, as the panel
+// themes do
+export const MARKDOWN_STYLES = `
+  .ai-md { line-height: 1.5; white-space: normal; }
+  .ai-md > :first-child { margin-top: 0; }
+  .ai-md > :last-child { margin-bottom: 0; }
+  .ai-md p { margin: 0 0 8px 0; }
+  .ai-md h1, .ai-md h2, .ai-md h3, .ai-md h4, .ai-md h5, .ai-md h6 { margin: 12px 0 6px 0; line-height: 1.3; }
+  .ai-md h1 { font-size: 1.3em; }
+  .ai-md h2 { font-size: 1.2em; }
+  .ai-md h3 { font-size: 1.1em; }
+  .ai-md h4, .ai-md h5, .ai-md h6 { font-size: 1em; }
+  .ai-md ul, .ai-md ol { margin: 0 0 8px 0; padding-left: 22px; }
+  .ai-md li > ul, .ai-md li > ol { margin-bottom: 0; }
+  .ai-md li.ai-md-task { list-style: none; margin-left: -18px; }
+  .ai-md li.ai-md-task input { margin: 0 6px 0 0; vertical-align: middle; }
+  .ai-md blockquote { margin: 0 0 8px 0; padding: 2px 10px; border-left: 3px solid var(--ai-md-border, #d0d7de); color: var(--ai-md-muted, #57606a); }
+  .ai-md hr { border: none; border-top: 1px solid var(--ai-md-border, #d0d7de); margin: 10px 0; }
+  .ai-md a { color: var(--ai-md-link, #0969da); text-decoration: underline; }
+  .ai-md code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; background: var(--ai-md-code-bg, rgba(175, 184, 193, 0.25)); padding: 1px 4px; border-radius: 4px; }
+  .ai-md pre { position: relative; margin: 0 0 8px 0; padding: 10px; background: var(--ai-md-pre-bg, #f0f2f4); border: 1px solid var(--ai-md-pre-border, #d8dee4); border-radius: 6px; overflow-x: auto; white-space: pre; }
+  .ai-md pre[data-lang]:not([data-lang=""])::before { content: attr(data-lang); position: absolute; top: 2px; right: 6px; font-size: 10px; color: var(--ai-md-faint, #8c959f); font-family: sans-serif; }
+  .ai-md pre code { background: none; padding: 0; font-size: 12px; }
+  .ai-md .ai-md-table { overflow-x: auto; margin: 0 0 8px 0; }
+  .ai-md table { border-collapse: collapse; font-size: 0.95em; }
+  .ai-md th, .ai-md td { border: 1px solid var(--ai-md-border, #d0d7de); padding: 4px 8px; }
+  .ai-md th { background: rgba(175, 184, 193, 0.2); }
+  .ai-md .ai-md-math { overflow-x: auto; margin: 0 0 8px 0; }
+  .ai-md math { font-size: 1.1em; }
+  .ai-md .ai-md-hl-comment { color: var(--ai-md-hl-comment, #6e7781); font-style: italic; }
+  .ai-md .ai-md-hl-string { color: var(--ai-md-hl-string, #0a3069); }
+  .ai-md .ai-md-hl-number { color: var(--ai-md-hl-number, #0550ae); }
+  .ai-md .ai-md-hl-keyword { color: var(--ai-md-hl-keyword, #cf222e); }
+  .ai-md .ai-md-hl-attr { color: var(--ai-md-hl-attr, #8250df); }
+`;
+
+/**
+ * Add the Markdown styles to a document or element, once
+ *
+ * @param {HTMLElement} root - Where to put the <style> element (e.g. document.head or the panel)
+ */
+export function injectMarkdownStyles(root = document.head) {
+  if (!root || root.querySelector('style[data-ai-md]')) return;
+
+  const style = document.createElement('style');
+  style.dataset.aiMd = 'true';
+  style.textContent = MARKDOWN_STYLES;
+  root.appendChild(style);
+}
+
+/**
+ * Render a link, or just its text if the target is not allowed
+ */
+function renderLink(url, innerHtml) {
+  const href = safeUrl(url);
+  if (!href) return innerHtml;
+  return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${innerHtml}</a>`;
+}
+
+/**
+ * Apply bold, italic and strikethrough to escaped text
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(?<![\w\\])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '<strong>$1</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?<![\w*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?![\w*])/g, '<em>$1</em>')
+    .replace(/(?<![\w_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w_])/g, '<em>$1</em>');
+}
+
+/**
+ * Render inline Markdown
+ *
+ * @param {string} text - One block's text
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+  const tokens = [];
+  const protect = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let html = '';
+  let last = 0;
+  let match;
+  // A fresh copy, since link labels are rendered recursively
+  const pattern = new RegExp(INLINE_TOKENS);
+  const source = text.replace(/\u0000/g, '');
+  while ((match = pattern.exec(source)) !== null) {
+    const [whole, , code, parenMath, inlineDisplayMath, dollarMath, escaped, bang, linkText, linkUrl, autolink, bareUrl] = match;
+    html += escapeHtml(source.slice(last, match.index));
+    last = pattern.lastIndex;
+
+    if (code !== undefined) {
+      const trimmed = /^ .*[^ ].* $/.test(code) ? code.slice(1, -1) : code;
+      html += protect(`<code>${escapeHtml(trimmed)}</code>`);
+    } else if (parenMath !== undefined || inlineDisplayMath !== undefined || dollarMath !== undefined) {
+      html += protect(texToMathML(parenMath ?? inlineDisplayMath ?? dollarMath, false));
+    } else if (escaped !== undefined) {
+      html += protect(escapeHtml(escaped));
+    } else if (linkUrl !== undefined) {
+      const label = bang ? `🖼 ${linkText || linkUrl}` : linkText;
+      // Pages and replies are not allowed to load images, so images become links
+      const inner = renderInline(label || linkUrl);
+      html += protect(renderLink(linkUrl, inner));
+    } else if (autolink !== undefined || bareUrl !== undefined) {
+      const url = autolink ?? bareUrl;
+      html += protect(renderLink(url, escapeHtml(url.replace(/^mailto:/i, ''))));
+    } else {
+      html += escapeHtml(whole);
+    }
+  }
+  html += escapeHtml(source.slice(last));
+
+  return renderEmphasis(html).replace(PLACEHOLDER, (placeholder, index) => tokens[Number(index)]);
+}
+
+/**
+ * Get the fence a line opens, if any
+ */
+function openFence(line) {
+  const match = FENCE_OPEN.exec(line);
+  if (!match) return null;
+  return { char: match[1][0], length: match[1].length, lang: match[2] };
+}
+
+/**
+ * Check whether a line closes a fence
+ */
+function closesFence(line, fence) {
+  const match = FENCE_CLOSE.exec(line);
+  return !!match && match[1][0] === fence.char && match[1].length >= fence.length;
+}
+
+/**
+ * Get the closing delimiter for a line that opens a multi-line math block
+ */
+function openMath(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('$$') && !trimmed.slice(2).includes('$$')) return '$$';
+  if (trimmed.startsWith('\\[') && !trimmed.slice(2).includes('\\]')) return '\\]';
+  return null;
+}
+
+/**
+ * Split a table row into cells
+ */
+function splitRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Check whether a table starts at a line
+ */
+function isTableStart(lines, index) {
+  const line = lines[index];
+  const next = lines[index + 1];
+  if (!line.includes('|') || next === undefined || !TABLE_SEPARATOR.test(next) || !next.includes('-')) {
+    return false;
+  }
+  return splitRow(line).length === splitRow(next).length;
+}
+
+/**
+ * Check whether a line starts a block that ends a paragraph
+ */
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line) || !!openFence(line) ||
+    LIST_ITEM.test(line) || !!openMath(line) || SINGLE_LINE_MATH.test(line) || isTableStart(lines, index);
+}
+
+const isBlank = line => !line.trim();
+const indentOf = line => line.match(/^ */)[0].length;
+
+/**
+ * Parse lines into blocks
+ *
+ * @returns {Array<{type: string, html: string, inner: string}>} - Rendered
+ *   blocks; paragraphs also carry their inline HTML for tight list items
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code; an unclosed fence runs to the end, as while streaming
+    const fence = openFence(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !closesFence(lines[i], fence)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const lang = escapeHtml(fence.lang);
+      blocks.push({
+        type: 'code',
+        html: `<pre data-lang="${lang}"><code${lang ? ` class="language-${lang}"` : ''}>${highlightCode(code.join('\n'), fence.lang)}</code></pre>`
+      });
+      continue;
+    }
+
+    // Display math
+    const singleMath = SINGLE_LINE_MATH.exec(line);
+    if (singleMath) {
+      blocks.push({ type: 'math', html: `<div class="ai-md-math">${texToMathML(singleMath[1] ?? singleMath[2], true)}</div>` });
+      i++;
+      continue;
+    }
+    const mathCloser = openMath(line);
+    if (mathCloser) {
+      const tex = [line.trim().slice(2)];
+      i++;
+      while (i < lines.length) {
+        const current = lines[i++];
+        const trimmed = current.trim();
+        if (trimmed.endsWith(mathCloser)) {
+          tex.push(trimmed.slice(0, -mathCloser.length));
+          break;
+        }
+        tex.push(current);
+      }
+      blocks.push({ type: 'math', html: `<div class="ai-md-math">${texToMathML(tex.join('\n').trim(), true)}</div>` });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push({ type: 'heading', html: `<h${level}>${renderInline(heading[2])}</h${level}>` });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule', html: '<hr>' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+        i++;
+      }
+      const inner = parseBlocks(quoted).map(block => block.html).join('');
+      blocks.push({ type: 'blockquote', html: `<blockquote>${inner}</blockquote>` });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i);
+      blocks.push({ type: 'list', html: list.html });
+      i = list.end;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const table = parseTable(lines, i);
+      blocks.push({ type: 'table', html: table.html });
+      i = table.end;
+      continue;
+    }
+
+    // Paragraph
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const inner = renderInline(paragraph.join('\n')).replace(/\n/g, '<br>');
+    blocks.push({ type: 'paragraph', html: `<p>${inner}</p>`, inner });
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse a list, including nested lists and continuation lines
+ *
+ * @returns {{html: string, end: number}} - The list and the index after it
+ */
+function parseList(lines, start) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const marker = LIST_ITEM.exec(line);
+
+    if (marker && !RULE.test(line) && marker[1].length >= indent && marker[1].length < indent + 2 &&
+        /\d/.test(marker[2]) === ordered) {
+      const content = marker[3] || '';
+      items.push({
+        lines: [content],
+        offset: marker[1].length + marker[2].length + 1,
+        number: ordered ? parseInt(marker[2], 10) : null
+      });
+      i++;
+      continue;
+    }
+
+    const item = items[items.length - 1];
+
+    if (isBlank(line)) {
+      // The list goes on if the next line is indented under the item or is
+      // another item
+      let next = i + 1;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      if (next >= lines.length) break;
+
+      const nextMarker = LIST_ITEM.exec(lines[next]);
+      const continues = indentOf(lines[next]) > indent ||
+        (nextMarker && nextMarker[1].length === indent && /\d/.test(nextMarker[2]) === ordered && !RULE.test(lines[next]));
+      if (!continues) break;
+
+      loose = true;
+      for (let blank = i; blank < next; blank++) item.lines.push('');
+      i = next;
+      continue;
+    }
+
+    if (indentOf(line) > indent) {
+      item.lines.push(line.slice(Math.min(indentOf(line), item.offset)));
+      i++;
+      continue;
+    }
+
+    // A lazy continuation of the item's last paragraph
+    if (!isBlank(item.lines[item.lines.length - 1]) && !startsBlock(lines, i)) {
+      item.lines.push(line.trim());
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  const itemsHtml = items.map(item => {
+    let taskBox = '';
+    const task = TASK.exec(item.lines[0]);
+    if (task) {
+      item.lines[0] = item.lines[0].slice(task[0].length);
+      taskBox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}>`;
+    }
+
+    const blocks = parseBlocks(item.lines);
+    const body = blocks.map((block, index) =>
+      !loose && index === 0 && block.type === 'paragraph' ? block.inner : block.html).join('');
+    return `<li${task ? ' class="ai-md-task"' : ''}>${taskBox}${body}</li>`;
+  }).join('');
+
+  const startNumber = items[0].number;
+  const html = ordered
+    ? `<ol${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</ol>`
+    : `<ul>${itemsHtml}</ul>`;
+  return { html, end: i };
+}
+
+/**
+ * Parse a pipe table
+ *
+ * @returns {{html: string, end: number}} - The table and the index after it
+ */
+function parseTable(lines, start) {
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+  const cellHtml = (tag, text, index) =>
+    `<${tag}${aligns[index] ? ` style="text-align: ${aligns[index]}"` : ''}>${renderInline(text)}</${tag}>`;
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+    const cells = splitRow(lines[i]);
+    rows.push(header.map((_, index) => cellHtml('td', cells[index] || '', index)).join(''));
+    i++;
+  }
+
+  const head = header.map((text, index) => cellHtml('th', text, index)).join('');
+  const body = rows.map(row => `<tr>${row}</tr>`).join('');
+  return {
+    html: `<div class="ai-md-table"><table><thead><tr>${head}</tr></thead>${body ? `<tbody>${body}</tbody>` : ''}</table></div>`,
+    end: i
+  };
+}
+
+/**
+ * Render Markdown to HTML
+ *
+ * @param {string} source - Markdown text
+ * @returns {string} - Sanitised HTML, to be placed in an element with the `ai-md` class
+ */
+export function renderMarkdown(source) {
+  if (!source) return '';
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return parseBlocks(lines).map(block => block.html).join('');
+}
+
+/**
+ * Find where the completed blocks of a streamed reply end
+ *
+ * That is the start of the latest complete, unindented line that follows a
+ * blank line outside code and math blocks and does not continue a list.
+ * Everything before it will not change as more text arrives.
+ *
+ * @param {string} source - The reply so far
+ * @param {number} from - Offset of the first line not yet committed
+ * @returns {number} - Offset to commit up to
+ */
+function findCommitBoundary(source, from) {
+  let boundary = from;
+  let fence = null;
+  let mathCloser = null;
+  let previousBlank = false;
+  let offset = from;
+
+  while (offset < source.length) {
+    const end = source.indexOf('\n', offset);
+    if (end === -1) break;
+    const line = source.slice(offset, end);
+
+    if (fence) {
+      if (closesFence(line, fence)) fence = null;
+    } else if (mathCloser) {
+      if (line.trim().endsWith(mathCloser)) mathCloser = null;
+    } else if (!isBlank(line)) {
+      if (previousBlank && !/^\s/.test(line) && !LIST_ITEM.test(line)) {
+        boundary = offset;
+      }
+      fence = openFence(line);
+      mathCloser = fence || SINGLE_LINE_MATH.test(line) ? null : openMath(line);
+    }
+
+    previousBlank = !fence && !mathCloser && isBlank(line);
+    offset = end + 1;
+  }
+
+  return boundary;
+}
+
+class MarkdownStreamRenderer {
+  /**
+   * @param {HTMLElement} container - Element to render into; it gets the `ai-md` class
+   */
+  constructor(container) {
+    this.container = container;
+    this.container.classList.add('ai-md');
+    this.reset();
+  }
+
+  /**
+   * Clear the rendered reply
+   */
+  reset() {
+    this.source = '';
+    this.committed = 0;
+    this.tail = null;
+    this.container.innerHTML = '';
+  }
+
+  /**
+   * Get the element holding the block still being written
+   */
+  getTail() {
+    if (!this.tail || this.tail.parentNode !== this.container) {
+      this.tail = document.createElement('div');
+      this.tail.className = 'ai-md-tail';
+      this.tail.style.display = 'contents';
+      this.container.appendChild(this.tail);
+    }
+    return this.tail;
+  }
+
+  /**
+   * Add a chunk of the reply
+   *
+   * @param {string} chunk - The next piece of Markdown
+   */
+  append(chunk) {
+    if (!chunk) return;
+    this.source += chunk;
+
+    const boundary = findCommitBoundary(this.source, this.committed);
+    if (boundary > this.committed) {
+      // These blocks are final, so they are rendered once
+      const html = renderMarkdown(this.source.slice(this.committed, boundary));
+      this.getTail().insertAdjacentHTML('beforebegin', html);
+      this.committed = boundary;
+    }
+
+    this.getTail().innerHTML = renderMarkdown(this.source.slice(this.committed));
+  }
+
+  /**
+   * Mark the reply as complete
+   */
+  finish() {
+    if (!this.tail) return;
+    this.tail.replaceWith(...this.tail.childNodes);
+    this.tail = null;
+    this.committed = this.source.length;
+  }
+}
+
+export default MarkdownStreamRenderer;
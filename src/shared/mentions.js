@@ -0,0 +1,57 @@
+/**
+ * Agent Mentions
+ *
+ * An @mention at the start of a message hands that one turn to another
+ * agent, in the same thread. The router resolves the mention; the panel
+ * offers agents as you type and labels the reply with the agent's name.
+ */
+
+/**
+ * Get the names an agent can be mentioned by: its name, and its name
+ * without spaces
+ * @param {Object} agent - The agent
+ * @returns {Array<string>} - The names
+ */
+export function mentionNames(agent) {
+  const name = (agent?.name || '').trim();
+  const compact = name.replace(/\s+/g, '');
+  if (!name) return [];
+  return compact !== name ? [name, compact] : [name];
+}
+
+/**
+ * Find the agent mentioned at the start of a message; names are matched
+ * without regard to case, the longest first
+ * @param {string} text - The message
+ * @param {Array<Object>} agents - The agents that can be mentioned
+ * @returns {{agent: Object, message: string}|null} - The agent and the message
+ *   without the mention, or null if no agent is mentioned
+ */
+export function resolveMention(text, agents = []) {
+  const match = /^\s*@(\S[\s\S]*)$/.exec(text || '');
+  if (!match) return null;
+
+  const rest = match[1];
+  const candidates = agents
+    .flatMap(agent => mentionNames(agent).map(name => ({ agent, name })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  for (const { agent, name } of candidates) {
+    // The name has to end where a word ends, so "@Ann" is not "@Anna"
+    if (rest.toLowerCase().startsWith(name.toLowerCase()) && !/[\w-]/.test(rest.charAt(name.length))) {
+      return { agent, message: rest.slice(name.length).replace(/^[\s,:]+/, '').trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the agents whose name starts with what was typed after the @
+ * @param {string} prefix - The typed name, without the @
+ * @param {Array<Object>} agents - The agents
+ * @returns {Array<Object>} - The matching agents
+ */
+export function matchMentions(prefix, agents = []) {
+  const typed = (prefix || '').toLowerCase();
+  return agents.filter(agent => mentionNames(agent).some(name => name.toLowerCase().startsWith(typed)));
+}
@@ -0,0 +1,99 @@
+/**
+ * Prompt Templates
+ *
+ * Reusable prompts with placeholders, shared by the options page, the panel
+ * and the background. Page variables are filled in by the background from the
+ * captured page, once it is redacted; any other placeholder is a field the
+ * user fills in.
+ */
+
+export const PAGE_VARIABLES = {
+  selection: 'The selected text',
+  url: 'The address of the page',
+  title: 'The title of the page',
+  page: 'The captured page content',
+  date: "Today's date"
+};
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Load the prompt templates from storage
+ * @returns {Promise<Array<Object>>} - The templates
+ */
+export async function loadPromptTemplates() {
+  try {
+    const data = await chrome.storage.local.get('promptTemplates');
+    return normalizePromptTemplates(data.promptTemplates);
+  } catch (error) {
+    console.warn('Could not load prompt templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Drop templates without a name or prompt
+ * @param {Array<Object>} templates - Stored templates
+ * @returns {Array<Object>} - { id, name, prompt, agentIds } for each template
+ */
+export function normalizePromptTemplates(templates = []) {
+  return (Array.isArray(templates) ? templates : [])
+    .map(template => ({
+      id: String(template?.id || ''),
+      name: String(template?.name || '').trim(),
+      prompt: String(template?.prompt || '').trim(),
+      agentIds: Array.isArray(template?.agentIds) ? template.agentIds.map(String) : []
+    }))
+    .filter(template => template.id && template.name && template.prompt);
+}
+
+/**
+ * Get the templates offered for an agent; templates tied to no agent are
+ * offered for all of them
+ * @param {Array<Object>} templates - The templates
+ * @param {string} agentId - The agent
+ * @returns {Array<Object>} - The templates for the agent
+ */
+export function templatesForAgent(templates, agentId) {
+  return templates.filter(template => template.agentIds.length === 0 || template.agentIds.includes(agentId));
+}
+
+/**
+ * Get the fields of a template the user has to fill in, in order of
+ * appearance
+ * @param {string} prompt - The template prompt
+ * @returns {Array<string>} - The field names
+ */
+export function templateFields(prompt) {
+  const fields = [];
+  for (const [, name] of (prompt || '').matchAll(PLACEHOLDER)) {
+    if (!PAGE_VARIABLES[name.toLowerCase()] && !fields.includes(name)) {
+      fields.push(name);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Check whether a template uses a page variable
+ * @param {string} prompt - The template prompt
+ * @param {string} variable - One of the PAGE_VARIABLES keys
+ * @returns {boolean}
+ */
+export function usesVariable(prompt, variable) {
+  return Array.from((prompt || '').matchAll(PLACEHOLDER)).some(([, name]) => name.toLowerCase() === variable);
+}
+
+/**
+ * Fill the placeholders of a template; placeholders without a value are
+ * left as they are, so fields and page variables can be filled in turn
+ * @param {string} prompt - The template prompt
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} - The filled prompt
+ */
+export function fillTemplate(prompt, values = {}) {
+  return (prompt || '').replace(PLACEHOLDER, (placeholder, name) => {
+    const key = PAGE_VARIABLES[name.toLowerCase()] ? name.toLowerCase() : name;
+    return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? '') : placeholder;
+  });
+}
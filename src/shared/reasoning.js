@@ -0,0 +1,152 @@
+/**
+ * Reasoning
+ *
+ * Reasoning models send their thinking either inline, between <think> and
+ * </think> in the reply, or in a separate `reasoning_content` field. Both are
+ * split from the answer, so the panel can show the thinking on its own and
+ * later prompts can leave it out. Servers for some models, like DeepSeek-R1,
+ * drop the opening tag; for agents set up for that, a reply whose first tag
+ * is </think> starts with its thinking.
+ */
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+// Models whose servers often leave out the opening <think> tag
+const OPEN_TAG_DROPPED = /deepseek[-_.]?r1/i;
+
+/**
+ * Get how many characters at the end of a text could be the start of a tag
+ */
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Splits streamed reply text into answer and reasoning as it arrives. Text
+ * that could be the start of a tag is held back until the next chunk.
+ */
+export class ReasoningParser {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.startsWithThinking - Whether the reply may start with
+   *   thinking whose opening tag was left out, see agentStartsWithThinking
+   */
+  constructor({ startsWithThinking = false } = {}) {
+    this.thinking = false;
+    this.pending = '';
+    this.startsWithThinking = startsWithThinking;
+    this.tagged = false; // Whether a tag has been seen
+    this.answered = ''; // Answer sent before any tag
+  }
+
+  /**
+   * Split the next chunk of the reply
+   * @param {string} text - The chunk
+   * @returns {{content: string, reasoning: string, restart: boolean}} - The parts
+   *   that can be shown; `restart` when the answer sent so far turned out to be
+   *   reasoning, which is then at the start of `reasoning`
+   */
+  push(text) {
+    let input = this.pending + (text || '');
+    const parts = { content: '', reasoning: '', restart: false };
+    this.pending = '';
+
+    while (input) {
+      const tag = this.thinking ? CLOSE_TAG : OPEN_TAG;
+      const target = this.thinking ? 'reasoning' : 'content';
+      const index = input.indexOf(tag);
+
+      // A </think> before any <think> ends thinking that began the reply
+      const closeIndex = this.untagged() ? input.indexOf(CLOSE_TAG) : -1;
+      if (closeIndex !== -1 && (index === -1 || closeIndex < index)) {
+        parts.reasoning = this.answered + parts.content + input.slice(0, closeIndex);
+        parts.content = '';
+        parts.restart = this.answered !== '';
+        input = input.slice(closeIndex + CLOSE_TAG.length);
+        this.tagged = true;
+        this.answered = '';
+        continue;
+      }
+
+      if (index !== -1) {
+        parts[target] += input.slice(0, index);
+        input = input.slice(index + tag.length);
+        this.thinking = !this.thinking;
+        this.tagged = true;
+        this.answered = '';
+        continue;
+      }
+
+      const held = Math.max(partialTagLength(input, tag), this.untagged() ? partialTagLength(input, CLOSE_TAG) : 0);
+      parts[target] += input.slice(0, input.length - held);
+      this.pending = input.slice(input.length - held);
+      break;
+    }
+
+    if (this.untagged()) {
+      this.answered += parts.content;
+    }
+    return parts;
+  }
+
+  /**
+   * Check whether the reply may still turn out to have started with thinking
+   */
+  untagged() {
+    return this.startsWithThinking && !this.tagged;
+  }
+
+  /**
+   * Release the text held back at the end of the reply
+   * @returns {{content: string, reasoning: string}}
+   */
+  flush() {
+    const rest = this.pending;
+    this.pending = '';
+    return this.thinking ? { content: '', reasoning: rest } : { content: rest, reasoning: '' };
+  }
+}
+
+/**
+ * Split a whole reply into answer and reasoning
+ * @param {string} text - The reply, possibly with <think> blocks
+ * @param {Object} options - As for ReasoningParser
+ * @returns {{content: string, reasoning: string}}
+ */
+export function splitReasoning(text, options = {}) {
+  const parser = new ReasoningParser(options);
+  const parts = parser.push(text);
+  const rest = parser.flush();
+
+  return {
+    content: (parts.content + rest.content).trim(),
+    reasoning: (parts.reasoning + rest.reasoning).trim()
+  };
+}
+
+/**
+ * Get the reasoning a response message or stream delta carries in its own
+ * field; providers call it `reasoning_content` or `reasoning`
+ * @param {Object} message - The message or delta
+ * @returns {string}
+ */
+export function reasoningField(message) {
+  const reasoning = message?.reasoning_content ?? message?.reasoning;
+  return typeof reasoning === 'string' ? reasoning : '';
+}
+
+/**
+ * Check whether an agent's replies may start with thinking whose opening
+ * <think> tag was left out; set per agent, or guessed from the model
+ * @param {Object} agent - The agent
+ * @returns {boolean}
+ */
+export function agentStartsWithThinking(agent) {
+  return agent?.startsWithThinking ?? OPEN_TAG_DROPPED.test(agent?.model || '');
+}
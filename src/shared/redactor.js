@@ -0,0 +1,259 @@
+/**
+ * Redactor
+ *
+ * Masks secrets and personal data in captured pages before they are sent to
+ * the API. Built-in detectors cover emails, phone numbers, card and bank
+ * account numbers, API keys and tokens, and IP addresses; custom rules are
+ * regular expressions set on the options page. Matches are replaced with
+ * "[REDACTED <TAG>]" and counted per detector so the panel can show how much
+ * was masked.
+ */
+
+/**
+ * Check a card number with the Luhn checksum
+ */
+function isValidCardNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with its mod-97 checksum
+ */
+function isValidIban(match) {
+  const iban = match.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = parseInt(char, 36);
+    remainder = (remainder * (value > 9 ? 100 : 10) + value) % 97;
+  }
+  return remainder === 1;
+}
+
+// Detectors run in this order, so secrets inside URLs are masked before the
+// email and number detectors see them. A pattern with a `secret` group only
+// masks that group and keeps the rest of the match (e.g. "token="); those
+// groups stop at "[" so values masked by an earlier pattern are left alone.
+export const REDACTION_DETECTORS = [
+  {
+    id: 'secret',
+    label: 'API keys, tokens and passwords',
+    tag: 'SECRET',
+    patterns: [
+      // JSON Web Tokens
+      /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+      // Well-known key formats
+      /\b(?:sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|glpat-[A-Za-z0-9_-]{20,}|xox[abposr]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|(?:sk|pk|rk)_live_[A-Za-z0-9]{16,})\b/g,
+      // Bearer tokens
+      /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{20,}=*)/g,
+      // Credentials in URL query strings and fragments
+      /[?&#](?:access_token|id_token|refresh_token|token|api_key|apikey|key|secret|client_secret|password|auth|sig|signature|session|sessionid|code)=(?<secret>[^&#\s"'<>[]{6,})/gi,
+      // "password: ..." and "api_key = ..." style assignments
+      /\b(?:password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\s*[:=]\s*["']?(?<secret>[^\s"',;[]{6,})/gi
+    ]
+  },
+  {
+    id: 'email',
+    label: 'Email addresses',
+    tag: 'EMAIL',
+    patterns: [/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi]
+  },
+  {
+    id: 'creditCard',
+    label: 'Credit card numbers',
+    tag: 'CARD',
+    patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+    validate: isValidCardNumber
+  },
+  {
+    id: 'iban',
+    label: 'Bank account numbers (IBAN)',
+    tag: 'IBAN',
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g],
+    validate: isValidIban
+  },
+  {
+    id: 'ip',
+    label: 'IP addresses',
+    tag: 'IP',
+    patterns: [
+      /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g,
+      /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi
+    ]
+  },
+  {
+    id: 'phone',
+    label: 'Phone numbers',
+    tag: 'PHONE',
+    patterns: [
+      // International numbers and numbers with an area code in parentheses
+      /(?<![\w+])(?:\+\d{1,3}[ .-]?)?\(\d{1,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}(?!\d)/g,
+      /(?<![\w+])\+\d{1,3}[ .-]?\d{2,4}[ .-]?\d{3,4}[ .-]?\d{3,4}(?!\d)/g,
+      // 555-123-4567 style numbers
+      /(?<!\w|\d\.)\d{3}[ .-]\d{3}[ .-]\d{4}(?!\w|\.\d)/g
+    ]
+  }
+];
+
+export const DEFAULT_REDACTION_SETTINGS = {
+  detectors: Object.fromEntries(REDACTION_DETECTORS.map(detector => [detector.id, true])),
+  customRules: []
+};
+
+/**
+ * Compile a custom rule pattern, either a plain regular expression or one
+ * written as /pattern/flags
+ *
+ * @param {string} pattern - The pattern from the options page
+ * @returns {RegExp|null} - A global regular expression, or null if invalid
+ */
+export function compileCustomPattern(pattern) {
+  const source = (pattern || '').trim();
+  if (!source) return null;
+
+  try {
+    const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+    if (literal) {
+      const flags = literal[2].includes('g') ? literal[2] : literal[2] + 'g';
+      return new RegExp(literal[1], flags);
+    }
+    return new RegExp(source, 'g');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a custom rule from the options page or storage
+ */
+export function normalizeCustomRule(rule) {
+  return {
+    name: (rule.name || '').trim() || 'Custom',
+    pattern: (rule.pattern || '').trim(),
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * Load redaction settings from storage, falling back to defaults
+ * @returns {Promise<Object>} - The redaction settings
+ */
+export async function loadRedactionSettings() {
+  try {
+    const data = await chrome.storage.local.get('redactionSettings');
+    const stored = data.redactionSettings || {};
+    return {
+      detectors: { ...DEFAULT_REDACTION_SETTINGS.detectors, ...(stored.detectors || {}) },
+      customRules: (stored.customRules || []).map(normalizeCustomRule)
+    };
+  } catch (error) {
+    console.warn('Could not load redaction settings, using defaults:', error);
+    return { ...DEFAULT_REDACTION_SETTINGS, customRules: [] };
+  }
+}
+
+/**
+ * Check whether redaction is on for an agent (it is unless turned off)
+ */
+export function agentRedactsPages(agent) {
+  return agent?.redact !== false;
+}
+
+class Redactor {
+  /**
+   * @param {Object} settings - Redaction settings ({ detectors, customRules })
+   */
+  constructor(settings = DEFAULT_REDACTION_SETTINGS) {
+    const enabled = { ...DEFAULT_REDACTION_SETTINGS.detectors, ...(settings.detectors || {}) };
+
+    this.rules = REDACTION_DETECTORS.filter(detector => enabled[detector.id]);
+
+    (settings.customRules || [])
+      .map(normalizeCustomRule)
+      .filter(rule => rule.enabled)
+      .forEach((rule, index) => {
+        const pattern = compileCustomPattern(rule.pattern);
+        if (!pattern) {
+          console.warn('Skipping invalid custom redaction rule:', rule.name);
+          return;
+        }
+        this.rules.push({
+          id: `custom${index + 1}`,
+          label: rule.name,
+          tag: rule.name.toUpperCase(),
+          patterns: [pattern]
+        });
+      });
+
+    // Number of masked items per rule label
+    this.counts = {};
+    this.total = 0;
+  }
+
+  /**
+   * Mask every match in a string
+   *
+   * @param {string} text - Text to redact
+   * @returns {string} - The redacted text
+   */
+  redact(text) {
+    if (!text || typeof text !== 'string') return text;
+
+    let result = text;
+    this.rules.forEach(rule => {
+      rule.patterns.forEach(pattern => {
+        pattern.lastIndex = 0;
+        result = result.replace(pattern, (match, ...args) => {
+          if (!match || (rule.validate && !rule.validate(match))) {
+            return match;
+          }
+
+          this.counts[rule.label] = (this.counts[rule.label] || 0) + 1;
+          this.total++;
+
+          const mask = `[REDACTED ${rule.tag}]`;
+          const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+          return groups?.secret ? match.replace(groups.secret, mask) : mask;
+        });
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Mask every string in a value, walking into arrays and plain objects
+   *
+   * @param {*} value - A string, array or object (e.g. a page structure)
+   * @returns {*} - A redacted copy
+   */
+  redactValue(value) {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.redactValue(item)])
+      );
+    }
+    return value;
+  }
+}
+
+export default Redactor;
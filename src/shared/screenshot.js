@@ -0,0 +1,37 @@
+/**
+ * Screenshot
+ *
+ * Captures the visible area of a tab for agents that accept images
+ */
+
+// JPEG keeps full-page dashboards well under the request size limits
+const SCREENSHOT_OPTIONS = {
+  format: 'jpeg',
+  quality: 80
+};
+
+/**
+ * Capture the visible area of the active tab in a window
+ *
+ * @param {number} windowId - Window whose active tab is captured (defaults to the current window)
+ * @returns {Promise<string>} - The screenshot as a data URL
+ */
+export async function captureVisibleTab(windowId = null) {
+  const dataUrl = windowId === null
+    ? await chrome.tabs.captureVisibleTab(SCREENSHOT_OPTIONS)
+    : await chrome.tabs.captureVisibleTab(windowId, SCREENSHOT_OPTIONS);
+
+  if (!dataUrl) {
+    throw new Error('The browser did not return a screenshot');
+  }
+
+  console.log('Captured screenshot:', Math.round(dataUrl.length / 1024), 'KB');
+  return dataUrl;
+}
+
+/**
+ * Check whether an agent can be sent screenshots
+ */
+export function agentSupportsVision(agent) {
+  return !!agent?.supportsVision;
+}
@@ -0,0 +1,142 @@
+/**
+ * Slash Commands
+ *
+ * Built-in and custom commands typed in the panel's chat input, shared by
+ * the options page and the panel. Custom commands expand into prompt text.
+ */
+
+export const BUILT_IN_COMMANDS = [
+  { name: 'new', usage: '/new', description: 'Start a new conversation' },
+  { name: 'agent', usage: '/agent <name>', description: 'Switch to another agent' },
+  { name: 'summarize', usage: '/summarize [focus]', description: 'Summarize the page' },
+  { name: 'translate', usage: '/translate <language>', description: 'Translate the page' },
+  { name: 'selection', usage: '/selection [question]', description: 'Attach the selected text' },
+  { name: 'export', usage: '/export md|json', description: 'Download the conversation' },
+  { name: 'model', usage: '/model [id]', description: "Show or change the agent's model" },
+  { name: 'help', usage: '/help', description: 'List the commands' }
+];
+
+const COMMAND_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Replaced with the text typed after a custom command
+const INPUT_PLACEHOLDER = '{{input}}';
+
+/**
+ * Load the custom commands from storage
+ * @returns {Promise<Array<Object>>} - The custom commands
+ */
+export async function loadCustomCommands() {
+  try {
+    const data = await chrome.storage.local.get('slashCommands');
+    return normalizeCustomCommands(data.slashCommands);
+  } catch (error) {
+    console.warn('Could not load slash commands:', error);
+    return [];
+  }
+}
+
+/**
+ * Drop custom commands without a valid name or prompt, or that clash with
+ * a built-in or an earlier command
+ * @param {Array<Object>} commands - Stored custom commands
+ * @returns {Array<Object>} - { name, description, prompt } for each command
+ */
+export function normalizeCustomCommands(commands = []) {
+  const seen = new Set(BUILT_IN_COMMANDS.map(command => command.name));
+
+  return (Array.isArray(commands) ? commands : [])
+    .map(command => ({
+      name: String(command?.name || '').trim().replace(/^\//, '').toLowerCase(),
+      description: String(command?.description || '').trim(),
+      prompt: String(command?.prompt || '').trim()
+    }))
+    .filter(command => {
+      if (!isValidCommandName(command.name) || !command.prompt || seen.has(command.name)) {
+        return false;
+      }
+      seen.add(command.name);
+      return true;
+    });
+}
+
+/**
+ * Check whether a custom command name can be used
+ * @param {string} name - The name, without the slash
+ * @returns {boolean}
+ */
+export function isValidCommandName(name) {
+  return COMMAND_NAME.test(name || '');
+}
+
+/**
+ * Check whether a name belongs to a built-in command
+ * @param {string} name - The name, without the slash
+ * @returns {boolean}
+ */
+export function isBuiltInCommand(name) {
+  return BUILT_IN_COMMANDS.some(command => command.name === name);
+}
+
+/**
+ * Split a message typed as a command into its name and arguments
+ * @param {string} text - The message
+ * @returns {{name: string, args: string}|null} - null if it is not a command
+ */
+export function parseSlashCommand(text) {
+  const match = /^\/([^\s/]+)(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * Get the commands whose name starts with what was typed after the slash
+ * @param {string} prefix - The typed name, without the slash
+ * @param {Array<Object>} customCommands - The custom commands
+ * @returns {Array<Object>} - { name, usage, description, custom } for each match
+ */
+export function matchSlashCommands(prefix, customCommands = []) {
+  const typed = (prefix || '').toLowerCase();
+  const custom = customCommands.map(command => ({
+    name: command.name,
+    usage: `/${command.name}`,
+    description: command.description || command.prompt,
+    custom: true
+  }));
+
+  return [...BUILT_IN_COMMANDS, ...custom].filter(command => command.name.startsWith(typed));
+}
+
+/**
+ * Turn a custom command into the message to send
+ * @param {Object} command - The custom command
+ * @param {string} args - The text typed after the command
+ * @returns {string} - The prompt
+ */
+export function expandCustomCommand(command, args = '') {
+  if (command.prompt.includes(INPUT_PLACEHOLDER)) {
+    return command.prompt.split(INPUT_PLACEHOLDER).join(args).trim();
+  }
+  return args ? `${command.prompt}\n\n${args}` : command.prompt;
+}
+
+/**
+ * Format an exported conversation as Markdown
+ * @param {Object} data - The conversation as returned by EXPORT_CONVERSATION
+ * @returns {string} - The Markdown document
+ */
+export function conversationToMarkdown(data) {
+  const lines = [`# Conversation with ${data.agentName || 'Unknown Agent'}`, ''];
+  if (data.timestamp) {
+    // Stored in seconds
+    lines.push(`_${new Date(data.timestamp * 1000).toLocaleString()}_`, '');
+  }
+
+  (data.messages || []).forEach(message => {
+    // Replies handed to another agent carry that agent's name
+    lines.push(message.role === 'user' ? '## You' : `## ${message.agentName || data.agentName || 'Assistant'}`, '');
+    lines.push(message.content || '', '');
+  });
+
+  return lines.join('\n');
+}
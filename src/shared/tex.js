@@ -0,0 +1,387 @@
+/**
+ * TeX to MathML
+ *
+ * Converts the LaTeX math models commonly write ($x^2$, \frac, \sqrt,
+ * \sum with limits, Greek letters, matrices, cases) to MathML, which the
+ * browser renders natively. Everything is escaped; unknown commands are
+ * shown as text rather than dropped.
+ */
+
+import { escapeHtml } from './html';
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+  xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+  Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const OPERATORS = {
+  times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+  simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑', downarrow: '↓',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+  cup: '∪', cap: '∩', setminus: '∖', emptyset: '∅', varnothing: '∅',
+  forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+  oplus: '⊕', otimes: '⊗', perp: '⊥', parallel: '∥', mid: '∣', angle: '∠',
+  ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+  infty: '∞', partial: '∂', nabla: '∇', prime: '′', degree: '°', hbar: 'ℏ', ell: 'ℓ',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+  vert: '|', Vert: '‖', lbrace: '{', rbrace: '}', colon: ':'
+};
+
+// Operators drawn large, with limits above and below in display math
+const LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+  bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'arg', 'det',
+  'dim', 'gcd', 'deg', 'ker', 'Pr'
+];
+
+// Functions whose subscript goes underneath in display math
+const LIMIT_FUNCTIONS = ['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'];
+
+const ACCENTS = {
+  hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', tilde: '~', widetilde: '~',
+  dot: '˙', ddot: '¨', check: 'ˇ', breve: '˘'
+};
+
+const FONTS = {
+  mathbf: 'bold', mathit: 'italic', mathrm: 'normal', mathsf: 'sans-serif',
+  mathtt: 'monospace', mathbb: 'double-struck', mathcal: 'script', mathfrak: 'fraktur',
+  boldsymbol: 'bold-italic'
+};
+
+const SPACES = { ',': '0.17em', ':': '0.22em', ';': '0.28em', '!': '-0.17em', quad: '1em', qquad: '2em', ' ': '0.25em' };
+
+const MATRIX_DELIMITERS = {
+  matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+  vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], array: ['', ''],
+  aligned: ['', ''], align: ['', ''], 'align*': ['', ''], gathered: ['', ''], split: ['', '']
+};
+
+/**
+ * Split TeX source into tokens
+ */
+function tokenize(tex) {
+  const tokens = [];
+  const pattern = /\\([a-zA-Z]+\*?|.)|(\d+(?:\.\d+)?)|(\s+)|([\s\S])/g;
+  let match;
+  while ((match = pattern.exec(tex)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'command', value: match[1] });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'number', value: match[2] });
+    } else if (match[3] !== undefined) {
+      // Whitespace only separates tokens in math mode
+    } else {
+      tokens.push({ type: 'char', value: match[4] });
+    }
+  }
+  return tokens;
+}
+
+const has = (map, key) => Object.prototype.hasOwnProperty.call(map, key);
+
+const mi = (text, variant) => `<mi${variant ? ` mathvariant="${variant}"` : ''}>${escapeHtml(text)}</mi>`;
+const mo = (text, attrs = '') => `<mo${attrs}>${escapeHtml(text)}</mo>`;
+const mn = text => `<mn>${escapeHtml(text)}</mn>`;
+const mtext = text => `<mtext>${escapeHtml(text)}</mtext>`;
+const mrow = parts => parts.length === 1 ? parts[0] : `<mrow>${parts.join('')}</mrow>`;
+
+class TexParser {
+  constructor(tex, display) {
+    this.tokens = tokenize(tex);
+    this.pos = 0;
+    this.display = display;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  /**
+   * Read raw text up to the matching closing brace (for \text and \begin)
+   */
+  readRawGroup() {
+    const token = this.peek();
+    if (!token || token.type !== 'char' || token.value !== '{') {
+      return token ? this.next().value : '';
+    }
+    this.next();
+
+    let depth = 1;
+    let text = '';
+    while (this.pos < this.tokens.length) {
+      const current = this.next();
+      if (current.type === 'char' && current.value === '{') depth++;
+      if (current.type === 'char' && current.value === '}' && --depth === 0) break;
+      text += current.type === 'command' ? (/^[a-zA-Z]/.test(current.value) ? `\\${current.value} ` : current.value) : current.value;
+    }
+    return text;
+  }
+
+  /**
+   * Parse tokens until one of the stop conditions, returning MathML parts
+   */
+  parseSequence(stop = () => false) {
+    const parts = [];
+    while (this.pos < this.tokens.length && !stop(this.peek())) {
+      const token = this.peek();
+
+      if (token.type === 'char' && (token.value === '^' || token.value === '_')) {
+        this.next();
+        const base = parts.pop() || '<mrow></mrow>';
+        parts.push(this.parseScripts(base, token.value));
+        continue;
+      }
+
+      const atom = this.parseAtom();
+      if (atom !== null) {
+        parts.push(atom);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Attach a subscript and/or superscript to a base
+   */
+  parseScripts(base, first) {
+    let sub = null;
+    let sup = null;
+    const read = () => this.parseArgument();
+
+    if (first === '_') sub = read(); else sup = read();
+
+    const token = this.peek();
+    if (token?.type === 'char' && (token.value === '^' || token.value === '_') && token.value !== first) {
+      this.next();
+      if (token.value === '_') sub = read(); else sup = read();
+    }
+
+    const underOver = this.display && base.includes('data-limits');
+    const cleanBase = base.replace(' data-limits=""', '');
+    if (sub !== null && sup !== null) {
+      return underOver
+        ? `<munderover>${cleanBase}${sub}${sup}</munderover>`
+        : `<msubsup>${cleanBase}${sub}${sup}</msubsup>`;
+    }
+    if (sub !== null) {
+      return underOver ? `<munder>${cleanBase}${sub}</munder>` : `<msub>${cleanBase}${sub}</msub>`;
+    }
+    return underOver ? `<mover>${cleanBase}${sup}</mover>` : `<msup>${cleanBase}${sup}</msup>`;
+  }
+
+  /**
+   * Parse one argument: a braced group or a single atom
+   */
+  parseArgument() {
+    const token = this.peek();
+    if (!token) return '<mrow></mrow>';
+    if (token.type === 'char' && token.value === '{') {
+      this.next();
+      const parts = this.parseSequence(t => t.type === 'char' && t.value === '}');
+      this.next();
+      return `<mrow>${parts.join('')}</mrow>`;
+    }
+    return this.parseAtom() || '<mrow></mrow>';
+  }
+
+  /**
+   * Parse an optional [argument]
+   */
+  parseOptional() {
+    const token = this.peek();
+    if (!token || token.type !== 'char' || token.value !== '[') return null;
+    this.next();
+    const parts = this.parseSequence(t => t.type === 'char' && t.value === ']');
+    this.next();
+    return mrow(parts);
+  }
+
+  parseAtom() {
+    const token = this.next();
+
+    if (token.type === 'number') return mn(token.value);
+
+    if (token.type === 'char') {
+      const value = token.value;
+      if (value === '{') {
+        const parts = this.parseSequence(t => t.type === 'char' && t.value === '}');
+        this.next();
+        return `<mrow>${parts.join('')}</mrow>`;
+      }
+      if (value === '}') return null;
+      if (/[a-zA-Z]/.test(value)) return mi(value);
+      if (value === "'") return mo('′');
+      if (value === '~') return `<mspace width="${SPACES[' ']}"></mspace>`;
+      return mo(value);
+    }
+
+    return this.parseCommand(token.value);
+  }
+
+  parseCommand(name) {
+    if (has(GREEK, name)) {
+      return mi(GREEK[name], /^[A-Z]/.test(name) ? 'normal' : null);
+    }
+    if (has(OPERATORS, name)) return mo(OPERATORS[name]);
+    if (has(LARGE_OPERATORS, name)) {
+      const limits = name.startsWith('int') || name.startsWith('iint') || name === 'oint' ? '' : ' data-limits=""';
+      return `<mo largeop="true" movablelimits="true"${limits}>${LARGE_OPERATORS[name]}</mo>`;
+    }
+    if (FUNCTIONS.includes(name)) {
+      const limits = LIMIT_FUNCTIONS.includes(name) ? ' data-limits=""' : '';
+      return `<mi mathvariant="normal"${limits}>${name}</mi>`;
+    }
+    if (has(SPACES, name)) return `<mspace width="${SPACES[name]}"></mspace>`;
+    if (has(FONTS, name)) {
+      const content = this.parseArgument();
+      return content.replace(/<mi>/g, `<mi mathvariant="${FONTS[name]}">`);
+    }
+    if (has(ACCENTS, name)) {
+      const content = this.parseArgument();
+      return `<mover accent="true">${content}${mo(ACCENTS[name], ' stretchy="true"')}</mover>`;
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac': {
+        const numerator = this.parseArgument();
+        const denominator = this.parseArgument();
+        return `<mfrac>${numerator}${denominator}</mfrac>`;
+      }
+      case 'binom': {
+        const top = this.parseArgument();
+        const bottom = this.parseArgument();
+        return `<mrow>${mo('(')}<mfrac linethickness="0">${top}${bottom}</mfrac>${mo(')')}</mrow>`;
+      }
+      case 'sqrt': {
+        const index = this.parseOptional();
+        const radicand = this.parseArgument();
+        return index ? `<mroot>${radicand}${index}</mroot>` : `<msqrt>${radicand}</msqrt>`;
+      }
+      case 'text':
+      case 'textrm':
+      case 'textbf':
+      case 'textit':
+      case 'mbox':
+      case 'operatorname':
+        return name === 'operatorname'
+          ? mi(this.readRawGroup(), 'normal')
+          : mtext(this.readRawGroup());
+      case 'left':
+      case 'right':
+      case 'big':
+      case 'Big':
+      case 'bigg':
+      case 'Bigg': {
+        const delimiter = this.next();
+        if (!delimiter) return null;
+        const symbol = delimiter.type === 'command'
+          ? (has(OPERATORS, delimiter.value) ? OPERATORS[delimiter.value] : (['{', '}', '|'].includes(delimiter.value) ? delimiter.value : ''))
+          : delimiter.value;
+        if (!symbol || symbol === '.') return null;
+        return mo(symbol, ' stretchy="true"');
+      }
+      case 'begin':
+        return this.parseEnvironment(this.readRawGroup());
+      case 'end':
+        this.readRawGroup();
+        return null;
+      case '\\':
+        return null;
+      case '{':
+      case '}':
+      case '|':
+      case '%':
+      case '$':
+      case '#':
+      case '&':
+      case '_':
+        return mo(name);
+      case 'displaystyle':
+      case 'textstyle':
+      case 'limits':
+      case 'nolimits':
+        return null;
+      default:
+        return mtext(`\\${name}`);
+    }
+  }
+
+  /**
+   * Parse a matrix-like environment up to its \end
+   */
+  parseEnvironment(name) {
+    if (name === 'array') {
+      // Column specification
+      this.readRawGroup();
+    }
+
+    const isEnd = t => t.type === 'command' && t.value === 'end';
+    const isCellEnd = t => isEnd(t) || (t.type === 'char' && t.value === '&') || (t.type === 'command' && t.value === '\\');
+
+    const rows = [];
+    let cells = [];
+    while (this.pos < this.tokens.length) {
+      cells.push(mrow(this.parseSequence(isCellEnd)));
+      const token = this.next();
+      if (!token || isEnd(token)) {
+        this.readRawGroup();
+        break;
+      }
+      if (token.type === 'command' && token.value === '\\') {
+        rows.push(cells);
+        cells = [];
+      }
+    }
+    if (cells.some(cell => cell !== '<mrow></mrow>')) {
+      rows.push(cells);
+    }
+
+    const align = name === 'cases' ? ' columnalign="left"' : (/align|split/.test(name) ? ' columnalign="right left"' : '');
+    const table = `<mtable${align}>${rows.map(row =>
+      `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('')}</mtable>`;
+
+    const [open, close] = has(MATRIX_DELIMITERS, name) ? MATRIX_DELIMITERS[name] : ['', ''];
+    if (!open && !close) return table;
+    return `<mrow>${open ? mo(open, ' stretchy="true"') : ''}${table}${close ? mo(close, ' stretchy="true"') : ''}</mrow>`;
+  }
+}
+
+/**
+ * Convert TeX math to MathML
+ *
+ * @param {string} tex - TeX source without the $ delimiters
+ * @param {boolean} display - Whether this is display (block) math
+ * @returns {string} - A <math> element as HTML
+ */
+export function texToMathML(tex, display = false) {
+  let body;
+  try {
+    const parser = new TexParser(tex, display);
+    body = parser.parseSequence().join('').replace(/ data-limits=""/g, '');
+  } catch (error) {
+    console.warn('Could not convert TeX to MathML:', error);
+    body = mtext(tex);
+  }
+
+  const annotation = `<annotation encoding="application/x-tex">${escapeHtml(tex)}</annotation>`;
+  return `<math${display ? ' display="block"' : ''}><semantics><mrow>${body}</mrow>${annotation}</semantics></math>`;
+}
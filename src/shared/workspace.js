@@ -0,0 +1,122 @@
+/**
+ * Workspace Content
+ *
+ * Formats captured page data into the text sent to the backend as
+ * `metadata.workspace_content`. The format is Markdown with fixed sections so
+ * both the backend and the agent can find each part:
+ *
+ *   URL: <page url>
+ *   Title: <page title>
+ *   Page type: <site extractor label, e.g. "GitHub pull request">
+ *
+ *   ## Metadata        key: value lines from <meta>, OpenGraph, canonical, lang
+ *   ## JSON-LD         one fenced json block per structured data item
+ *   ## Outline         nested "- " list of the page headings
+ *   ## Content         main content as Markdown (headings, lists, tables)
+ *   ## Links           "- [text](url)" list of deduplicated links
+ *
+ * The URL and Title lines are always present. Page type is only present when
+ * a site extractor captured the content. Every other section is omitted
+ * when it would be empty.
+ *
+ * When other tabs are attached, every page gets this format under its own
+ * "# Source <n>: <title>" heading, the current page first. See "Workspace
+ * content format" in the README.
+ */
+
+/**
+ * Format page metadata as "key: value" lines
+ */
+function formatMetadata(metadata) {
+  const lines = [];
+  if (metadata.canonical) lines.push(`canonical: ${metadata.canonical}`);
+  if (metadata.language) lines.push(`language: ${metadata.language}`);
+  Object.entries(metadata.meta || {}).forEach(([key, value]) => lines.push(`${key}: ${value}`));
+  Object.entries(metadata.openGraph || {}).forEach(([key, value]) => lines.push(`${key}: ${value}`));
+  return lines.join('\n');
+}
+
+/**
+ * Format the heading outline as a nested list
+ */
+function formatOutline(outline) {
+  const minLevel = Math.min(...outline.map(entry => entry.level));
+  return outline
+    .map(entry => `${'  '.repeat(entry.level - minLevel)}- ${entry.text}`)
+    .join('\n');
+}
+
+/**
+ * Format links as a Markdown list
+ */
+function formatLinks(links) {
+  return links
+    .map(link => `- [${(link.text || link.href).replace(/[[\]]/g, '')}](${link.href})`)
+    .join('\n');
+}
+
+/**
+ * Format the sections of one captured page
+ */
+function formatPage({ url, title, content, pageType = null, structure = null }) {
+  let header = `URL: ${url || ''}\nTitle: ${title || ''}`;
+  if (pageType) {
+    header += `\nPage type: ${pageType}`;
+  }
+  const sections = [header];
+
+  if (structure?.metadata) {
+    const metadata = formatMetadata(structure.metadata);
+    if (metadata) {
+      sections.push(`## Metadata\n${metadata}`);
+    }
+
+    const jsonLd = structure.metadata.jsonLd || [];
+    if (jsonLd.length > 0) {
+      const blocks = jsonLd.map(item => '```json\n' + JSON.stringify(item, null, 2) + '\n```');
+      sections.push(`## JSON-LD\n${blocks.join('\n')}`);
+    }
+  }
+
+  if (structure?.outline?.length > 0) {
+    sections.push(`## Outline\n${formatOutline(structure.outline)}`);
+  }
+
+  if (content) {
+    const heading = pageType ? `## Content (${pageType})` : '## Content';
+    sections.push(`${heading}\n${content}`);
+  }
+
+  if (structure?.links?.length > 0) {
+    sections.push(`## Links\n${formatLinks(structure.links)}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Format captured page data as workspace content
+ *
+ * @param {Object} page - Captured page data
+ * @param {string} page.url - Page URL
+ * @param {string} page.title - Page title
+ * @param {string} page.content - Main content text
+ * @param {string} page.pageType - Label of the site extractor, if one was used
+ * @param {Object} page.structure - Optional outline, links and metadata
+ * @param {Array<Object>} page.sources - Other attached tabs, with the same
+ *   fields as the page, or `error` when the tab could not be read
+ * @returns {string} - The workspace content
+ */
+export function formatWorkspaceContent({ sources = [], ...page }) {
+  if (!sources || sources.length === 0) {
+    return formatPage(page);
+  }
+
+  return [page, ...sources]
+    .map((source, index) => {
+      const content = source.error ? `[Could not read this tab: ${source.error}]` : source.content;
+      const heading = `# Source ${index + 1}: ${source.title || source.url || 'Untitled'}`;
+      return `${heading}\n\n${formatPage({ ...source, content })}`;
+    })
+    .join('\n\n');
+}
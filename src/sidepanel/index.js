@@ -0,0 +1,101 @@
+/**
+ * Side Panel Script
+ *
+ * Shows the chat panel in Chrome's side panel. It follows the active tab of
+ * its window, whose page is sent as the context, and gets panel messages
+ * from the background through a port instead of a content script.
+ */
+
+import PanelManager from '../content/panel-manager';
+import SidePanelHandler from './side-panel-handler';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const pageContext = document.getElementById('pageContext');
+  const pageContextIcon = document.getElementById('pageContextIcon');
+  const pageContextTitle = document.getElementById('pageContextTitle');
+
+  const { id: windowId } = await chrome.windows.getCurrent();
+  // Must match sidePanelId() in the background
+  const panelId = `side-panel:${windowId}`;
+
+  // The tab whose page is sent with messages
+  let activeTab = null;
+
+  // Tell the background which side panel the message comes from
+  const sendMessage = (message) => chrome.runtime.sendMessage({
+    ...message,
+    panelId,
+    windowId,
+    excludeTabId: activeTab?.id
+  });
+
+  const panelManager = new PanelManager({ embedded: true, sendMessage });
+  const messageHandler = new SidePanelHandler(panelManager, () => activeTab);
+
+  // Panel messages from the background
+  const port = chrome.runtime.connect({ name: panelId });
+  port.onMessage.addListener((message) => {
+    messageHandler.handleMessage(message, null, () => {});
+  });
+
+  /**
+   * Follow a tab: show its page and stop offering it as an extra tab
+   */
+  function followTab(tab) {
+    activeTab = tab || null;
+    if (activeTab) {
+      panelManager.setTabAttached(activeTab, false);
+    }
+
+    const capturable = /^https?:/i.test(activeTab?.url || '');
+    pageContext.classList.toggle('unavailable', !capturable);
+    pageContextTitle.textContent = capturable
+      ? activeTab.title || activeTab.url
+      : `${activeTab?.title || 'This page'} can't be read, only its address is sent`;
+
+    pageContextIcon.hidden = !capturable || !activeTab.favIconUrl;
+    if (!pageContextIcon.hidden) {
+      pageContextIcon.src = activeTab.favIconUrl;
+    }
+  }
+
+  pageContextIcon.addEventListener('error', () => {
+    pageContextIcon.hidden = true;
+  });
+
+  chrome.tabs.onActivated.addListener(async ({ tabId, windowId: tabWindowId }) => {
+    if (tabWindowId !== windowId) return;
+    try {
+      followTab(await chrome.tabs.get(tabId));
+    } catch (error) {
+      console.warn('Could not get the active tab:', error.message);
+    }
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tabId === activeTab?.id && (changeInfo.url || changeInfo.title || changeInfo.favIconUrl)) {
+      followTab(tab);
+    }
+  });
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  followTab(tab);
+
+  // Open the conversation of the active agent
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_AGENTS' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the extension');
+    }
+
+    const activeAgent = response.agents.find(a => a.id === response.activeAgentId);
+    panelManager.getOrCreatePanel(
+      response.agents,
+      response.activeAgentId,
+      activeAgent ? activeAgent.currentConversationId : null
+    );
+  } catch (error) {
+    console.error('Error opening the side panel:', error);
+    pageContextTitle.textContent = 'Could not load the agents: ' + error.message;
+  }
+});
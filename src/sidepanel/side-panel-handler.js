@@ -0,0 +1,88 @@
+/**
+ * Side Panel Handler
+ *
+ * Handles panel messages in the side panel. The page the side panel follows
+ * is captured through the background, as the side panel is not part of it.
+ */
+
+import MessageHandler from '../content/message-handler';
+
+class SidePanelHandler extends MessageHandler {
+  /**
+   * @param {PanelManager} panelManager - The embedded panel
+   * @param {Function} getActiveTab - Returns the tab the side panel follows
+   */
+  constructor(panelManager, getActiveTab) {
+    super(panelManager);
+    this.getActiveTab = getActiveTab;
+  }
+
+  /**
+   * Handle ask about selection request from the context menu
+   */
+  handleAskAboutSelection(request, sendResponse) {
+    this.showPanelForAgent(request.agents, request.activeAgentId);
+    this.panel.attachSelection(request.selection || '');
+    sendResponse({ success: true });
+    return true;
+  }
+
+  /**
+   * Capture the active tab. Pages without a content script, like the
+   * browser's own pages, are sent by address and title only.
+   * @returns {Promise<Object>} - The page info
+   */
+  async capturePageInfo() {
+    const tab = this.getActiveTab();
+    if (!tab) {
+      throw new Error('There is no page open in this window');
+    }
+
+    try {
+      const response = await this.sendToBackground({ action: 'CAPTURE_PAGE', tabId: tab.id });
+      if (response?.success) {
+        return response.data;
+      }
+      console.warn('Could not capture the active tab:', response?.error);
+    } catch (error) {
+      console.warn('Could not capture the active tab:', error.message);
+    }
+
+    return {
+      url: tab.url || '',
+      title: tab.title || '',
+      text: '',
+      pageType: null,
+      structure: null
+    };
+  }
+
+  /**
+   * Send a message to the background on behalf of the side panel
+   * @param {Object} message - The message
+   * @param {Function} onError - Called if the message can't be delivered
+   * @returns {Promise<*>} - The response
+   */
+  async sendToBackground(message, onError) {
+    try {
+      return await this.panel.sendMessage(message);
+    } catch (error) {
+      onError?.(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture the visible tab; the side panel does not cover the page
+   * @returns {Promise<string>} - The screenshot as a data URL
+   */
+  async captureScreenshot() {
+    const response = await this.sendToBackground({ action: 'CAPTURE_SCREENSHOT' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the extension');
+    }
+    return response.dataUrl;
+  }
+}
+
+export default SidePanelHandler;
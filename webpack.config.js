@@ -12,9 +12,11 @@ module.exports = (env, argv) => {
     entry: {
       background: './src/background/index.js',
       content: './src/content/index.js',
+      'frame-capture': './src/content/frame-capture.js',
       options: './src/options/index.js',
       history: './src/history/index.js',
-      popup: './src/popup/index.js'
+      popup: './src/popup/index.js',
+      sidepanel: './src/sidepanel/index.js'
     },
     output: {
       path: path.resolve(__dirname, 'dist'),
@@ -79,6 +81,11 @@ module.exports = (env, argv) => {
         filename: 'popup.html',
         chunks: ['popup']
       }),
+      new HtmlWebpackPlugin({
+        template: './src/sidepanel/sidepanel.html',
+        filename: 'sidepanel.html',
+        chunks: ['sidepanel']
+      }),
       isProd && new MiniCssExtractPlugin({
         filename: '[name].css'
       })